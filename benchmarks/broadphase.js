@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+import { PhysicsSystem } from '../src/engine/PhysicsSystem';
+import { SeededRandom } from '../src/engine/physics/Random';
+
+/**
+ * Drops debris onto a ground slab and compares the broadphases.
+ * Run with: npm run bench
+ */
+
+const BROADPHASES = ['none', 'spatialHash', 'sweepAndPrune', 'aabbTree'];
+const BODY_COUNTS = [100, 300, 1000];
+const STEPS = 120;
+const FIXED_DELTA = 1 / 60;
+
+/**
+ * Build a physics world with a ground slab and falling debris
+ * @param {string} broadphase - Broadphase name
+ * @param {number} count - Number of dynamic bodies
+ * @returns {PhysicsSystem} The world
+ */
+function createWorld(broadphase, count) {
+  // Keep every body awake, so each step exercises the broadphase fully
+  const physics = new PhysicsSystem({ broadphase, allowSleep: false });
+  
+  // Seeded so every broadphase sees the same scene
+  const random = new SeededRandom(count);
+  
+  physics.createBody({
+    isStatic: true,
+    position: new THREE.Vector3(0, -0.5, 0),
+    dimensions: new THREE.Vector3(200, 1, 200),
+  });
+  
+  // Spread the debris over an area that grows with the count, a few layers high
+  const side = Math.ceil(Math.sqrt(count / 4));
+  for (let i = 0; i < count; i++) {
+    const position = new THREE.Vector3(
+      random.range(-0.5, 0.5) * side * 3,
+      1 + (i % 4) * 1.5 + random.next(),
+      random.range(-0.5, 0.5) * side * 3
+    );
+    
+    if (i % 3 === 0) {
+      physics.createBody({ shape: 'sphere', radius: 0.4, position });
+    } else {
+      physics.createBody({ position, dimensions: new THREE.Vector3(0.8, 0.8, 0.8) });
+    }
+  }
+  
+  return physics;
+}
+
+/**
+ * Step a world and average the broadphase counts
+ * @param {string} broadphase - Broadphase name
+ * @param {number} count - Number of dynamic bodies
+ * @returns {Object} Averages per step
+ */
+function run(broadphase, count) {
+  const physics = createWorld(broadphase, count);
+  const totals = { tests: 0, pairs: 0, contacts: 0 };
+  
+  const start = performance.now();
+  for (let i = 0; i < STEPS; i++) {
+    physics.update(FIXED_DELTA);
+    
+    totals.tests += physics.broadphase.stats.tests;
+    totals.pairs += physics.stats.broadphasePairs;
+    totals.contacts += physics.stats.contacts;
+  }
+  const elapsed = performance.now() - start;
+  
+  return {
+    broadphase,
+    bodies: count,
+    boundsTests: Math.round(totals.tests / STEPS),
+    narrowphasePairs: Math.round(totals.pairs / STEPS),
+    contacts: Math.round(totals.contacts / STEPS),
+    msPerStep: Number((elapsed / STEPS).toFixed(3)),
+  };
+}
+
+BODY_COUNTS.forEach(count => {
+  // What the old loop tested: every dynamic body against every other body and collider
+  const ordered = count * count;
+  
+  console.log(`\n${count} dynamic bodies, ${ordered} ordered pairs tested before the broadphase`);
+  console.table(BROADPHASES.map(broadphase => run(broadphase, count)));
+});
@@ -0,0 +1,16 @@
+/**
+ * Collision layers used by the game, passed to the PhysicsSystem through the
+ * engine's physics options. Objects pick a layer with { layer: 'player' } and
+ * can override their row of the matrix with { collidesWith: [...] }.
+ */
+export const collisionLayers = {
+  // Up to 32 layer names; 'default' always exists
+  layers: ['default', 'player', 'enemy', 'playerProjectile', 'pickup'],
+  
+  // Layers each layer collides with. A pair only collides when both rows allow it,
+  // and layers left out collide with everything.
+  matrix: {
+    playerProjectile: ['default', 'enemy'],
+    pickup: ['player'],
+  },
+};
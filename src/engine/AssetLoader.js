@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { disposeObject3D } from '../utils/SceneUtils';
 
 export class AssetLoader {
   constructor() {
@@ -227,6 +228,25 @@ export class AssetLoader {
     return this.assets[type][id];
   }
   
+  /**
+   * Free the GPU resources of every cached texture and model and empty the cache
+   */
+  dispose() {
+    Object.values(this.assets.textures).forEach(texture => texture.dispose());
+    
+    Object.values(this.assets.models).forEach(model => {
+      // GLTF results wrap their scene, OBJ and FBX loaders return the object itself
+      const root = model.scene || model;
+      if (root.isObject3D) {
+        disposeObject3D(root);
+      }
+    });
+    
+    Object.keys(this.assets).forEach(type => {
+      this.assets[type] = {};
+    });
+  }
+  
   /**
    * Count total number of assets in a manifest
    * @param {Object} manifest - Asset manifest
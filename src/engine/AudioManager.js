@@ -1,7 +1,19 @@
 import * as THREE from 'three';
 
 export class AudioManager {
-  constructor() {
+  /**
+   * @param {Object} options - Audio options
+   * @param {AudioContext} options.context - Audio context to use instead of the browser default
+   */
+  constructor(options = {}) {
+    // Use the injected context for every three.js audio object
+    if (options.context) {
+      THREE.AudioContext.setContext(options.context);
+    }
+    
+    // A context we didn't create is left open on dispose
+    this._ownsContext = !options.context;
+    
     // Create audio listener
     this.listener = new THREE.AudioListener();
     
@@ -18,6 +30,18 @@ export class AudioManager {
     // Track currently playing music
     this.currentMusic = null;
     
+    // Audio paused by pauseAll(), to be resumed by resumeAll()
+    this.pausedAudio = [];
+    
+    // Object the listener follows each frame (usually the camera)
+    this.listenerTarget = null;
+    
+    // Running crossfades, each with its tick function and interval timer
+    this._fades = new Set();
+    
+    // Removes the listeners waiting for the first user interaction
+    this._removeResumeListeners = null;
+    
     // Create audio context through the listener
     this.context = this.listener.context;
     
@@ -283,6 +307,7 @@ export class AudioManager {
     });
     
     this.currentMusic = null;
+    this.pausedAudio = [];
   }
   
   /**
@@ -292,29 +317,41 @@ export class AudioManager {
   updateListener(camera) {
     this.listener.position.copy(camera.position);
     this.listener.quaternion.copy(camera.quaternion);
+    
+    // The listener isn't part of a scene graph, so push the new pose to Web Audio here
+    this.listener.updateMatrixWorld(true);
+  }
+  
+  /**
+   * Move the listener to its target once per frame
+   */
+  update() {
+    if (this.listenerTarget) {
+      this.updateListener(this.listenerTarget);
+    }
   }
   
   /**
    * Pause all audio (e.g., when game is paused)
    */
   pauseAll() {
-    // Pause all sounds
-    Object.values(this.sounds).forEach(sound => {
-      if (sound.isPlaying) {
-        sound.pause();
+    // Pause everything that is playing and remember it for resumeAll()
+    [...Object.values(this.sounds), ...Object.values(this.music)].forEach(audio => {
+      if (audio.isPlaying) {
+        audio.pause();
+        this.pausedAudio.push(audio);
       }
     });
     
-    // Pause all music
-    Object.values(this.music).forEach(music => {
-      if (music.isPlaying) {
-        music.pause();
-      }
+    // Crossfades hold still until resumeAll()
+    this._fades.forEach(fade => {
+      clearInterval(fade.timer);
+      fade.timer = null;
     });
   }
   
   /**
-   * Resume all paused audio
+   * Resume the audio paused by pauseAll()
    */
   resumeAll() {
     // Resume context if needed
@@ -322,18 +359,17 @@ export class AudioManager {
       this.context.resume();
     }
     
-    // Resume sounds
-    Object.values(this.sounds).forEach(sound => {
-      if (sound.buffer && !sound.isPlaying) {
-        sound.play();
+    // Only restart what was actually playing, not every loaded sound
+    this.pausedAudio.forEach(audio => {
+      if (audio.buffer && !audio.isPlaying) {
+        audio.play();
       }
     });
     
-    // Resume music
-    Object.values(this.music).forEach(music => {
-      if (music.buffer && !music.isPlaying) {
-        music.play();
-      }
+    this.pausedAudio = [];
+    
+    this._fades.forEach(fade => {
+      if (fade.timer === null) fade.timer = setInterval(fade.tick, fade.interval);
     });
   }
   
@@ -341,20 +377,35 @@ export class AudioManager {
    * Clean up and dispose resources
    */
   dispose() {
+    this._fades.forEach(fade => clearInterval(fade.timer));
+    this._fades.clear();
+    
     this.stopAll();
     
     // Dispose audio sources
-    Object.values(this.sounds).forEach(sound => {
-      sound.disconnect();
-    });
-    
-    Object.values(this.music).forEach(music => {
-      music.disconnect();
+    [...Object.values(this.sounds), ...Object.values(this.music)].forEach(audio => {
+      if (audio.source) audio.disconnect();
+      audio.gain.disconnect();
+      if (audio.panner) audio.panner.disconnect();
+      if (audio.parent) audio.parent.remove(audio);
     });
     
     this.sounds = {};
     this.music = {};
     this.currentMusic = null;
+    this.listenerTarget = null;
+    
+    if (this._removeResumeListeners) {
+      this._removeResumeListeners();
+    }
+    
+    this.listener.gain.disconnect();
+    
+    // Close our context and let three.js create a fresh one for the next manager
+    if (this._ownsContext && this.context.state !== 'closed') {
+      this.context.close();
+      THREE.AudioContext.setContext(undefined);
+    }
   }
   
   /**
@@ -427,7 +478,8 @@ export class AudioManager {
     
     // Perform the crossfade
     let step = 0;
-    const fade = setInterval(() => {
+    const fade = { interval, timer: null };
+    fade.tick = () => {
       step++;
       const fadeRatio = step / steps;
       
@@ -439,11 +491,15 @@ export class AudioManager {
       
       // When complete
       if (step >= steps) {
-        clearInterval(fade);
+        clearInterval(fade.timer);
+        this._fades.delete(fade);
         fromMusic.stop();
         toMusic.setVolume(toBaseVolume);
       }
-    }, interval);
+    };
+    
+    fade.timer = setInterval(fade.tick, interval);
+    this._fades.add(fade);
   }
   
   /**
@@ -451,6 +507,8 @@ export class AudioManager {
    * @private
    */
   _setupAudioContextResuming() {
+    if (typeof document === 'undefined') return;
+    
     // iOS and some browsers require user interaction to start audio context
     const resumeAudioContext = () => {
       if (this.context.state === 'suspended') {
@@ -458,9 +516,14 @@ export class AudioManager {
       }
       
       // Remove event listeners once audio is enabled
+      this._removeResumeListeners();
+    };
+    
+    this._removeResumeListeners = () => {
       document.removeEventListener('click', resumeAudioContext);
       document.removeEventListener('touchstart', resumeAudioContext);
       document.removeEventListener('keydown', resumeAudioContext);
+      this._removeResumeListeners = null;
     };
     
     document.addEventListener('click', resumeAudioContext);
@@ -0,0 +1,331 @@
+import * as THREE from 'three';
+
+/**
+ * Registry of named cameras, each drawn into its own viewport or render target.
+ * Viewports are normalized rectangles with the origin at the bottom left,
+ * like THREE.WebGLRenderer.setViewport.
+ */
+export class CameraManager {
+  constructor() {
+    // Views by name
+    this.views = new Map();
+    
+    // Screen size in CSS pixels, kept by onResize
+    this.width = 1;
+    this.height = 1;
+    
+    // Registration order breaks render order ties
+    this._order = 0;
+    
+    // Scratch objects for saving renderer state
+    this._clearColor = new THREE.Color();
+    this._size = new THREE.Vector2();
+  }
+  
+  /**
+   * Register a camera
+   * @param {string} name - Name to look the camera up by
+   * @param {THREE.Camera} camera - Perspective or orthographic camera
+   * @param {Object} options - View options
+   * @param {Object} options.viewport - Normalized rectangle { x, y, width, height } (default full screen)
+   * @param {boolean} options.scissor - Restrict clearing and drawing to the viewport (default true)
+   * @param {number|Array<number>} options.layers - Layer mask, or list of layers the camera sees
+   * @param {number} options.order - Render order, lower draws first (default 0)
+   * @param {boolean|Object} options.clear - Clear before drawing, or { color, depth, stencil } (default true)
+   * @param {THREE.ColorRepresentation} options.clearColor - Clear color (default the renderer's)
+   * @param {number} options.clearAlpha - Clear alpha used with clearColor (default 1)
+   * @param {THREE.Scene} options.scene - Scene to draw (default the visible scene stack)
+   * @param {boolean} options.useSceneCamera - Let scenes replace the camera with their own scene.camera
+   * @param {boolean} options.postProcessing - Draw through the scene's post-processing pipeline
+   * @param {THREE.WebGLRenderTarget|Object|boolean} options.renderTarget - Draw into a texture instead
+   *   of the screen; pass a render target, or { width, height } (or true for 512x512) to create one
+   * @returns {Object} The view
+   */
+  add(name, camera, options = {}) {
+    if (this.views.has(name)) {
+      throw new Error(`Camera already registered: ${name}`);
+    }
+    
+    const view = {
+      name,
+      camera,
+      viewport: { x: 0, y: 0, width: 1, height: 1, ...options.viewport },
+      scissor: options.scissor !== undefined ? options.scissor : true,
+      order: options.order || 0,
+      clear: this._normalizeClear(options.clear),
+      clearColor: options.clearColor !== undefined ? new THREE.Color(options.clearColor) : null,
+      clearAlpha: options.clearAlpha !== undefined ? options.clearAlpha : 1,
+      scene: options.scene || null,
+      useSceneCamera: !!options.useSceneCamera,
+      postProcessing: !!options.postProcessing,
+      renderTarget: null,
+      enabled: options.enabled !== undefined ? options.enabled : true,
+      _ownsRenderTarget: false,
+      _registration: this._order++,
+    };
+    
+    if (options.renderTarget) {
+      if (options.renderTarget.isWebGLRenderTarget) {
+        view.renderTarget = options.renderTarget;
+      } else {
+        const size = options.renderTarget === true ? {} : options.renderTarget;
+        view.renderTarget = new THREE.WebGLRenderTarget(size.width || 512, size.height || 512);
+        view._ownsRenderTarget = true;
+      }
+    }
+    
+    if (options.layers !== undefined) {
+      this._applyLayers(view, options.layers);
+    }
+    
+    this.views.set(name, view);
+    this._updateProjection(view);
+    
+    return view;
+  }
+  
+  /**
+   * Unregister a camera, disposing its render target if the manager created it
+   * @param {string} name - Camera name
+   * @returns {boolean} True if the camera was registered
+   */
+  remove(name) {
+    const view = this.views.get(name);
+    if (!view) return false;
+    
+    if (view._ownsRenderTarget) {
+      view.renderTarget.dispose();
+    }
+    
+    this.views.delete(name);
+    
+    return true;
+  }
+  
+  /**
+   * Get a registered view
+   * @param {string} name - Camera name
+   * @returns {Object|null} The view
+   */
+  get(name) {
+    return this.views.get(name) || null;
+  }
+  
+  /**
+   * Get a registered camera
+   * @param {string} name - Camera name
+   * @returns {THREE.Camera|null} The camera
+   */
+  getCamera(name) {
+    const view = this.views.get(name);
+    return view ? view.camera : null;
+  }
+  
+  /**
+   * Get the texture a render-to-texture camera draws into
+   * @param {string} name - Camera name
+   * @returns {THREE.Texture|null} The texture, e.g. for a security-camera screen material
+   */
+  getTexture(name) {
+    const view = this.views.get(name);
+    return view && view.renderTarget ? view.renderTarget.texture : null;
+  }
+  
+  /**
+   * Move or resize a camera's viewport
+   * @param {string} name - Camera name
+   * @param {Object} viewport - Normalized rectangle { x, y, width, height }
+   */
+  setViewport(name, viewport) {
+    const view = this._getView(name);
+    Object.assign(view.viewport, viewport);
+    this._updateProjection(view);
+  }
+  
+  /**
+   * Choose which layers a camera sees
+   * @param {string} name - Camera name
+   * @param {number|Array<number>} layers - Layer mask, or list of layer indices
+   */
+  setLayers(name, layers) {
+    this._applyLayers(this._getView(name), layers);
+  }
+  
+  /**
+   * Turn a camera on or off without unregistering it
+   * @param {string} name - Camera name
+   * @param {boolean} enabled - Whether the camera should render
+   */
+  setEnabled(name, enabled) {
+    this._getView(name).enabled = enabled;
+  }
+  
+  /**
+   * Get the enabled views in the order they should be drawn.
+   * Render-to-texture views come first so screen views can show their textures.
+   * @returns {Array<Object>} Views
+   */
+  getRenderOrder() {
+    return Array.from(this.views.values())
+      .filter(view => view.enabled)
+      .sort((a, b) => (
+        (b.renderTarget ? 1 : 0) - (a.renderTarget ? 1 : 0)
+        || a.order - b.order
+        || a._registration - b._registration
+      ));
+  }
+  
+  /**
+   * Check whether a view covers the whole screen
+   * @param {Object} view - View to check
+   * @returns {boolean} True for full-screen views
+   */
+  isFullscreen(view) {
+    const { x, y, width, height } = view.viewport;
+    return !view.renderTarget && x === 0 && y === 0 && width === 1 && height === 1;
+  }
+  
+  /**
+   * Point the renderer at a view and clear it
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+   * @param {Object} view - View about to be drawn
+   */
+  beginView(renderer, view) {
+    const { x, y, width, height } = view.viewport;
+    
+    if (view.renderTarget) {
+      // Render targets carry their own viewport in pixels
+      const target = view.renderTarget;
+      target.viewport.set(x * target.width, y * target.height, width * target.width, height * target.height);
+      target.scissor.copy(target.viewport);
+      target.scissorTest = view.scissor;
+      renderer.setRenderTarget(target);
+    } else {
+      renderer.setRenderTarget(null);
+      renderer.setViewport(x * this.width, y * this.height, width * this.width, height * this.height);
+      renderer.setScissor(x * this.width, y * this.height, width * this.width, height * this.height);
+      renderer.setScissorTest(view.scissor);
+    }
+    
+    const { color, depth, stencil } = view.clear;
+    if (!color && !depth && !stencil) return;
+    
+    if (view.clearColor) {
+      renderer.getClearColor(this._clearColor);
+      const clearAlpha = renderer.getClearAlpha();
+      
+      renderer.setClearColor(view.clearColor, view.clearAlpha);
+      renderer.clear(color, depth, stencil);
+      renderer.setClearColor(this._clearColor, clearAlpha);
+    } else {
+      renderer.clear(color, depth, stencil);
+    }
+  }
+  
+  /**
+   * Restore the full-screen viewport after the views have been drawn
+   * @param {THREE.WebGLRenderer} renderer - Renderer to reset
+   */
+  resetViewport(renderer) {
+    renderer.setRenderTarget(null);
+    renderer.setViewport(0, 0, this.width, this.height);
+    renderer.setScissor(0, 0, this.width, this.height);
+    renderer.setScissorTest(false);
+  }
+  
+  /**
+   * Keep every camera's aspect ratio matched to its viewport
+   * @param {number} width - New screen width in CSS pixels
+   * @param {number} height - New screen height in CSS pixels
+   */
+  onResize(width, height) {
+    this.width = width;
+    this.height = height;
+    
+    this.views.forEach(view => this._updateProjection(view));
+  }
+  
+  /**
+   * Unregister every camera and free the render targets the manager created
+   */
+  dispose() {
+    Array.from(this.views.keys()).forEach(name => this.remove(name));
+  }
+  
+  /**
+   * Look up a view, throwing if it isn't registered
+   * @param {string} name - Camera name
+   * @returns {Object} The view
+   * @private
+   */
+  _getView(name) {
+    const view = this.views.get(name);
+    
+    if (!view) {
+      throw new Error(`Camera not registered: ${name}`);
+    }
+    
+    return view;
+  }
+  
+  /**
+   * Expand the clear option into per-buffer flags
+   * @param {boolean|Object} clear - Clear option
+   * @returns {Object} { color, depth, stencil }
+   * @private
+   */
+  _normalizeClear(clear) {
+    if (clear === undefined || clear === true) {
+      return { color: true, depth: true, stencil: true };
+    }
+    
+    if (clear === false) {
+      return { color: false, depth: false, stencil: false };
+    }
+    
+    return { color: !!clear.color, depth: !!clear.depth, stencil: !!clear.stencil };
+  }
+  
+  /**
+   * Set the layers a view's camera sees
+   * @param {Object} view - View to update
+   * @param {number|Array<number>} layers - Layer mask, or list of layer indices
+   * @private
+   */
+  _applyLayers(view, layers) {
+    if (Array.isArray(layers)) {
+      view.camera.layers.disableAll();
+      layers.forEach(layer => view.camera.layers.enable(layer));
+    } else {
+      view.camera.layers.mask = layers;
+    }
+  }
+  
+  /**
+   * Match a camera's projection to the aspect ratio of its viewport
+   * @param {Object} view - View to update
+   * @private
+   */
+  _updateProjection(view) {
+    const size = view.renderTarget
+      ? this._size.set(view.renderTarget.width, view.renderTarget.height)
+      : this._size.set(this.width, this.height);
+    
+    const aspect = (view.viewport.width * size.x) / (view.viewport.height * size.y);
+    if (!isFinite(aspect) || aspect <= 0) return;
+    
+    const camera = view.camera;
+    
+    if (camera.isPerspectiveCamera) {
+      camera.aspect = aspect;
+      camera.updateProjectionMatrix();
+    } else if (camera.isOrthographicCamera) {
+      // Keep the vertical extent and widen or narrow the horizontal one
+      const centerX = (camera.left + camera.right) / 2;
+      const halfWidth = ((camera.top - camera.bottom) / 2) * aspect;
+      camera.left = centerX - halfWidth;
+      camera.right = centerX + halfWidth;
+      camera.updateProjectionMatrix();
+    }
+  }
+}
@@ -2,48 +2,289 @@ import * as THREE from 'three';
 import { AssetLoader } from './AssetLoader';
 import { InputManager } from './InputManager';
 import { PhysicsSystem } from './PhysicsSystem';
+import { WorkerPhysicsSystem } from './WorkerPhysicsSystem';
 import { AudioManager } from './AudioManager';
+import { SceneManager } from './SceneManager';
+import { CameraManager } from './CameraManager';
+import { QualityManager } from './QualityManager';
+import { EventEmitter } from './EventEmitter';
+import { SystemRegistry } from './SystemRegistry';
+import { HeadlessRenderer } from './headless/HeadlessRenderer';
+import { HeadlessAudioContext } from './headless/HeadlessAudioContext';
+import { DebugUtils } from '../utils/DebugUtils';
 
-export class Engine {
+/**
+ * Payload of the beforeUpdate, beforeRender and afterRender events
+ * @typedef {Object} FrameEvent
+ * @property {number} deltaTime - Scaled frame time in seconds
+ * @property {number} elapsedTime - Scaled time since start in seconds
+ */
+
+/**
+ * Payload of the afterPhysics event
+ * @typedef {Object} PhysicsEvent
+ * @property {number} subSteps - Fixed steps run this frame
+ * @property {number} fixedDelta - Scaled duration of each step in seconds
+ * @property {number} alpha - Interpolation factor between the last two physics steps
+ */
+
+/**
+ * Payload of the resize event
+ * @typedef {Object} ResizeEvent
+ * @property {number} width - New width in CSS pixels
+ * @property {number} height - New height in CSS pixels
+ */
+
+/**
+ * Payload of the sceneChanged event
+ * @typedef {Object} SceneChangedEvent
+ * @property {Object|null} scene - New active scene
+ * @property {Object|null} previous - Previously active scene
+ * @property {string} operation - Stack operation (push, pop or replace)
+ */
+
+/**
+ * Payload of the assetsLoaded event
+ * @typedef {Object} AssetsLoadedEvent
+ * @property {Object} scene - Scene whose assets were loaded
+ * @property {Object} manifest - The loaded asset manifest
+ */
+
+/**
+ * Payload of the error event
+ * @typedef {Object} ErrorEvent
+ * @property {Error} error - The error
+ * @property {string} source - Where it happened (e.g. loadAssets)
+ */
+
+/**
+ * Payload of the qualityChanged event
+ * @typedef {Object} QualityChangedEvent
+ * @property {string} preset - Active preset (low, medium, high, ultra)
+ * @property {number} level - Adaptive step, 0 is full quality
+ * @property {number} resolutionScale - Multiplier applied to the pixel ratio
+ * @property {number} shadowScale - Multiplier applied to the shadow map sizes
+ * @property {string} reason - What caused the change (preset, adaptive, downgrade, upgrade)
+ */
+
+/**
+ * Emits beforeUpdate, afterPhysics, beforeRender, afterRender, resize,
+ * sceneChanged, assetsLoaded, qualityChanged, contextLost, contextRestored and error. Any other event name can be used
+ * for gameplay messaging through the same on() / emit() API.
+ */
+export class Engine extends EventEmitter {
+  /**
+   * @param {Object} options - Engine options
+   * @param {HTMLElement} options.container - Element the canvas is added to (default document.body)
+   * @param {boolean} options.headless - Run without a GPU, DOM or audio device (e.g. under Node)
+   * @param {Object} options.renderer - Renderer to use instead of creating a WebGLRenderer
+   * @param {Object} options.clock - Time source with a now() method in milliseconds (default performance)
+   * @param {Function} options.requestAnimationFrame - Frame scheduler (default window.requestAnimationFrame)
+   * @param {Function} options.cancelAnimationFrame - Cancels a scheduled frame (default window.cancelAnimationFrame)
+   * @param {EventTarget} options.inputSource - Source of input events (default window)
+   * @param {AudioContext} options.audioContext - Audio context for the AudioManager
+   * @param {number} options.width - Fixed viewport width instead of the window size
+   * @param {number} options.height - Fixed viewport height instead of the window size
+   * @param {number} options.timeScale - Initial game speed multiplier (default 1)
+   * @param {boolean} options.pauseOnHidden - Pause while the page is hidden (default true)
+   * @param {string} options.quality - Render quality preset: low, medium, high or ultra (default high)
+   * @param {boolean} options.adaptiveQuality - Lower and raise quality to hold the target FPS (default false)
+   * @param {number} options.targetFps - Frame rate the adaptive quality aims for (default 60)
+   * @param {boolean} options.pauseOnError - Pause when a system or scene throws during a frame (default true)
+   * @param {Object} options.physics - Options for the PhysicsSystem, e.g. { broadphase: 'spatialHash' }.
+   *   Add worker: true to step physics in a Web Worker where workers are available.
+   */
   constructor(options = {}) {
+    super();
+    
     this.options = options;
-    this.container = options.container || document.body;
+    this.headless = options.headless || false;
+    this.container = options.container || (this.headless ? null : document.body);
     this.stats = options.stats || null;
-    this.debug = options.debug || null;
+    this.debug = options.debug || new DebugUtils(null);
+    
+    // Time source and frame scheduling
+    this.clock = options.clock || performance;
+    this.requestFrame = options.requestAnimationFrame || (this.headless ? null : window.requestAnimationFrame.bind(window));
+    this.cancelFrame = options.cancelAnimationFrame || (this.headless ? null : window.cancelAnimationFrame.bind(window));
+    this.frameRequest = null;
+    this.animate = this.animate.bind(this);
     
     // State
     this.isRunning = false;
-    this.activeScene = null;
+    this.isPaused = false;
+    this.isDisposed = false;
     this.lastTime = 0;
     this.deltaTime = 0;
     this.elapsedTime = 0;
     
+    // Fixed timestep simulation
+    this.fixedTimeStep = 1 / (options.stepRate || 60);
+    this.maxSubSteps = options.maxSubSteps || 5;
+    this.accumulator = 0;
+    this.alpha = 0;
+    
     // Core three.js components
     this.renderer = this._createRenderer();
     this.camera = this._createCamera();
     this.scene = new THREE.Scene();
     
+    // Named cameras and their viewports, the main camera fills the screen by default
+    this.cameras = new CameraManager();
+    this.cameras.add('main', this.camera, { useSceneCamera: true, postProcessing: true });
+    
     // Game systems
     this.assetLoader = new AssetLoader();
-    this.inputManager = new InputManager();
-    this.physicsSystem = new PhysicsSystem();
-    this.audioManager = new AudioManager();
+    this.inputManager = new InputManager({
+      target: options.inputSource || (this.headless ? new EventTarget() : window),
+    });
+    this.physicsSystem = this._createPhysicsSystem(this.options.physics || {});
+    this.timeScale = options.timeScale !== undefined ? options.timeScale : 1.0;
+    this.audioManager = new AudioManager({
+      context: options.audioContext || (this.headless ? new HeadlessAudioContext() : null),
+    });
+    
+    // Scene stack and transitions
+    this.sceneManager = new SceneManager(this);
+    
+    // Render quality presets and frame rate adaptation
+    this.quality = new QualityManager(this, {
+      preset: options.quality,
+      adaptive: options.adaptiveQuality,
+      targetFps: options.targetFps,
+    });
+    
+    // Audio follows the main camera unless a scene points it elsewhere
+    this.audioManager.listenerTarget = this.camera;
     
-    // Perform initial resize
-    this.handleResize();
+    // Every per-frame update goes through the system registry, built-ins included
+    this.systems = new SystemRegistry({
+      onError: (error, entry) => this.handleFrameError(error, `system ${entry.name}`),
+    });
+    this._registerBuiltInSystems();
+    
+    // Frame errors are reported once per source and message until the game is resumed
+    this.pauseOnError = options.pauseOnError !== undefined ? options.pauseOnError : true;
+    this._reportedFrameErrors = new Set();
+    
+    // Stop rendering while the WebGL context is lost and pick up again once it's restored
+    this.isContextLost = false;
+    this._pausedByContextLoss = false;
+    this._handleContextLost = this._handleContextLost.bind(this);
+    this._handleContextRestored = this._handleContextRestored.bind(this);
+    this._listenForContextLoss(true);
+    
+    // Pause while the page is hidden (tab switch, minimised window)
+    this._pausedByVisibility = false;
+    this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
+    if (!this.headless && options.pauseOnHidden !== false) {
+      document.addEventListener('visibilitychange', this._handleVisibilityChange);
+    }
+    
+    // Apply the quality preset, this also performs the initial resize
+    this.quality.apply();
+  }
+  
+  /**
+   * Create the physics system, in a worker if asked for and possible
+   * @param {Object} options - Physics options
+   * @returns {PhysicsSystem} Physics system
+   * @private
+   */
+  _createPhysicsSystem(options) {
+    if (options.worker && WorkerPhysicsSystem.isSupported()) {
+      const physicsSystem = new WorkerPhysicsSystem(options);
+      
+      // A failed worker freezes the simulation, so it goes through the frame error boundary
+      physicsSystem.on('error', ({ error, source }) => this.handleFrameError(error, source));
+      
+      return physicsSystem;
+    }
+    
+    return new PhysicsSystem(options);
+  }
+  
+  /**
+   * Register the engine's own systems in their phases
+   * @private
+   */
+  _registerBuiltInSystems() {
+    this.registerSystem(this.inputManager, { phase: 'input', name: 'input' });
+    this.registerSystem(this.physicsSystem, { phase: 'physics', name: 'physics' });
+    this.registerSystem({
+      update: (fixedDelta) => this.sceneManager.fixedUpdate(fixedDelta * this.timeScale),
+    }, { phase: 'physics', priority: 100, name: 'sceneFixedUpdate' });
+    this.registerSystem(this.sceneManager, { phase: 'update', name: 'scenes' });
+    this.registerSystem(this.audioManager, { phase: 'lateUpdate', name: 'audio' });
+    this.registerSystem({
+      update: () => this.sceneManager.render(this.renderer),
+    }, { phase: 'render', name: 'renderer' });
+  }
+  
+  /**
+   * Add a system to the frame loop
+   * @param {Object} system - Object with an update(deltaTime, alpha) method
+   * @param {Object} options - Registration options
+   * @param {string} options.phase - input, preUpdate, physics, update, lateUpdate or render (default update)
+   * @param {number} options.priority - Order within the phase, lower runs first (default 0)
+   * @param {string} options.name - Name to look the system up by
+   * @returns {Object} The registry entry
+   */
+  registerSystem(system, options = {}) {
+    return this.systems.register(system, options);
+  }
+  
+  /**
+   * Remove a system from the frame loop
+   * @param {Object|string} systemOrName - System instance or registered name
+   */
+  unregisterSystem(systemOrName) {
+    this.systems.unregister(systemOrName);
+  }
+  
+  /**
+   * Enable or disable a registered system at runtime
+   * @param {Object|string} systemOrName - System instance or registered name
+   * @param {boolean} enabled - Whether the system should run
+   */
+  setSystemEnabled(systemOrName, enabled) {
+    this.systems.setEnabled(systemOrName, enabled);
+  }
+  
+  /**
+   * Game speed multiplier, also applied to the physics simulation
+   * @returns {number} Time scale
+   */
+  get timeScale() {
+    return this._timeScale;
+  }
+  
+  set timeScale(value) {
+    this._timeScale = Math.max(value, 0);
+    this.physicsSystem.timeScale = this._timeScale;
   }
   
   _createRenderer() {
+    const { width, height } = this.getSize();
+    
+    if (this.options.renderer || this.headless) {
+      const renderer = this.options.renderer || new HeadlessRenderer({ width, height });
+      
+      if (this.container && renderer.domElement) {
+        this.container.appendChild(renderer.domElement);
+      }
+      
+      return renderer;
+    }
+    
+    // Antialiasing can't change once the context exists; pixel ratio and shadows are set by the QualityManager
     const renderer = new THREE.WebGLRenderer({ 
-      antialias: true,
+      antialias: QualityManager.getPreset(this.options.quality || 'high').antialias,
       alpha: true,
       powerPreference: 'high-performance',
     });
     
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.setSize(width, height);
     
     this.container.appendChild(renderer.domElement);
     
@@ -51,9 +292,10 @@ export class Engine {
   }
   
   _createCamera() {
+    const { width, height } = this.getSize();
     const camera = new THREE.PerspectiveCamera(
       75, 
-      window.innerWidth / window.innerHeight,
+      width / height,
       0.1,
       1000
     );
@@ -64,36 +306,89 @@ export class Engine {
     return camera;
   }
   
-  setActiveScene(scene) {
-    this.activeScene = scene;
-    this.scene = scene.threeScene;
-    this.debug.log(`Set active scene: ${scene.constructor.name}`);
+  /**
+   * The scene on top of the scene stack
+   * @returns {Object|null} Active scene
+   */
+  get activeScene() {
+    return this.sceneManager.activeScene;
   }
   
-  async loadAssets(progressCallback) {
-    if (!this.activeScene) {
-      throw new Error('No active scene set. Call setActiveScene() first.');
+  /**
+   * Replace the active scene, loading its assets first
+   * @param {Object} scene - Scene to activate
+   * @param {Object} options - Transition options passed to SceneManager.replace
+   * @returns {Promise} Resolves once the scene has been entered
+   */
+  setActiveScene(scene, options = {}) {
+    return this.sceneManager.replace(scene, options);
+  }
+  
+  /**
+   * Load the assets required by a scene
+   * @param {Function} progressCallback - Progress callback (itemsLoaded, totalItems)
+   * @param {Object} scene - Scene whose manifest to load (defaults to the active scene)
+   */
+  async loadAssets(progressCallback, scene = this.activeScene) {
+    if (!scene) {
+      throw new Error('No scene to load assets for. Pass a scene or call setActiveScene() first.');
     }
     
-    // Load assets required by the active scene
-    const assetManifest = this.activeScene.getAssetManifest();
+    // Load assets required by the scene
+    const assetManifest = typeof scene.getAssetManifest === 'function' ? scene.getAssetManifest() : null;
     if (assetManifest && Object.keys(assetManifest).length > 0) {
-      await this.assetLoader.loadAssets(assetManifest, progressCallback);
+      try {
+        await this.assetLoader.loadAssets(assetManifest, progressCallback);
+      } catch (error) {
+        this.reportError(error, 'loadAssets');
+        throw error;
+      }
     } else {
-      this.debug.log('No assets to load for current scene');
+      this.debug.log(`No assets to load for ${scene.constructor.name}`);
+    }
+    
+    this.emit('assetsLoaded', { scene, manifest: assetManifest || {} });
+  }
+  
+  /**
+   * Error boundary for the frame loop: report an error thrown by a system or scene
+   * once and pause, instead of repeating it every frame
+   * @param {Error} error - The error
+   * @param {string} source - Where it happened (e.g. system physics, ExampleScene.update)
+   */
+  handleFrameError(error, source) {
+    const key = `${source}: ${error && error.message}`;
+    if (this._reportedFrameErrors.has(key)) return;
+    this._reportedFrameErrors.add(key);
+    
+    // Pause first so error listeners see the paused state
+    if (this.pauseOnError) {
+      this.pause();
     }
+    
+    this.reportError(error, source);
+  }
+  
+  /**
+   * Log an error and notify error listeners
+   * @param {Error} error - The error
+   * @param {string} source - Where it happened
+   */
+  reportError(error, source) {
+    this.debug.error(`${source}: ${error.message}`);
+    this.emit('error', { error, source });
   }
   
   start() {
     if (this.isRunning) return;
     
     this.isRunning = true;
-    this.lastTime = performance.now();
-    this.animate();
+    this.isPaused = false;
+    this.lastTime = this.clock.now();
     
-    // Initialize the active scene if one is set
-    if (this.activeScene) {
-      this.activeScene.init();
+    // Without a frame scheduler (headless) frames are driven by stepFrames()
+    if (this.requestFrame) {
+      this.animate();
     }
     
     this.debug.log('Engine started');
@@ -101,54 +396,325 @@ export class Engine {
   
   stop() {
     this.isRunning = false;
+    
+    if (this.frameRequest !== null && this.cancelFrame) {
+      this.cancelFrame(this.frameRequest);
+    }
+    this.frameRequest = null;
+    
     this.debug.log('Engine stopped');
   }
   
+  /**
+   * Tear the engine down: stop the loop, dispose every scene and subsystem,
+   * remove all listeners and release the renderer and its canvas.
+   * The engine can't be used afterwards; create a new one to remount.
+   */
+  dispose() {
+    if (this.isDisposed) return;
+    
+    this.stop();
+    
+    if (!this.headless) {
+      document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+    }
+    
+    // forceContextLoss() below must not look like a real context loss
+    this._listenForContextLoss(false);
+    
+    // Scenes first, they release what they registered with the subsystems
+    this.sceneManager.dispose();
+    
+    this.inputManager.dispose();
+    this.physicsSystem.dispose();
+    this.audioManager.dispose();
+    this.assetLoader.dispose();
+    this.cameras.dispose();
+    this.quality.dispose();
+    
+    // Release the WebGL context and remove the canvas
+    this.renderer.dispose();
+    if (typeof this.renderer.forceContextLoss === 'function') {
+      this.renderer.forceContextLoss();
+    }
+    const canvas = this.renderer.domElement;
+    if (canvas && canvas.parentNode) {
+      canvas.parentNode.removeChild(canvas);
+    }
+    
+    this.isDisposed = true;
+    this.debug.log('Engine disposed');
+    
+    this.removeAllListeners();
+  }
+  
+  /**
+   * Freeze the simulation and audio while still rendering the current frame
+   */
+  pause() {
+    if (!this.isRunning || this.isPaused) return;
+    
+    this.isPaused = true;
+    this.audioManager.pauseAll();
+    
+    this.debug.log('Engine paused');
+  }
+  
+  /**
+   * Continue after pause() without a time jump
+   */
+  resume() {
+    if (!this.isPaused) return;
+    
+    this.isPaused = false;
+    this._pausedByVisibility = false;
+    this._pausedByContextLoss = false;
+    
+    // Errors that happen again after resuming are reported again
+    this._reportedFrameErrors.clear();
+    
+    // Don't count the time spent paused as frame time
+    this.lastTime = this.clock.now();
+    
+    this.audioManager.resumeAll();
+    
+    this.debug.log('Engine resumed');
+  }
+  
+  /**
+   * Advance exactly one fixed step and render it, pausing the engine first if needed
+   */
+  step() {
+    if (!this.isPaused) this.pause();
+    
+    this._update(this.fixedTimeStep);
+    this._render();
+  }
+  
   animate() {
     if (!this.isRunning) return;
     
     // Request next frame
-    requestAnimationFrame(this.animate.bind(this));
+    this.frameRequest = this.requestFrame(this.animate);
     
     // Calculate time delta
-    const currentTime = performance.now();
-    this.deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
-    this.elapsedTime += this.deltaTime;
+    const currentTime = this.clock.now();
+    const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
     this.lastTime = currentTime;
     
+    this._tick(deltaTime);
+  }
+  
+  /**
+   * Advance the engine by a number of frames without waiting for the display,
+   * e.g. to drive a headless engine from a test
+   * @param {number} count - Number of frames to run
+   * @param {number} deltaTime - Duration of each frame in seconds (default one fixed step)
+   */
+  stepFrames(count = 1, deltaTime = this.fixedTimeStep) {
+    for (let i = 0; i < count; i++) {
+      this._tick(deltaTime);
+    }
+  }
+  
+  /**
+   * Run a single frame: fixed steps, scene update and render
+   * @param {number} deltaTime - Frame time in seconds
+   * @private
+   */
+  _tick(deltaTime) {
     // Start stats measurement
     if (this.stats) this.stats.begin();
     
-    // Update physics
-    this.physicsSystem.update(this.deltaTime);
-    
-    // Update active scene
-    if (this.activeScene) {
-      this.activeScene.update(this.deltaTime, this.elapsedTime);
+    // Systems and scenes have their own boundaries, this catches event listeners
+    try {
+      // Keep rendering while paused so the last frame stays on screen
+      if (!this.isPaused) {
+        this._update(deltaTime);
+      }
+      
+      this.sceneManager.updateTransition(deltaTime);
+      this._render();
+    } catch (error) {
+      this.handleFrameError(error, 'frame');
     }
     
-    // Render the scene
-    this.renderer.render(this.scene, this.camera);
-    
     // End stats measurement
     if (this.stats) this.stats.end();
   }
   
+  /**
+   * Advance the simulation and scenes by one frame
+   * @param {number} deltaTime - Real frame time in seconds
+   * @private
+   */
+  _update(deltaTime) {
+    this.deltaTime = deltaTime * this.timeScale;
+    this.elapsedTime += this.deltaTime;
+    
+    this.emit('beforeUpdate', { deltaTime: this.deltaTime, elapsedTime: this.elapsedTime });
+    
+    this.systems.run('input', this.deltaTime);
+    this.systems.run('preUpdate', this.deltaTime);
+    
+    // Advance the simulation in fixed steps
+    this._fixedUpdate(deltaTime);
+    
+    // Update scenes and systems with the interpolation factor between physics states
+    this.systems.run('update', this.deltaTime, this.alpha);
+    this.systems.run('lateUpdate', this.deltaTime, this.alpha);
+  }
+  
+  /**
+   * Run as many fixed simulation steps as the elapsed frame time allows
+   * @param {number} deltaTime - Frame time in seconds
+   * @private
+   */
+  _fixedUpdate(deltaTime) {
+    // Steps run at a constant real-time rate and physics-phase systems receive the
+    // real step; the physics system applies the time scale itself, so each step
+    // covers fixedTimeStep * timeScale of game time
+    this.accumulator += deltaTime;
+    
+    let subSteps = 0;
+    while (this.accumulator >= this.fixedTimeStep && subSteps < this.maxSubSteps) {
+      this.systems.run('physics', this.fixedTimeStep);
+      
+      this.accumulator -= this.fixedTimeStep;
+      subSteps++;
+    }
+    
+    // Drop the time we couldn't catch up on (e.g. after a tab switch)
+    // instead of spiralling into ever longer frames
+    if (this.accumulator >= this.fixedTimeStep) {
+      this.accumulator %= this.fixedTimeStep;
+    }
+    
+    // Blend rendered transforms between the last two physics states
+    this.alpha = this.accumulator / this.fixedTimeStep;
+    this.physicsSystem.interpolate(this.alpha);
+    
+    this.emit('afterPhysics', {
+      subSteps,
+      fixedDelta: this.fixedTimeStep * this.timeScale,
+      alpha: this.alpha,
+    });
+  }
+  
+  /**
+   * Run the render phase
+   * @private
+   */
+  _render() {
+    // Nothing can be drawn until the context is back
+    if (this.isContextLost) return;
+    
+    const frame = { deltaTime: this.deltaTime, elapsedTime: this.elapsedTime };
+    
+    this.emit('beforeRender', frame);
+    this.systems.run('render', this.deltaTime, this.alpha);
+    this.emit('afterRender', frame);
+  }
+  
+  /**
+   * Add or remove the canvas' context loss listeners
+   * @param {boolean} enabled - Whether to listen
+   * @private
+   */
+  _listenForContextLoss(enabled) {
+    const canvas = this.renderer.domElement;
+    if (!canvas || typeof canvas.addEventListener !== 'function') return;
+    
+    const method = enabled ? 'addEventListener' : 'removeEventListener';
+    canvas[method]('webglcontextlost', this._handleContextLost);
+    canvas[method]('webglcontextrestored', this._handleContextRestored);
+  }
+  
+  /**
+   * Stop rendering and pause the game when the GPU drops the WebGL context
+   * @param {Event} event - webglcontextlost event
+   * @private
+   */
+  _handleContextLost(event) {
+    // Without this the browser never restores the context
+    event.preventDefault();
+    
+    this.isContextLost = true;
+    
+    if (this.isRunning && !this.isPaused) {
+      this.pause();
+      this._pausedByContextLoss = true;
+    }
+    
+    this.debug.error('WebGL context lost');
+    this.emit('contextLost', {});
+  }
+  
+  /**
+   * Rebuild GPU resources and resume once the WebGL context is back
+   * @private
+   */
+  _handleContextRestored() {
+    this.isContextLost = false;
+    
+    // three.js re-initialises its GL state on restore and re-uploads geometries,
+    // textures and render targets the next time they are used; shadow maps and
+    // anything a scene rendered into a texture once have to be redrawn
+    this.renderer.shadowMap.needsUpdate = true;
+    this.sceneManager.onContextRestored();
+    
+    if (this._pausedByContextLoss) {
+      this.resume();
+    }
+    
+    this.debug.log('WebGL context restored');
+    this.emit('contextRestored', {});
+  }
+  
+  /**
+   * Pause when the page is hidden and resume when it becomes visible again
+   * @private
+   */
+  _handleVisibilityChange() {
+    if (document.hidden) {
+      if (this.isRunning && !this.isPaused) {
+        this.pause();
+        this._pausedByVisibility = true;
+      }
+    } else if (this._pausedByVisibility) {
+      this.resume();
+    }
+  }
+  
+  /**
+   * Get the size of the rendered viewport
+   * @returns {{width: number, height: number}} Size in CSS pixels
+   */
+  getSize() {
+    if (this.options.width && this.options.height) {
+      return { width: this.options.width, height: this.options.height };
+    }
+    
+    if (this.headless) {
+      return { width: 800, height: 600 };
+    }
+    
+    return { width: window.innerWidth, height: window.innerHeight };
+  }
+  
   handleResize() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const { width, height } = this.getSize();
     
-    // Update camera aspect ratio
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
+    // Keep every camera's aspect ratio matched to its viewport
+    this.cameras.onResize(width, height);
     
     // Update renderer size
     this.renderer.setSize(width, height);
     
-    // Update active scene
-    if (this.activeScene && typeof this.activeScene.onResize === 'function') {
-      this.activeScene.onResize(width, height);
-    }
+    // Update scenes
+    this.sceneManager.onResize(width, height);
+    
+    this.emit('resize', { width, height });
     
     this.debug.log(`Resized: ${width}x${height}`);
   }
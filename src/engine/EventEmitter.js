@@ -0,0 +1,97 @@
+export class EventEmitter {
+  constructor() {
+    // Listener lists keyed by event name
+    this._listeners = new Map();
+  }
+  
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Function that removes the listener again
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    
+    this._listeners.get(event).push(listener);
+    
+    return () => this.off(event, listener);
+  }
+  
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Function that removes the listener again
+   */
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    
+    // Allow off(event, listener) with the original function
+    wrapper.listener = listener;
+    
+    return this.on(event, wrapper);
+  }
+  
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on() or once()
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+    
+    const index = listeners.findIndex(entry => entry === listener || entry.listener === listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+    
+    if (listeners.length === 0) {
+      this._listeners.delete(event);
+    }
+  }
+  
+  /**
+   * Notify every listener of an event
+   * @param {string} event - Event name
+   * @param {Object} payload - Data passed to the listeners
+   * @returns {boolean} True if the event had listeners
+   */
+  emit(event, payload) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return false;
+    
+    // Copy so listeners can unsubscribe while being notified
+    [...listeners].forEach(listener => listener(payload));
+    
+    return true;
+  }
+  
+  /**
+   * Count the listeners of an event
+   * @param {string} event - Event name
+   * @returns {number} Number of listeners
+   */
+  listenerCount(event) {
+    const listeners = this._listeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+  
+  /**
+   * Remove every listener of an event, or of all events
+   * @param {string} event - Event name (omit to clear all events)
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners.clear();
+    } else {
+      this._listeners.delete(event);
+    }
+  }
+}
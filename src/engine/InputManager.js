@@ -1,13 +1,25 @@
 export class InputManager {
-  constructor() {
-    // Key states
+  /**
+   * @param {Object} options - Input options
+   * @param {EventTarget} options.target - Source of keyboard, mouse and touch events (default window)
+   * @param {Document} options.document - Document used for pointer lock (default the global document, if any)
+   */
+  constructor(options = {}) {
+    // Event sources
+    this.target = options.target || window;
+    this.document = options.document !== undefined ? options.document : (typeof document !== 'undefined' ? document : null);
+    
+    // Key states (live state from events, and the per-frame snapshots queries read)
     this.keys = {};
+    this.frameKeys = {};
     this.previousKeys = {};
     
     // Mouse states
     this.mousePosition = { x: 0, y: 0 };
     this.mouseDelta = { x: 0, y: 0 };
+    this.pendingMouseDelta = { x: 0, y: 0 };
     this.mouseButtons = { left: false, middle: false, right: false };
+    this.frameMouseButtons = { left: false, middle: false, right: false };
     this.previousMouseButtons = { left: false, middle: false, right: false };
     
     // Touch states
@@ -17,46 +29,58 @@ export class InputManager {
     // Pointer lock state
     this.isPointerLocked = false;
     
+    // Registered DOM listeners, kept so dispose() can remove them
+    this._listeners = [];
+    
     // Setup event listeners
     this._setupKeyboardEvents();
     this._setupMouseEvents();
     this._setupTouchEvents();
   }
   
+  /**
+   * Start a new input frame. Runs at the beginning of each frame (input phase):
+   * queries during the frame read a snapshot of the live state, and pressed /
+   * released edges compare it with the previous frame's snapshot
+   */
   update() {
-    // Update previous states for next frame
-    this.previousKeys = { ...this.keys };
-    this.previousMouseButtons = { ...this.mouseButtons };
-    this.previousTouches = [...this.touches];
+    this.previousKeys = this.frameKeys;
+    this.frameKeys = { ...this.keys };
     
-    // Reset mouse delta
-    this.mouseDelta = { x: 0, y: 0 };
+    this.previousMouseButtons = this.frameMouseButtons;
+    this.frameMouseButtons = { ...this.mouseButtons };
+    
+    this.previousTouches = this.touches;
+    
+    // Mouse movement accumulated since the last frame
+    this.mouseDelta = this.pendingMouseDelta;
+    this.pendingMouseDelta = { x: 0, y: 0 };
   }
   
   // Keyboard methods
   isKeyDown(keyCode) {
-    return !!this.keys[keyCode];
+    return !!this.frameKeys[keyCode];
   }
   
   isKeyPressed(keyCode) {
-    return !!this.keys[keyCode] && !this.previousKeys[keyCode];
+    return !!this.frameKeys[keyCode] && !this.previousKeys[keyCode];
   }
   
   isKeyReleased(keyCode) {
-    return !this.keys[keyCode] && !!this.previousKeys[keyCode];
+    return !this.frameKeys[keyCode] && !!this.previousKeys[keyCode];
   }
   
   // Mouse methods
   isMouseButtonDown(button) {
-    return !!this.mouseButtons[button];
+    return !!this.frameMouseButtons[button];
   }
   
   isMouseButtonPressed(button) {
-    return !!this.mouseButtons[button] && !this.previousMouseButtons[button];
+    return !!this.frameMouseButtons[button] && !this.previousMouseButtons[button];
   }
   
   isMouseButtonReleased(button) {
-    return !this.mouseButtons[button] && !!this.previousMouseButtons[button];
+    return !this.frameMouseButtons[button] && !!this.previousMouseButtons[button];
   }
   
   getMousePosition() {
@@ -75,8 +99,8 @@ export class InputManager {
   }
   
   exitPointerLock() {
-    if (document.exitPointerLock) {
-      document.exitPointerLock();
+    if (this.document && this.document.exitPointerLock) {
+      this.document.exitPointerLock();
     }
   }
   
@@ -89,18 +113,50 @@ export class InputManager {
     return [...this.touches];
   }
   
+  /**
+   * Remove every event listener and reset the input state
+   */
+  dispose() {
+    this._listeners.forEach(({ target, type, handler }) => {
+      target.removeEventListener(type, handler);
+    });
+    this._listeners = [];
+    
+    this.keys = {};
+    this.frameKeys = {};
+    this.previousKeys = {};
+    this.mouseButtons = { left: false, middle: false, right: false };
+    this.frameMouseButtons = { left: false, middle: false, right: false };
+    this.previousMouseButtons = { left: false, middle: false, right: false };
+    this.touches = [];
+    this.previousTouches = [];
+  }
+  
   // Private event setup methods
+  
+  /**
+   * Add an event listener that dispose() will remove again
+   * @param {EventTarget} target - Event source
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   * @private
+   */
+  _listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this._listeners.push({ target, type, handler });
+  }
+  
   _setupKeyboardEvents() {
-    window.addEventListener('keydown', (event) => {
+    this._listen(this.target, 'keydown', (event) => {
       this.keys[event.code] = true;
     });
     
-    window.addEventListener('keyup', (event) => {
+    this._listen(this.target, 'keyup', (event) => {
       this.keys[event.code] = false;
     });
     
     // Prevent default behavior for some keys
-    window.addEventListener('keydown', (event) => {
+    this._listen(this.target, 'keydown', (event) => {
       // Prevent default for arrow keys, space, etc. to avoid page scrolling
       if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space'].includes(event.code)) {
         event.preventDefault();
@@ -109,7 +165,7 @@ export class InputManager {
   }
   
   _setupMouseEvents() {
-    window.addEventListener('mousemove', (event) => {
+    this._listen(this.target, 'mousemove', (event) => {
       // Update mouse position
       const previousX = this.mousePosition.x;
       const previousY = this.mousePosition.y;
@@ -117,18 +173,18 @@ export class InputManager {
       this.mousePosition.x = event.clientX;
       this.mousePosition.y = event.clientY;
       
-      // Calculate delta for non-pointer lock movement
+      // Accumulate the delta for non-pointer lock movement until the next frame
       if (!this.isPointerLocked) {
-        this.mouseDelta.x = this.mousePosition.x - previousX;
-        this.mouseDelta.y = this.mousePosition.y - previousY;
+        this.pendingMouseDelta.x += this.mousePosition.x - previousX;
+        this.pendingMouseDelta.y += this.mousePosition.y - previousY;
       } else {
         // In pointer lock, movementX/Y gives the delta directly
-        this.mouseDelta.x = event.movementX || 0;
-        this.mouseDelta.y = event.movementY || 0;
+        this.pendingMouseDelta.x += event.movementX || 0;
+        this.pendingMouseDelta.y += event.movementY || 0;
       }
     });
     
-    window.addEventListener('mousedown', (event) => {
+    this._listen(this.target, 'mousedown', (event) => {
       switch (event.button) {
         case 0: this.mouseButtons.left = true; break;
         case 1: this.mouseButtons.middle = true; break;
@@ -136,7 +192,7 @@ export class InputManager {
       }
     });
     
-    window.addEventListener('mouseup', (event) => {
+    this._listen(this.target, 'mouseup', (event) => {
       switch (event.button) {
         case 0: this.mouseButtons.left = false; break;
         case 1: this.mouseButtons.middle = false; break;
@@ -145,30 +201,32 @@ export class InputManager {
     });
     
     // Prevent context menu on right click
-    window.addEventListener('contextmenu', (event) => {
+    this._listen(this.target, 'contextmenu', (event) => {
       event.preventDefault();
     });
     
     // Pointer lock change
-    document.addEventListener('pointerlockchange', () => {
-      this.isPointerLocked = document.pointerLockElement !== null;
-    });
+    if (this.document) {
+      this._listen(this.document, 'pointerlockchange', () => {
+        this.isPointerLocked = this.document.pointerLockElement !== null;
+      });
+    }
   }
   
   _setupTouchEvents() {
-    window.addEventListener('touchstart', (event) => {
+    this._listen(this.target, 'touchstart', (event) => {
       this._updateTouches(event.touches);
     });
     
-    window.addEventListener('touchmove', (event) => {
+    this._listen(this.target, 'touchmove', (event) => {
       this._updateTouches(event.touches);
     });
     
-    window.addEventListener('touchend', (event) => {
+    this._listen(this.target, 'touchend', (event) => {
       this._updateTouches(event.touches);
     });
     
-    window.addEventListener('touchcancel', (event) => {
+    this._listen(this.target, 'touchcancel', (event) => {
       this._updateTouches(event.touches);
     });
   }
@@ -1,17 +1,138 @@
 import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter';
+import { collide, computeConvexHull } from './physics/Narrowphase';
+import { computeBounds, createBroadphase } from './physics/Broadphase';
+import { updateInverseInertia, updateWorldInverseInertia } from './physics/Inertia';
+import { castShape } from './physics/Queries';
+import { CollisionLayers } from './physics/CollisionLayers';
+import { createJoint } from './physics/Joints';
+import { CharacterController } from './physics/CharacterController';
+import { ObjectBinding, computeObjectShape, getWorldTransform, validateObjectType } from './physics/ObjectBinding';
+import { SeededRandom } from './physics/Random';
+import {
+  SNAPSHOT_VERSION,
+  serializeBody,
+  deserializeBody,
+  serializeCollider,
+  deserializeCollider,
+  serializeContact,
+  deserializeContact,
+} from './physics/Snapshot';
 
-export class PhysicsSystem {
+// Scratch objects for queries
+const queryBounds = new THREE.Box3();
+const objectBounds = new THREE.Box3();
+const queryExtents = new THREE.Vector3();
+const queryRay = new THREE.Ray();
+const boundsEntry = new THREE.Vector3();
+
+// Scratch objects for continuous collision detection
+const sweepBounds = new THREE.Box3();
+const sweepSize = new THREE.Vector3();
+
+// How far a swept body is pushed past the point of impact, so the contact is found and solved as usual
+const CCD_OVERLAP = 0.005;
+
+// Contact points that moved less than this (squared) since last step keep their impulses
+const WARM_START_DISTANCE_SQUARED = 0.0025;
+
+// Callback and event names for each stage of a contact
+const COLLISION_CALLBACKS = { enter: 'onCollisionEnter', stay: 'onCollisionStay', exit: 'onCollisionExit' };
+const COLLISION_EVENTS = { enter: 'collisionEnter', stay: 'collisionStay', exit: 'collisionExit' };
+
+/**
+ * Payload of the collisionEnter, collisionStay and collisionExit events and callbacks
+ * @typedef {Object} CollisionEvent
+ * @property {string} type - enter, stay or exit
+ * @property {Object} a - Dynamic body
+ * @property {Object} b - Other body or collider
+ * @property {Array<THREE.Vector3>} points - Contact points in world space (empty on exit)
+ * @property {THREE.Vector3|null} point - Center of the contact points
+ * @property {THREE.Vector3|null} normal - Contact normal, pointing from a to b
+ * @property {number} depth - Penetration depth before the pair was pushed apart
+ * @property {THREE.Vector3|null} relativeVelocity - Velocity of a relative to b at the contact point,
+ *   before the solver ran
+ * @property {number} impactSpeed - Closing speed along the normal, from relativeVelocity
+ * @property {number} impulse - Normal impulse the solver applied this step, summed over the points
+ * @property {Object|null} contact - Narrowphase contact, with the solver's impulses for each point
+ */
+
+/**
+ * Emits collisionEnter, collisionStay and collisionExit with a CollisionEvent
+ * after each step, for every pair that touches (triggers aside).
+ */
+export class PhysicsSystem extends EventEmitter {
+  /**
+   * @param {Object} options - Physics options
+   * @param {Object} options.gravity - Gravity acceleration { x, y, z }
+   * @param {number} options.timeScale - Simulation speed multiplier
+   * @param {string|Broadphase} options.broadphase - none, spatialHash, sweepAndPrune or aabbTree
+   *   (default aabbTree), or a Broadphase instance
+   * @param {Object} options.broadphaseOptions - Options for the broadphase, e.g. { cellSize }
+   * @param {number} options.restitutionThreshold - Slowest impact speed that bounces (default 0.5),
+   *   so resting bodies don't jitter
+   * @param {Object} options.layers - Collision layer names and matrix, see CollisionLayers
+   * @param {number} options.solverIterations - Passes over all contacts and joints each step (default 8),
+   *   more keep stacks and chains steadier
+   * @param {boolean} options.allowSleep - Let bodies that stay still fall asleep (default true)
+   * @param {number} options.sleepSpeed - Speed below which a body counts as still (default 0.1)
+   * @param {number} options.sleepAngularSpeed - Spin below which a body counts as still, in radians
+   *   per second (default 0.1)
+   * @param {number} options.timeToSleep - Seconds an island has to stay still to fall asleep (default 0.5)
+   * @param {number} options.seed - Seed of the random number generator in physicsSystem.random (default 1)
+   * @param {boolean} options.debugEnabled - Enable debug information
+   */
   constructor(options = {}) {
+    super();
+    
     // Physics configuration
     this.gravity = options.gravity || { x: 0, y: -9.8, z: 0 };
     this.timeScale = options.timeScale || 1.0;
+    this.restitutionThreshold = options.restitutionThreshold !== undefined ? options.restitutionThreshold : 0.5;
+    this.solverIterations = options.solverIterations || 8;
+    this.allowSleep = options.allowSleep !== undefined ? options.allowSleep : true;
+    this.sleepSpeed = options.sleepSpeed !== undefined ? options.sleepSpeed : 0.1;
+    this.sleepAngularSpeed = options.sleepAngularSpeed !== undefined ? options.sleepAngularSpeed : 0.1;
+    this.timeToSleep = options.timeToSleep !== undefined ? options.timeToSleep : 0.5;
     
     // Collections for physics objects
     this.bodies = [];
     this.colliders = [];
     
-    // Collision matrix for optimization
-    this.collisionMatrix = {};
+    // Generated ids count up and are never reused, so they stay the same across snapshots
+    this._nextBodyId = 0;
+    this._nextColliderId = 0;
+    
+    // Randomness for gameplay that should replay exactly, saved with snapshots
+    this.random = new SeededRandom(options.seed);
+    
+    // Which layers collide with which
+    this.layers = new CollisionLayers(options.layers);
+    
+    // Finds the pairs worth passing to the narrowphase
+    this.setBroadphase(options.broadphase || 'aabbTree', options.broadphaseOptions);
+    
+    // Pairs currently touching, by pair key
+    this.contacts = new Map();
+    
+    // Pairs found so far and objects removed by callbacks, while collisions are being checked
+    this._checking = null;
+    
+    // Contact points waiting for the solver this step
+    this.contactConstraints = [];
+    
+    // Collision events waiting for the solver's impulses this step
+    this.collisionEvents = [];
+    
+    // Joints, and how many join each pair of bodies that shouldn't collide
+    this.joints = [];
+    this.connectedPairs = new Map();
+    
+    // three.js objects attached to bodies, by object
+    this.bindings = new Map();
+    
+    // Counts from the last step
+    this.stats = { broadphasePairs: 0, contacts: 0, islands: 0, sleepingBodies: 0 };
     
     // Debug information
     this.debugEnabled = options.debugEnabled || false;
@@ -24,9 +145,38 @@ export class PhysicsSystem {
    */
   addBody(body) {
     if (!body.id) {
-      body.id = `body_${this.bodies.length}`;
+      body.id = `body_${this._nextBodyId++}`;
     }
     
+    // State used to interpolate rendered transforms between fixed steps
+    if (!body.previousPosition) {
+      body.previousPosition = body.position.clone();
+    }
+    if (!body.interpolatedPosition) {
+      body.interpolatedPosition = body.position.clone();
+    }
+    
+    // Rotation state, for bodies not made by createBody
+    if (!body.quaternion) body.quaternion = new THREE.Quaternion();
+    if (!body.angularVelocity) body.angularVelocity = new THREE.Vector3();
+    if (!body.torque) body.torque = new THREE.Vector3();
+    if (!body.inverseInertia) {
+      body.inverseInertia = new THREE.Vector3();
+      body.inverseInertiaWorld = new THREE.Matrix3();
+      updateInverseInertia(body);
+    }
+    if (!body.previousQuaternion) {
+      body.previousQuaternion = body.quaternion.clone();
+    }
+    if (!body.interpolatedQuaternion) {
+      body.interpolatedQuaternion = body.quaternion.clone();
+    }
+    
+    // Sleep state, see _updateSleep
+    if (body.isSleeping === undefined) body.isSleeping = false;
+    if (body.sleepTimer === undefined) body.sleepTimer = 0;
+    
+    this.layers.assign(body);
     this.bodies.push(body);
     
     return body;
@@ -40,24 +190,47 @@ export class PhysicsSystem {
     const index = this.bodies.indexOf(body);
     if (index !== -1) {
       this.bodies.splice(index, 1);
+      this._forgetContacts(body);
       
-      // Remove from collision matrix
-      delete this.collisionMatrix[body.id];
-      Object.keys(this.collisionMatrix).forEach(id => {
-        delete this.collisionMatrix[id][body.id];
-      });
+      // Joints can't hold on to a body that's gone
+      this.joints
+        .filter(joint => joint.bodyA === body || joint.bodyB === body)
+        .forEach(joint => this.removeJoint(joint));
+      
+      // Nor can an attached object keep pointing at it
+      const object3D = body.userData && body.userData.object3D;
+      if (object3D && this.bindings.has(object3D)) {
+        this.bindings.delete(object3D);
+        delete object3D.userData.physicsBody;
+        delete body.userData.object3D;
+      }
     }
   }
   
+  /**
+   * Choose how collision pairs are found
+   * @param {string|Broadphase} broadphase - none (test every pair), spatialHash, sweepAndPrune
+   *   or aabbTree, or a Broadphase instance
+   * @param {Object} options - Options for the broadphase, e.g. { cellSize } or { margin }
+   */
+  setBroadphase(broadphase, options = {}) {
+    if (this.broadphase) {
+      this.broadphase.clear();
+    }
+    
+    this.broadphase = typeof broadphase === 'string' ? createBroadphase(broadphase, options) : broadphase;
+  }
+  
   /**
    * Add a collider to the simulation
    * @param {Object} collider - Collider to add
    */
   addCollider(collider) {
     if (!collider.id) {
-      collider.id = `collider_${this.colliders.length}`;
+      collider.id = `collider_${this._nextColliderId++}`;
     }
     
+    this.layers.assign(collider);
     this.colliders.push(collider);
     
     return collider;
@@ -71,61 +244,190 @@ export class PhysicsSystem {
     const index = this.colliders.indexOf(collider);
     if (index !== -1) {
       this.colliders.splice(index, 1);
+      this._forgetContacts(collider);
     }
   }
   
+  /**
+   * Wake the bodies touching an object, e.g. after moving a static or kinematic body by hand
+   * @param {Object} object - Body or collider
+   */
+  wakeTouching(object) {
+    this.contacts.forEach(pair => {
+      if (pair.a === object && pair.b.isSleeping) wakeBody(pair.b);
+      if (pair.b === object && pair.a.isSleeping) wakeBody(pair.a);
+    });
+  }
+  
+  /**
+   * Move a body or collider to another collision layer
+   * @param {Object} object - Body or collider
+   * @param {string} layer - Layer name
+   * @param {Array<string>} collidesWith - Layers it collides with (default from the layer matrix)
+   */
+  setLayer(object, layer, collidesWith) {
+    object.layer = layer;
+    object.collidesWith = collidesWith || null;
+    this.layers.assign(object);
+  }
+  
   /**
    * Create a simple physics body
    * @param {Object} options - Body options
+   * @param {THREE.Quaternion} options.quaternion - Initial orientation
+   * @param {THREE.Vector3} options.angularVelocity - Initial spin in radians per second
+   * @param {number} options.angularDamping - Fraction of the spin lost per second (default 0.05)
+   * @param {boolean} options.fixedRotation - Never rotate, e.g. for characters (default false)
+   * @param {boolean} options.ccd - Sweep the body along its path each step, so it can't pass
+   *   through thin objects when moving fast, e.g. for projectiles (default false)
+   * @param {boolean} options.allowSleep - Let the body fall asleep when it stays still (default true)
+   * @param {Function} options.onSleep - Called with the body when it falls asleep
+   * @param {Function} options.onWake - Called with the body when it wakes up
+   * @param {Function} options.onCollisionEnter - Called with the other object and a CollisionEvent
+   *   when they start touching
+   * @param {Function} options.onCollisionStay - Same, each step they keep touching
+   * @param {Function} options.onCollisionExit - Same, when they stop touching
+   * @param {string} options.layer - Collision layer (default 'default')
+   * @param {Array<string>} options.collidesWith - Layers it collides with (default from the layer matrix)
    * @returns {Object} New physics body
    */
   createBody(options = {}) {
+    const dimensions = options.dimensions || new THREE.Vector3(1, 1, 1);
+    
     const body = {
-      id: options.id || `body_${this.bodies.length}`,
+      id: options.id || null,
       position: options.position || new THREE.Vector3(),
+      quaternion: options.quaternion || new THREE.Quaternion(),
       velocity: options.velocity || new THREE.Vector3(),
       acceleration: options.acceleration || new THREE.Vector3(),
+      angularVelocity: options.angularVelocity || new THREE.Vector3(),
+      torque: new THREE.Vector3(),
+      angularDamping: options.angularDamping !== undefined ? options.angularDamping : 0.05,
+      fixedRotation: options.fixedRotation || false,
+      ccd: options.ccd || false,
+      allowSleep: options.allowSleep !== undefined ? options.allowSleep : true,
+      isSleeping: false,
+      sleepTimer: 0,
+      onSleep: options.onSleep || null,
+      onWake: options.onWake || null,
+      onCollisionEnter: options.onCollisionEnter || null,
+      onCollisionStay: options.onCollisionStay || null,
+      onCollisionExit: options.onCollisionExit || null,
       mass: options.mass || 1.0,
       restitution: options.restitution || 0.3,
       friction: options.friction || 0.5,
       isStatic: options.isStatic || false,
+      layer: options.layer || 'default',
+      collidesWith: options.collidesWith || null,
       shape: options.shape || 'box',
-      dimensions: options.dimensions || new THREE.Vector3(1, 1, 1),
+      dimensions,
+      ...this._getShapeOptions(options, dimensions),
       userData: options.userData || {},
       
+      // Local inverse inertia (diagonal) and its world-space version, see updateInertia()
+      inverseInertia: new THREE.Vector3(),
+      inverseInertiaWorld: new THREE.Matrix3(),
+      
       // Methods to make it easier to work with the body
-      applyForce(force) {
+      /**
+       * Push the body for this step
+       * @param {THREE.Vector3} force - Force in world space
+       * @param {THREE.Vector3} point - World-space point the force acts on (default the center)
+       */
+      applyForce(force, point) {
+        if (this.isStatic) return;
+        this.wake();
+        
+        const forceVector = new THREE.Vector3(force.x, force.y, force.z);
+        this.acceleration.addScaledVector(forceVector, 1 / this.mass);
+        
+        // Off-center forces also turn the body
+        if (point) {
+          this.torque.add(new THREE.Vector3().subVectors(point, this.position).cross(forceVector));
+        }
+      },
+      
+      /**
+       * Change the body's velocity at once
+       * @param {THREE.Vector3} impulse - Impulse in world space
+       * @param {THREE.Vector3} point - World-space point the impulse acts on (default the center)
+       */
+      applyImpulse(impulse, point) {
         if (this.isStatic) return;
+        this.wake();
         
-        const forceVector = force instanceof THREE.Vector3 ? force : new THREE.Vector3(force.x, force.y, force.z);
-        const acceleration = forceVector.divideScalar(this.mass);
-        this.acceleration.add(acceleration);
+        const impulseVector = new THREE.Vector3(impulse.x, impulse.y, impulse.z);
+        this.velocity.addScaledVector(impulseVector, 1 / this.mass);
+        
+        if (point) {
+          const angularImpulse = new THREE.Vector3().subVectors(point, this.position).cross(impulseVector);
+          this.angularVelocity.add(angularImpulse.applyMatrix3(this.inverseInertiaWorld));
+        }
       },
       
-      applyImpulse(impulse) {
+      /**
+       * Turn the body for this step
+       * @param {THREE.Vector3} torque - Torque in world space
+       */
+      applyTorque(torque) {
         if (this.isStatic) return;
+        this.wake();
         
-        const impulseVector = impulse instanceof THREE.Vector3 ? impulse : new THREE.Vector3(impulse.x, impulse.y, impulse.z);
-        const velocityChange = impulseVector.divideScalar(this.mass);
-        this.velocity.add(velocityChange);
+        this.torque.x += torque.x;
+        this.torque.y += torque.y;
+        this.torque.z += torque.z;
+      },
+      
+      /**
+       * Recompute the inertia after changing the mass, shape or size
+       */
+      updateInertia() {
+        updateInverseInertia(this);
+      },
+      
+      /**
+       * Wake the body up, e.g. after moving it or setting its velocity by hand.
+       * Anything resting on it wakes on the next step.
+       */
+      wake() {
+        wakeBody(this);
+      },
+      
+      /**
+       * Put the body to sleep until something touches it
+       */
+      sleep() {
+        sleepBody(this);
       },
     };
     
+    updateInverseInertia(body);
+    
     return this.addBody(body);
   }
   
   /**
    * Create a simple collider
    * @param {Object} options - Collider options
+   * @param {number} options.friction - Multiplied with the friction of the bodies touching it (default 0.5)
+   * @param {string} options.layer - Collision layer (default 'default')
+   * @param {Array<string>} options.collidesWith - Layers it collides with (default from the layer matrix)
    * @returns {Object} New collider
    */
   createCollider(options = {}) {
+    const dimensions = options.dimensions || new THREE.Vector3(1, 1, 1);
+    
     const collider = {
-      id: options.id || `collider_${this.colliders.length}`,
+      id: options.id || null,
       position: options.position || new THREE.Vector3(),
+      quaternion: options.quaternion || new THREE.Quaternion(),
       shape: options.shape || 'box',
-      dimensions: options.dimensions || new THREE.Vector3(1, 1, 1),
+      dimensions,
+      ...this._getShapeOptions(options, dimensions),
+      friction: options.friction !== undefined ? options.friction : 0.5,
       isTrigger: options.isTrigger || false,
+      layer: options.layer || 'default',
+      collidesWith: options.collidesWith || null,
       userData: options.userData || {},
       
       // Event handlers
@@ -140,6 +442,144 @@ export class PhysicsSystem {
     return this.addCollider(collider);
   }
   
+  /**
+   * Shape parameters shared by bodies and colliders
+   * @param {Object} options - Body or collider options
+   * @param {string} options.shape - box, sphere, capsule, plane or convex
+   * @param {number} options.radius - Sphere and capsule radius (default dimensions.x / 2)
+   * @param {THREE.Vector3} options.normal - Plane normal before rotation (default up)
+   * @param {Array<THREE.Vector3>} options.vertices - Convex hull points in local space
+   * @param {THREE.BufferGeometry} options.geometry - Geometry to build the convex hull from instead
+   * @param {THREE.Vector3} dimensions - Full size of the shape (capsules use y as their total height)
+   * @returns {Object} radius, normal and vertices
+   * @private
+   */
+  _getShapeOptions(options, dimensions) {
+    let vertices = options.vertices || null;
+    if (!vertices && options.shape === 'convex' && options.geometry) {
+      vertices = computeConvexHull(options.geometry);
+    }
+    
+    return {
+      radius: options.radius !== undefined ? options.radius : dimensions.x / 2,
+      normal: options.normal || new THREE.Vector3(0, 1, 0),
+      vertices,
+    };
+  }
+  
+  /**
+   * Add a joint to the simulation
+   * @param {Joint} joint - Joint to add
+   * @returns {Joint} The joint
+   */
+  addJoint(joint) {
+    joint.broken = false;
+    this.joints.push(joint);
+    this._wakeJoint(joint);
+    
+    if (joint.bodyB && !joint.collideConnected) {
+      const key = this._getJointKey(joint.bodyA, joint.bodyB);
+      this.connectedPairs.set(key, (this.connectedPairs.get(key) || 0) + 1);
+    }
+    
+    return joint;
+  }
+  
+  /**
+   * Create a joint and add it to the simulation
+   * @param {string} type - distance, rope, ball, hinge, slider, fixed or spring
+   * @param {Object} options - Joint options, see Joints.js. bodyB may be left out to pin bodyA to the world.
+   * @returns {Joint} New joint
+   */
+  createJoint(type, options = {}) {
+    return this.addJoint(createJoint(type, options));
+  }
+  
+  /**
+   * Remove a joint from the simulation
+   * @param {Joint} joint - Joint to remove
+   */
+  removeJoint(joint) {
+    const index = this.joints.indexOf(joint);
+    if (index === -1) return;
+    
+    this.joints.splice(index, 1);
+    this._wakeJoint(joint);
+    
+    if (joint.bodyB && !joint.collideConnected) {
+      const key = this._getJointKey(joint.bodyA, joint.bodyB);
+      const count = this.connectedPairs.get(key) - 1;
+      if (count > 0) {
+        this.connectedPairs.set(key, count);
+      } else {
+        this.connectedPairs.delete(key);
+      }
+    }
+  }
+  
+  /**
+   * Give a three.js object a body fitted to its geometry and keep the two in sync.
+   * Dynamic bodies move their object after each frame, kinematic and static bodies
+   * follow their object before each step.
+   * @param {THREE.Object3D} object3D - Mesh, or any object with meshes below it
+   * @param {Object} options - Body options passed to createBody
+   * @param {string} options.shape - box, sphere or convex (default box), fitted to the geometry
+   *   bounds and the object's world scale. Passing dimensions or radius overrides the fitted size.
+   * @param {string} options.type - dynamic, kinematic or static (default dynamic, or from isKinematic
+   *   and isStatic)
+   * @returns {Object} New physics body, also stored in object3D.userData.physicsBody
+   */
+  attach(object3D, options = {}) {
+    if (this.bindings.has(object3D)) {
+      throw new Error(`Object ${object3D.name || object3D.uuid} is already attached to a body`);
+    }
+    
+    const defaultType = options.isKinematic ? 'kinematic' : options.isStatic ? 'static' : 'dynamic';
+    const type = validateObjectType(options.type || defaultType);
+    const fitted = computeObjectShape(object3D, options.shape || 'box');
+    
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    getWorldTransform(object3D, position, quaternion);
+    position.add(fitted.offset.clone().applyQuaternion(quaternion));
+    
+    const body = this.createBody({
+      ...fitted,
+      ...options,
+      position,
+      quaternion,
+      isStatic: type !== 'dynamic',
+      userData: { ...options.userData, object3D },
+    });
+    
+    this.bindings.set(object3D, new ObjectBinding(object3D, body, type, fitted.offset));
+    object3D.userData.physicsBody = body;
+    
+    return body;
+  }
+  
+  /**
+   * Remove the body attached to a three.js object. The object stays where it is.
+   * @param {THREE.Object3D} object3D - Attached object
+   * @returns {Object|null} The removed body, or null if the object wasn't attached
+   */
+  detach(object3D) {
+    const binding = this.bindings.get(object3D);
+    if (!binding) return null;
+    
+    this.removeBody(binding.body);
+    return binding.body;
+  }
+  
+  /**
+   * Create a kinematic character controller with its own body
+   * @param {Object} options - Controller options, see CharacterController
+   * @returns {CharacterController} New character controller
+   */
+  createCharacterController(options = {}) {
+    return new CharacterController(this, options);
+  }
+  
   /**
    * Update the physics simulation
    * @param {number} deltaTime - Time step for the update
@@ -148,12 +588,20 @@ export class PhysicsSystem {
     // Apply time scaling
     const scaledDelta = deltaTime * this.timeScale;
     
+    // Remember the state at the start of the step for interpolation
+    this.bodies.forEach(body => {
+      body.previousPosition.copy(body.position);
+      body.previousQuaternion.copy(body.quaternion);
+    });
+    
+    this._readBindings();
+    
     // Skip if delta time is too small
     if (scaledDelta < 0.0001) return;
     
     // Update all physics bodies
     this.bodies.forEach(body => {
-      if (body.isStatic) return;
+      if (body.isStatic || body.isSleeping) return;
       
       // Apply gravity
       body.acceleration.x += this.gravity.x;
@@ -172,134 +620,750 @@ export class PhysicsSystem {
       
       // Reset acceleration for next frame
       body.acceleration.set(0, 0, 0);
+      
+      this._integrateRotation(body, scaledDelta);
     });
     
+    // Catch fast bodies that would otherwise jump over what they hit
+    this._sweepContinuousBodies();
+    
     // Check collisions (simple implementation)
     this._checkCollisions();
     
+    // Push contacts apart and hold joints together
+    this._solveConstraints(scaledDelta);
+    
+    // Put still islands to sleep and wake the ones something disturbed
+    this._updateSleep(scaledDelta);
+    
+    // Report contacts now that the solver has settled them
+    this._dispatchCollisionEvents();
+    
     // Update timing information
     this.lastStepTime = performance.now();
   }
   
   /**
-   * Check for collisions between physics bodies and colliders
+   * Remove every body, collider and contact from the simulation
+   */
+  dispose() {
+    [...this.bindings.keys()].forEach(object3D => this.detach(object3D));
+    
+    this.bodies = [];
+    this.colliders = [];
+    this.joints = [];
+    this.connectedPairs.clear();
+    this.contacts.clear();
+    this.collisionEvents = [];
+    this.broadphase.clear();
+  }
+  
+  /**
+   * Move kinematic and static bodies to their attached objects
    * @private
    */
-  _checkCollisions() {
-    // This is a simplified collision detection system
-    // In a real game, you'd use a more sophisticated algorithm or physics library
+  _readBindings() {
+    this.bindings.forEach(binding => {
+      if (binding.type !== 'dynamic' && binding.readObject()) {
+        this.wakeTouching(binding.body);
+      }
+    });
+  }
+  
+  /**
+   * Save the whole simulation state as plain data (safe to JSON.stringify), for
+   * rollback, replays and rewinding. Stepping a restored snapshot with the same
+   * inputs and time steps gives exactly the same results.
+   * @returns {Object} Snapshot of the bodies, colliders, contacts, joint impulses,
+   *   collision layers, id counters and random state
+   */
+  serialize() {
+    return {
+      version: SNAPSHOT_VERSION,
+      nextBodyId: this._nextBodyId,
+      nextColliderId: this._nextColliderId,
+      random: this.random.state,
+      layers: this.layers.serialize(),
+      bodies: this.bodies.map(serializeBody),
+      colliders: this.colliders.map(serializeCollider),
+      contacts: [...this.contacts.values()].map(serializeContact),
+      joints: this.joints.map(joint => joint.rows.map(row => row.impulse)),
+    };
+  }
+  
+  /**
+   * Restore a snapshot from serialize(). Bodies and colliders are matched by id and keep
+   * their callbacks, userData and attached objects. Ones added since the snapshot are removed,
+   * and ones removed since are created again without callbacks. Joints aren't created or removed,
+   * their impulses are only restored when the simulation has the same joints as the snapshot.
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  deserialize(snapshot) {
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported physics snapshot version: ${snapshot.version}. Expected ${SNAPSHOT_VERSION}`);
+    }
     
-    // Check each dynamic body against static bodies and colliders
-    for (let i = 0; i < this.bodies.length; i++) {
-      const bodyA = this.bodies[i];
-      
-      if (bodyA.isStatic) continue;
+    this.layers.deserialize(snapshot.layers);
+    
+    // Drop what the snapshot doesn't have
+    const bodyIds = new Set(snapshot.bodies.map(data => data.id));
+    const colliderIds = new Set(snapshot.colliders.map(data => data.id));
+    this.bodies.filter(body => !bodyIds.has(body.id)).forEach(body => this.removeBody(body));
+    this.colliders.filter(collider => !colliderIds.has(collider.id)).forEach(collider => this.removeCollider(collider));
+    
+    // Restore the rest in the snapshot's order, which is the order they are stepped in
+    const bodies = new Map(this.bodies.map(body => [body.id, body]));
+    const colliders = new Map(this.colliders.map(collider => [collider.id, collider]));
+    
+    this.bodies = snapshot.bodies.map(data => {
+      const body = bodies.get(data.id) || this.createBody({ id: data.id });
+      deserializeBody(body, data);
+      updateInverseInertia(body);
+      this.layers.assign(body);
+      return body;
+    });
+    
+    this.colliders = snapshot.colliders.map(data => {
+      const collider = colliders.get(data.id) || this.createCollider({ id: data.id });
+      deserializeCollider(collider, data);
+      this.layers.assign(collider);
+      return collider;
+    });
+    
+    // deserializeBody starts interpolating from the restored state. Attached objects go there
+    // too, or they'd show the old state for a frame and kinematic ones would pull their body back.
+    this.bindings.forEach(binding => binding.writeObject());
+    
+    // Contacts decide enter or stay events and warm start the solver
+    const objects = new Map();
+    this.bodies.concat(this.colliders).forEach(object => objects.set(object.id, object));
+    
+    this.contacts = new Map();
+    snapshot.contacts.forEach(data => {
+      const pair = deserializeContact(data, objects);
+      if (pair) this.contacts.set(this._getPairKey(pair.a, pair.b), pair);
+    });
+    
+    if (snapshot.joints.length === this.joints.length) {
+      this.joints.forEach((joint, index) => {
+        joint.rows = snapshot.joints[index].map(impulse => ({ impulse }));
+      });
+    }
+    
+    this.contactConstraints = [];
+    this.collisionEvents = [];
+    this.broadphase.clear();
+    
+    this._nextBodyId = snapshot.nextBodyId;
+    this._nextColliderId = snapshot.nextColliderId;
+    this.random.state = snapshot.random;
+  }
+  
+  /**
+   * Compute the render transforms between the previous and current physics state
+   * @param {number} alpha - Blend factor between the last two fixed steps (0 to 1)
+   */
+  interpolate(alpha) {
+    this.bodies.forEach(body => {
+      body.interpolatedPosition.lerpVectors(body.previousPosition, body.position, alpha);
+      body.interpolatedQuaternion.slerpQuaternions(body.previousQuaternion, body.quaternion, alpha);
+    });
+    
+    // Dynamic bodies move their attached objects
+    this.bindings.forEach(binding => {
+      if (binding.type === 'dynamic') binding.writeObject();
+    });
+  }
+  
+  /**
+   * Find the closest body or collider along a ray
+   * @param {THREE.Vector3} origin - Start of the ray
+   * @param {THREE.Vector3} direction - Direction of the ray
+   * @param {number} maxDistance - Length of the ray (default Infinity)
+   * @param {Function|string|Array<string>} filter - Layers to hit, or a test an object must pass
+   * @returns {Object|null} Hit with body, point, normal and distance, or null
+   */
+  raycast(origin, direction, maxDistance = Infinity, filter) {
+    return this.shapeCast(this._createRay(origin), direction, maxDistance, filter);
+  }
+  
+  /**
+   * Find every body and collider along a ray
+   * @param {THREE.Vector3} origin - Start of the ray
+   * @param {THREE.Vector3} direction - Direction of the ray
+   * @param {number} maxDistance - Length of the ray (default Infinity)
+   * @param {Function|string|Array<string>} filter - Layers to hit, or a test an object must pass
+   * @returns {Array<Object>} Hits, closest first
+   */
+  raycastAll(origin, direction, maxDistance = Infinity, filter) {
+    return this._castAll(this._createRay(origin), direction, maxDistance, filter, false);
+  }
+  
+  /**
+   * Sweep a sphere along a direction and find the first body or collider it touches
+   * @param {THREE.Vector3} origin - Start position of the sphere's center
+   * @param {number} radius - Sphere radius
+   * @param {THREE.Vector3} direction - Direction to sweep in
+   * @param {number} maxDistance - Furthest distance to sweep (default Infinity)
+   * @param {Function|string|Array<string>} filter - Layers to hit, or a test an object must pass
+   * @returns {Object|null} Hit with body, point, normal and distance, or null
+   */
+  sphereCast(origin, radius, direction, maxDistance = Infinity, filter) {
+    return this.shapeCast({ shape: 'sphere', position: origin, radius }, direction, maxDistance, filter);
+  }
+  
+  /**
+   * Sweep a box along a direction and find the first body or collider it touches
+   * @param {THREE.Vector3} center - Start position of the box's center
+   * @param {THREE.Vector3} dimensions - Full extents of the box
+   * @param {THREE.Vector3} direction - Direction to sweep in
+   * @param {THREE.Quaternion} quaternion - Optional orientation of the box
+   * @param {number} maxDistance - Furthest distance to sweep (default Infinity)
+   * @param {Function|string|Array<string>} filter - Layers to hit, or a test an object must pass
+   * @returns {Object|null} Hit with body, point, normal and distance, or null
+   */
+  boxCast(center, dimensions, direction, quaternion, maxDistance = Infinity, filter) {
+    return this.shapeCast({ shape: 'box', position: center, dimensions, quaternion }, direction, maxDistance, filter);
+  }
+  
+  /**
+   * Sweep any shape along a direction and find the first body or collider it touches.
+   * Objects the shape already overlaps are hit at distance 0.
+   * @param {Object} shape - Shape to sweep, described like a collider (shape, position, dimensions, ...)
+   * @param {THREE.Vector3} direction - Direction to sweep in
+   * @param {number} maxDistance - Furthest distance to sweep (default Infinity)
+   * @param {Function|string|Array<string>} filter - Layers to hit, or a test an object must pass
+   * @returns {Object|null} Hit with body, point, normal and distance, or null
+   */
+  shapeCast(shape, direction, maxDistance = Infinity, filter) {
+    return this._castAll(shape, direction, maxDistance, filter, true)[0] || null;
+  }
+  
+  /**
+   * Find every body and collider overlapping a sphere
+   * @param {THREE.Vector3} center - Center of the sphere
+   * @param {number} radius - Sphere radius
+   * @param {Function|string|Array<string>} filter - Layers to include, or a test an object must pass
+   * @returns {Array<Object>} Overlapping bodies and colliders
+   */
+  overlapSphere(center, radius, filter) {
+    return this.overlapShape({ shape: 'sphere', position: center, radius }, filter);
+  }
+  
+  /**
+   * Find every body and collider overlapping a box
+   * @param {THREE.Vector3} center - Center of the box
+   * @param {THREE.Vector3} dimensions - Full extents of the box
+   * @param {THREE.Quaternion} quaternion - Optional orientation of the box
+   * @param {Function|string|Array<string>} filter - Layers to include, or a test an object must pass
+   * @returns {Array<Object>} Overlapping bodies and colliders
+   */
+  overlapBox(center, dimensions, quaternion, filter) {
+    return this.overlapShape({ shape: 'box', position: center, dimensions, quaternion }, filter);
+  }
+  
+  /**
+   * Find every body and collider overlapping any shape
+   * @param {Object} shape - Shape described like a collider (shape, position, dimensions, ...)
+   * @param {Function|string|Array<string>} filter - Layers to include, or a test an object must pass
+   * @returns {Array<Object>} Overlapping bodies and colliders
+   */
+  overlapShape(shape, filter) {
+    const query = this._createQueryShape(shape);
+    const bounded = computeBounds(query, queryBounds);
+    
+    return this._getQueryObjects(filter).filter(object => {
+      if (bounded && computeBounds(object, objectBounds) && !queryBounds.intersectsBox(objectBounds)) {
+        return false;
+      }
       
-      // Check against other bodies
-      for (let j = 0; j < this.bodies.length; j++) {
-        if (i === j) continue;
-        
-        const bodyB = this.bodies[j];
-        
-        // Initialize collision matrix entries if needed
-        if (!this.collisionMatrix[bodyA.id]) {
-          this.collisionMatrix[bodyA.id] = {};
-        }
-        
-        // Check if collision occurred
-        const isColliding = this._checkCollision(bodyA, bodyB);
-        const wasColliding = this.collisionMatrix[bodyA.id][bodyB.id];
-        
-        // Update collision matrix
-        this.collisionMatrix[bodyA.id][bodyB.id] = isColliding;
+      return collide(query, object) !== null;
+    });
+  }
+  
+  /**
+   * Cast a shape against every object its swept bounds can reach
+   * @param {Object} shape - Shape to sweep
+   * @param {THREE.Vector3} direction - Direction to sweep in
+   * @param {number} maxDistance - Furthest distance to sweep
+   * @param {Function|string|Array<string>} filter - Layers to hit, or a test an object must pass
+   * @param {boolean} closestOnly - Stop looking past the closest hit so far
+   * @returns {Array<Object>} Hits, closest first
+   * @private
+   */
+  _castAll(shape, direction, maxDistance, filter, closestOnly) {
+    const query = this._createQueryShape(shape);
+    const hits = [];
+    let reach = maxDistance;
+    
+    computeBounds(query, queryBounds);
+    queryBounds.getSize(queryExtents).multiplyScalar(0.5);
+    queryRay.set(queryBounds.getCenter(new THREE.Vector3()), direction.clone().normalize());
+    
+    this._getQueryObjects(filter).forEach(object => {
+      // Skip objects whose bounds, grown by the shape's, the sweep never enters
+      if (computeBounds(object, objectBounds)) {
+        objectBounds.expandByVector(queryExtents);
         
-        // Handle collision events
-        if (isColliding && !wasColliding) {
-          this._handleCollisionEnter(bodyA, bodyB);
-        } else if (isColliding && wasColliding) {
-          this._handleCollisionStay(bodyA, bodyB);
-        } else if (!isColliding && wasColliding) {
-          this._handleCollisionExit(bodyA, bodyB);
+        // From inside the bounds, intersectBox gives the exit point, so only cull from outside
+        if (!objectBounds.containsPoint(queryRay.origin)) {
+          if (!queryRay.intersectBox(objectBounds, boundsEntry)) return;
+          if (boundsEntry.distanceTo(queryRay.origin) > reach) return;
         }
       }
       
-      // Check against colliders
-      for (let j = 0; j < this.colliders.length; j++) {
-        const collider = this.colliders[j];
-        
-        // Initialize collision matrix entries if needed
-        if (!this.collisionMatrix[bodyA.id]) {
-          this.collisionMatrix[bodyA.id] = {};
+      const hit = castShape(object, query, direction, reach);
+      if (!hit) return;
+      
+      hits.push({ body: object, point: hit.point, normal: hit.normal, distance: hit.distance });
+      if (closestOnly) reach = hit.distance;
+    });
+    
+    return hits.sort((first, second) => first.distance - second.distance);
+  }
+  
+  /**
+   * Bodies and colliders a query can hit
+   * @param {Function|string|Array<string>} filter - Layers to include, or a test an object must pass
+   * @returns {Array<Object>} Candidates
+   * @private
+   */
+  _getQueryObjects(filter) {
+    const objects = this.bodies.concat(this.colliders);
+    if (!filter) return objects;
+    
+    if (typeof filter === 'function') return objects.filter(filter);
+    
+    const mask = this.layers.getMask(filter);
+    return objects.filter(object => (object.collisionGroup & mask) !== 0);
+  }
+  
+  /**
+   * Fill in the defaults of a query shape, the same way createCollider does
+   * @param {Object} shape - Shape description
+   * @returns {Object} Shape ready for the narrowphase
+   * @private
+   */
+  _createQueryShape(shape) {
+    const dimensions = shape.dimensions || new THREE.Vector3(1, 1, 1);
+    
+    return {
+      position: shape.position || new THREE.Vector3(),
+      quaternion: shape.quaternion || new THREE.Quaternion(),
+      shape: shape.shape || 'box',
+      dimensions,
+      ...this._getShapeOptions(shape, dimensions),
+    };
+  }
+  
+  /**
+   * A ray is a sphere with no radius
+   * @param {THREE.Vector3} origin - Start of the ray
+   * @returns {Object} Query shape
+   * @private
+   */
+  _createRay(origin) {
+    return { shape: 'sphere', position: origin, radius: 0 };
+  }
+  
+  /**
+   * Continuous collision detection: sweep each body with ccd from where it
+   * started the step to where it ended up, and stop it at the first object in
+   * the way. Other objects are taken where they are at the end of the step,
+   * and the body's rotation isn't swept.
+   * @private
+   */
+  _sweepContinuousBodies() {
+    this.bodies.forEach(body => {
+      if (!body.ccd || body.isStatic || body.isSleeping) return;
+      
+      const motion = new THREE.Vector3().subVectors(body.position, body.previousPosition);
+      const distance = motion.length();
+      
+      // Moving less than half its own size, the overlap test can't miss anything
+      if (!computeBounds(body, sweepBounds)) return;
+      const size = sweepBounds.getSize(sweepSize);
+      if (distance < Math.min(size.x, size.y, size.z) / 2) return;
+      
+      const start = { ...body, position: body.previousPosition };
+      const filter = other => other !== body
+        && !other.isTrigger
+        && this.layers.canCollide(body, other)
+        && !this._isConnected(body, other);
+      
+      // Objects it was already touching at the start are left to the contact solver
+      const hit = this._castAll(start, motion, distance, filter, false)
+        .find(candidate => candidate.distance > 0 && candidate.normal.dot(motion) < 0);
+      if (!hit) return;
+      
+      body.position.copy(body.previousPosition)
+        .addScaledVector(motion, hit.distance / distance)
+        .addScaledVector(hit.normal, -CCD_OVERLAP);
+    });
+  }
+  
+  /**
+   * Group the bodies into islands joined by contacts and joints. An island
+   * falls asleep once every body in it has been still for timeToSleep, and
+   * wakes as a whole when any body in it moves again, e.g. because something
+   * landed on it or a force was applied.
+   * @param {number} deltaTime - Time step
+   * @private
+   */
+  _updateSleep(deltaTime) {
+    const bodies = this.bodies.filter(body => !body.isStatic);
+    let sleeping = 0;
+    
+    if (this.allowSleep) {
+      // Union-find over the bodies
+      const parents = new Map(bodies.map(body => [body, body]));
+      const find = body => {
+        while (parents.get(body) !== body) {
+          parents.set(body, parents.get(parents.get(body)));
+          body = parents.get(body);
         }
+        return body;
+      };
+      const join = (a, b) => {
+        if (parents.has(a) && parents.has(b)) parents.set(find(a), find(b));
+      };
+      
+      this.contacts.forEach(pair => join(pair.a, pair.b));
+      this.joints.forEach(joint => join(joint.bodyA, joint.bodyB));
+      
+      const linearLimit = this.sleepSpeed * this.sleepSpeed;
+      const angularLimit = this.sleepAngularSpeed * this.sleepAngularSpeed;
+      const restless = new Set();
+      const islands = new Set();
+      
+      bodies.forEach(body => {
+        islands.add(find(body));
+        if (body.isSleeping) return;
         
-        // Check if collision occurred
-        const isColliding = this._checkCollision(bodyA, collider);
-        const wasColliding = this.collisionMatrix[bodyA.id][collider.id];
-        
-        // Update collision matrix
-        this.collisionMatrix[bodyA.id][collider.id] = isColliding;
+        const isStill = body.allowSleep !== false
+          && body.velocity.lengthSq() < linearLimit
+          && body.angularVelocity.lengthSq() < angularLimit;
         
-        // Handle collision events
-        if (isColliding && !wasColliding) {
-          if (collider.isTrigger) {
-            if (collider.onTriggerEnter) collider.onTriggerEnter(bodyA);
-          } else {
-            this._handleCollisionEnter(bodyA, collider);
-            if (collider.onCollisionEnter) collider.onCollisionEnter(bodyA);
-          }
-        } else if (isColliding && wasColliding) {
-          if (collider.isTrigger) {
-            if (collider.onTriggerStay) collider.onTriggerStay(bodyA);
-          } else {
-            this._handleCollisionStay(bodyA, collider);
-            if (collider.onCollisionStay) collider.onCollisionStay(bodyA);
-          }
-        } else if (!isColliding && wasColliding) {
-          if (collider.isTrigger) {
-            if (collider.onTriggerExit) collider.onTriggerExit(bodyA);
-          } else {
-            if (collider.onCollisionExit) collider.onCollisionExit(bodyA);
-          }
+        body.sleepTimer = isStill ? body.sleepTimer + deltaTime : 0;
+        if (body.sleepTimer < this.timeToSleep) restless.add(find(body));
+      });
+      
+      bodies.forEach(body => {
+        if (restless.has(find(body))) {
+          if (body.isSleeping) wakeBody(body);
+        } else {
+          sleepBody(body);
+          sleeping++;
         }
+      });
+      
+      this.stats.islands = islands.size;
+    } else {
+      bodies.forEach(body => {
+        if (body.isSleeping) wakeBody(body);
+      });
+      
+      this.stats.islands = bodies.length;
+    }
+    
+    this.stats.sleepingBodies = sleeping;
+  }
+  
+  /**
+   * Wake both bodies of a joint that was added or removed
+   * @param {Joint} joint - Joint
+   * @private
+   */
+  _wakeJoint(joint) {
+    [joint.bodyA, joint.bodyB].forEach(body => {
+      if (body && body.isSleeping) wakeBody(body);
+    });
+  }
+  
+  /**
+   * Apply the torque and advance the orientation by the angular velocity
+   * @param {Object} body - Dynamic body
+   * @param {number} deltaTime - Time step
+   * @private
+   */
+  _integrateRotation(body, deltaTime) {
+    const angularVelocity = body.angularVelocity;
+    
+    if (!body.fixedRotation) {
+      angularVelocity.addScaledVector(body.torque.applyMatrix3(body.inverseInertiaWorld), deltaTime);
+      angularVelocity.multiplyScalar(Math.max(0, 1 - body.angularDamping * deltaTime));
+    } else {
+      angularVelocity.set(0, 0, 0);
+    }
+    
+    body.torque.set(0, 0, 0);
+    
+    if (angularVelocity.lengthSq() === 0) return;
+    
+    // dq/dt = 0.5 * w * q, with w as a pure quaternion
+    const q = body.quaternion;
+    const halfStep = 0.5 * deltaTime;
+    const wx = angularVelocity.x;
+    const wy = angularVelocity.y;
+    const wz = angularVelocity.z;
+    
+    q.set(
+      q.x + halfStep * (wx * q.w + wy * q.z - wz * q.y),
+      q.y + halfStep * (wy * q.w + wz * q.x - wx * q.z),
+      q.z + halfStep * (wz * q.w + wx * q.y - wy * q.x),
+      q.w + halfStep * (-wx * q.x - wy * q.y - wz * q.z)
+    ).normalize();
+    
+    updateWorldInverseInertia(body);
+  }
+  
+  /**
+   * Check for collisions between physics bodies and colliders
+   * @private
+   */
+  _checkCollisions() {
+    const pairs = this.broadphase.findPairs(this.bodies, this.colliders);
+    const previous = this.contacts;
+    const current = new Map();
+    const removed = new Set();
+    
+    // Enter and trigger callbacks can remove objects, which have to drop out of this step too
+    this._checking = { contacts: current, removed };
+    
+    // The broadphase puts the dynamic body first
+    pairs.forEach(([a, b]) => {
+      if (removed.has(a) || removed.has(b)) return;
+      if (!this.layers.canCollide(a, b) || this._isConnected(a, b)) return;
+      
+      const contact = this._checkCollision(a, b);
+      if (!contact) return;
+      
+      const key = this._getPairKey(a, b);
+      current.set(key, { a, b, contact });
+      
+      // Start the solver from last step's impulses, it settles stacks much faster
+      if (previous.has(key)) this._matchImpulses(contact, previous.get(key).contact);
+      
+      if (previous.has(key)) {
+        this._onPairStay(a, b, contact);
+      } else {
+        this._onPairEnter(a, b, contact);
       }
+    });
+    
+    // Pairs that touched last step but no longer do, or were pruned by the broadphase
+    previous.forEach((pair, key) => {
+      if (current.has(key)) return;
+      
+      // Sleeping bodies aren't tested, but still rest on whatever they touched
+      if (!isAwake(pair.a) && !isAwake(pair.b)) {
+        current.set(key, pair);
+        return;
+      }
+      
+      // A sleeping body whose support moved away has to fall
+      if (pair.a.isSleeping) wakeBody(pair.a);
+      if (pair.b.isSleeping) wakeBody(pair.b);
+      
+      this._onPairExit(pair.a, pair.b);
+    });
+    
+    this._checking = null;
+    this.contacts = current;
+    this.stats.broadphasePairs = pairs.length;
+    this.stats.contacts = current.size;
+  }
+  
+  /**
+   * Start of contact between a body and another body or collider
+   * @param {Object} a - Dynamic body
+   * @param {Object} b - Other body or collider
+   * @param {Object} contact - Contact from the narrowphase
+   * @private
+   */
+  _onPairEnter(a, b, contact) {
+    if (b.isTrigger) {
+      if (b.onTriggerEnter) b.onTriggerEnter(a);
+      return;
+    }
+    
+    this._handleCollisionEnter(a, b, contact);
+    this._queueCollisionEvent('enter', a, b, contact);
+  }
+  
+  /**
+   * Continued contact between a body and another body or collider
+   * @param {Object} a - Dynamic body
+   * @param {Object} b - Other body or collider
+   * @param {Object} contact - Contact from the narrowphase
+   * @private
+   */
+  _onPairStay(a, b, contact) {
+    if (b.isTrigger) {
+      if (b.onTriggerStay) b.onTriggerStay(a);
+      return;
     }
+    
+    this._handleCollisionStay(a, b, contact);
+    this._queueCollisionEvent('stay', a, b, contact);
   }
   
   /**
-   * Check if two objects are colliding (simplified)
+   * End of contact between a body and another body or collider
+   * @param {Object} a - Dynamic body
+   * @param {Object} b - Other body or collider
+   * @private
+   */
+  _onPairExit(a, b) {
+    if (b.isTrigger) {
+      if (b.onTriggerExit) b.onTriggerExit(a);
+      return;
+    }
+    
+    this._handleCollisionExit(a, b);
+    this._queueCollisionEvent('exit', a, b, null);
+  }
+  
+  /**
+   * Hold a collision event until the solver has worked out its impulse
+   * @param {string} type - enter, stay or exit
+   * @param {Object} a - Dynamic body
+   * @param {Object} b - Other body or collider
+   * @param {Object|null} contact - Contact from the narrowphase, null on exit
+   * @private
+   */
+  _queueCollisionEvent(type, a, b, contact) {
+    const callback = COLLISION_CALLBACKS[type];
+    
+    // Resting contacts stay every step, don't build events nobody reads
+    if (!a[callback] && !b[callback] && this.listenerCount(COLLISION_EVENTS[type]) === 0) return;
+    
+    const event = {
+      type,
+      a,
+      b,
+      points: contact ? contact.points : [],
+      point: contact ? contact.point : null,
+      normal: contact ? contact.normal : null,
+      depth: contact ? contact.depth : 0,
+      relativeVelocity: null,
+      impactSpeed: 0,
+      impulse: 0,
+      contact,
+    };
+    
+    // Measure the impact before the solver takes the speed out of it
+    if (contact) {
+      const bodyB = b.velocity && b.angularVelocity ? b : null;
+      const offsetA = new THREE.Vector3().subVectors(contact.point, a.position);
+      const offsetB = bodyB ? new THREE.Vector3().subVectors(contact.point, bodyB.position) : null;
+      
+      event.relativeVelocity = this._getRelativeVelocity(a, offsetA, bodyB, offsetB);
+      event.impactSpeed = Math.max(0, event.relativeVelocity.dot(contact.normal));
+    }
+    
+    this.collisionEvents.push(event);
+  }
+  
+  /**
+   * Send the collision events of the step to both objects' callbacks and the listeners
+   * @private
+   */
+  _dispatchCollisionEvents() {
+    const events = this.collisionEvents;
+    this.collisionEvents = [];
+    
+    events.forEach(event => {
+      const { type, a, b, contact } = event;
+      if (contact && contact.impulses) {
+        event.impulse = contact.impulses.reduce((sum, impulse) => sum + (impulse ? impulse.normal : 0), 0);
+      }
+      
+      const callback = COLLISION_CALLBACKS[type];
+      if (a[callback]) a[callback](b, event);
+      if (b[callback]) b[callback](a, event);
+      this.emit(COLLISION_EVENTS[type], event);
+    });
+  }
+  
+  /**
+   * Key identifying a pair in the contact map
    * @param {Object} a - First object
    * @param {Object} b - Second object
-   * @returns {boolean} True if objects are colliding
+   * @returns {string} Key
    * @private
    */
-  _checkCollision(a, b) {
-    // This is a very simplified collision check using bounding boxes
-    // In a real game, you'd use more accurate collision detection
+  _getPairKey(a, b) {
+    return `${a.id}|${b.id}`;
+  }
+  
+  /**
+   * Key for a pair of jointed bodies, the same whichever way round they are
+   * @param {Object} a - First body
+   * @param {Object} b - Second body
+   * @returns {string} Key
+   * @private
+   */
+  _getJointKey(a, b) {
+    return a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+  }
+  
+  /**
+   * Whether a joint keeps two objects from colliding
+   * @param {Object} a - First object
+   * @param {Object} b - Second object
+   * @returns {boolean} True if they are connected
+   * @private
+   */
+  _isConnected(a, b) {
+    return this.connectedPairs.size > 0 && this.connectedPairs.has(this._getJointKey(a, b));
+  }
+  
+  /**
+   * Drop the contacts of an object leaving the simulation, without exit events
+   * @param {Object} object - Body or collider
+   * @private
+   */
+  _forgetContacts(object) {
+    // Whatever was resting on it has to fall now
+    this.wakeTouching(object);
     
-    // Only handle box-box collisions for simplicity
-    if (a.shape !== 'box' || b.shape !== 'box') {
-      return false;
-    }
+    const forget = contacts => contacts.forEach((pair, key) => {
+      if (pair.a === object || pair.b === object) {
+        contacts.delete(key);
+      }
+    });
     
-    // Check for AABB collision
-    return (
-      Math.abs(a.position.x - b.position.x) * 2 < (a.dimensions.x + b.dimensions.x) &&
-      Math.abs(a.position.y - b.position.y) * 2 < (a.dimensions.y + b.dimensions.y) &&
-      Math.abs(a.position.z - b.position.z) * 2 < (a.dimensions.z + b.dimensions.z)
-    );
+    forget(this.contacts);
+    if (this._checking) {
+      forget(this._checking.contacts);
+      this._checking.removed.add(object);
+    }
+  }
+  
+  /**
+   * Run the narrowphase test for a pair of shapes
+   * @param {Object} a - First object
+   * @param {Object} b - Second object
+   * @returns {Object|null} Contact (normal from a to b, depth, point), or null if they don't touch
+   * @private
+   */
+  _checkCollision(a, b) {
+    return collide(a, b);
   }
   
   /**
    * Handle collision resolution when two objects start colliding
    * @param {Object} a - First object (typically a dynamic body)
    * @param {Object} b - Second object
+   * @param {Object} contact - Contact from the narrowphase
    * @private
    */
-  _handleCollisionEnter(a, b) {
-    if (b.isStatic || b.isTrigger) {
-      this._resolveCollision(a, b);
+  _handleCollisionEnter(a, b, contact) {
+    if (b.isStatic || b.isTrigger || b.velocity === undefined) {
+      this._resolveCollision(a, b, contact);
     } else {
-      this._resolveCollisionDynamic(a, b);
+      this._resolveCollisionDynamic(a, b, contact);
     }
   }
   
@@ -307,13 +1371,14 @@ export class PhysicsSystem {
    * Handle collision resolution when two objects continue colliding
    * @param {Object} a - First object (typically a dynamic body)
    * @param {Object} b - Second object
+   * @param {Object} contact - Contact from the narrowphase
    * @private
    */
-  _handleCollisionStay(a, b) {
-    if (b.isStatic || b.isTrigger) {
-      this._resolveCollision(a, b);
+  _handleCollisionStay(a, b, contact) {
+    if (b.isStatic || b.isTrigger || b.velocity === undefined) {
+      this._resolveCollision(a, b, contact);
     } else {
-      this._resolveCollisionDynamic(a, b);
+      this._resolveCollisionDynamic(a, b, contact);
     }
   }
   
@@ -331,112 +1396,297 @@ export class PhysicsSystem {
    * Resolve collision between a dynamic body and a static object
    * @param {Object} body - Dynamic body
    * @param {Object} staticObj - Static object
+   * @param {Object} contact - Contact with the normal pointing from the body into the static object
    * @private
    */
-  _resolveCollision(body, staticObj) {
-    // Simplified collision resolution by pushing the body out
-    const overlap = {
-      x: (body.dimensions.x + staticObj.dimensions.x) / 2 - Math.abs(body.position.x - staticObj.position.x),
-      y: (body.dimensions.y + staticObj.dimensions.y) / 2 - Math.abs(body.position.y - staticObj.position.y),
-      z: (body.dimensions.z + staticObj.dimensions.z) / 2 - Math.abs(body.position.z - staticObj.position.z)
-    };
-    
-    // Find the smallest overlap axis
-    if (overlap.x < overlap.y && overlap.x < overlap.z) {
-      // X-axis overlap is smallest
-      const direction = body.position.x < staticObj.position.x ? -1 : 1;
-      body.position.x += direction * overlap.x;
-      body.velocity.x = -body.velocity.x * body.restitution;
-    } else if (overlap.y < overlap.z) {
-      // Y-axis overlap is smallest
-      const direction = body.position.y < staticObj.position.y ? -1 : 1;
-      body.position.y += direction * overlap.y;
-      body.velocity.y = -body.velocity.y * body.restitution;
-    } else {
-      // Z-axis overlap is smallest
-      const direction = body.position.z < staticObj.position.z ? -1 : 1;
-      body.position.z += direction * overlap.z;
-      body.velocity.z = -body.velocity.z * body.restitution;
-    }
+  _resolveCollision(body, staticObj, contact) {
+    // Push the body back out along the contact normal
+    body.position.addScaledVector(contact.normal, -contact.depth);
     
-    // Apply friction
-    if (body.friction > 0 && staticObj.friction > 0) {
-      const combinedFriction = body.friction * staticObj.friction;
-      body.velocity.x *= (1 - combinedFriction);
-      body.velocity.z *= (1 - combinedFriction);
-    }
+    const friction = staticObj.friction > 0 ? body.friction * staticObj.friction : 0;
+    this._addContactConstraint(body, null, contact, body.restitution, friction);
   }
   
   /**
    * Resolve collision between two dynamic bodies
    * @param {Object} bodyA - First dynamic body
    * @param {Object} bodyB - Second dynamic body
+   * @param {Object} contact - Contact with the normal pointing from bodyA to bodyB
    * @private
    */
-  _resolveCollisionDynamic(bodyA, bodyB) {
-    // Simplified collision resolution for two dynamic bodies
+  _resolveCollisionDynamic(bodyA, bodyB, contact) {
+    const inverseMassA = 1 / bodyA.mass;
+    const inverseMassB = 1 / bodyB.mass;
+    const inverseMassSum = inverseMassA + inverseMassB;
     
-    // Calculate relative velocity
-    const relativeVelocity = new THREE.Vector3(
-      bodyA.velocity.x - bodyB.velocity.x,
-      bodyA.velocity.y - bodyB.velocity.y,
-      bodyA.velocity.z - bodyB.velocity.z
-    );
+    // Separate the bodies to prevent sticking, the lighter one moves further
+    bodyA.position.addScaledVector(contact.normal, -contact.depth * inverseMassA / inverseMassSum);
+    bodyB.position.addScaledVector(contact.normal, contact.depth * inverseMassB / inverseMassSum);
     
-    // Calculate collision normal (simplified)
-    const normal = new THREE.Vector3(
-      bodyB.position.x - bodyA.position.x,
-      bodyB.position.y - bodyA.position.y,
-      bodyB.position.z - bodyA.position.z
-    ).normalize();
+    const restitution = Math.min(bodyA.restitution, bodyB.restitution);
+    this._addContactConstraint(bodyA, bodyB, contact, restitution, bodyA.friction * bodyB.friction);
+  }
+  
+  /**
+   * Queue the points of a contact for the solver. Solving every point of every
+   * contact together is what lets a box rest on a face or hold up a stack.
+   * @param {Object} bodyA - Dynamic body
+   * @param {Object|null} bodyB - Second dynamic body, or null if bodyA hit something static
+   * @param {Object} contact - Contact with the normal pointing from bodyA to bodyB
+   * @param {number} restitution - Bounciness of the pair
+   * @param {number} friction - Friction coefficient of the pair
+   * @private
+   */
+  _addContactConstraint(bodyA, bodyB, contact, restitution, friction) {
+    const normal = contact.normal;
     
-    // Calculate impulse strength
-    const velocityAlongNormal = relativeVelocity.dot(normal);
+    // Two directions across the surface for friction
+    const tangent1 = Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    tangent1.addScaledVector(normal, -tangent1.dot(normal)).normalize();
+    const tangent2 = new THREE.Vector3().crossVectors(normal, tangent1);
     
-    // Only apply impulse if objects are moving toward each other
-    if (velocityAlongNormal > 0) return;
+    contact.points.forEach((point, index) => {
+      const offsetA = new THREE.Vector3().subVectors(point, bodyA.position);
+      const offsetB = bodyB ? new THREE.Vector3().subVectors(point, bodyB.position) : null;
+      
+      // Slow impacts don't bounce, so resting bodies stay put
+      const closingSpeed = this._getRelativeVelocity(bodyA, offsetA, bodyB, offsetB).dot(normal);
+      const bounce = closingSpeed > this.restitutionThreshold ? restitution * closingSpeed : 0;
+      
+      const impulse = contact.impulses && contact.impulses[index];
+      const constraint = {
+        bodyA,
+        bodyB,
+        offsetA,
+        offsetB,
+        normal,
+        tangents: [tangent1, tangent2],
+        normalMass: 1 / this._getPairInverseMass(bodyA, offsetA, bodyB, offsetB, normal),
+        tangentMasses: [
+          1 / this._getPairInverseMass(bodyA, offsetA, bodyB, offsetB, tangent1),
+          1 / this._getPairInverseMass(bodyA, offsetA, bodyB, offsetB, tangent2),
+        ],
+        bounce,
+        friction,
+        normalImpulse: impulse ? impulse.normal : 0,
+        tangentImpulses: impulse && friction > 0
+          ? [impulse.friction.dot(tangent1), impulse.friction.dot(tangent2)]
+          : [0, 0],
+        contact,
+        index,
+      };
+      
+      this.contactConstraints.push(constraint);
+    });
+  }
+  
+  /**
+   * Carry impulses over from last step's contact to the points of this step's
+   * contact that are still in about the same place
+   * @param {Object} contact - Contact from this step
+   * @param {Object} previousContact - Same pair's contact from last step
+   * @private
+   */
+  _matchImpulses(contact, previousContact) {
+    if (!previousContact.impulses) return;
     
-    // Calculate restitution (bounciness)
-    const restitution = Math.min(bodyA.restitution, bodyB.restitution);
+    contact.impulses = contact.points.map(point => {
+      const index = previousContact.points.findIndex(
+        previousPoint => previousPoint.distanceToSquared(point) < WARM_START_DISTANCE_SQUARED
+      );
+      return index >= 0 ? previousContact.impulses[index] : null;
+    });
+  }
+  
+  /**
+   * Sequential impulses: push every queued contact point apart and pull every
+   * joint together a few times over, keeping the total impulse of each point
+   * pushing (never pulling) and its friction within friction * normal impulse.
+   * Joints then move their bodies back into place, and break if they strained too much.
+   * @param {number} deltaTime - Time step
+   * @private
+   */
+  _solveConstraints(deltaTime) {
+    const constraints = this.contactConstraints;
+    const joints = this.joints.filter(joint => isAwake(joint.bodyA) || isAwake(joint.bodyB));
+    
+    joints.forEach(joint => joint.prepare(deltaTime));
     
-    // Calculate impulse scalar
-    let impulseStrength = -(1 + restitution) * velocityAlongNormal;
-    impulseStrength /= (1 / bodyA.mass) + (1 / bodyB.mass);
+    // Warm start with what each point needed last step. Only now, so every bounce
+    // above was measured from the velocities the bodies arrived with.
+    constraints.forEach(constraint => {
+      this._applyContactImpulse(constraint, constraint.normal, constraint.normalImpulse);
+      this._applyContactImpulse(constraint, constraint.tangents[0], constraint.tangentImpulses[0]);
+      this._applyContactImpulse(constraint, constraint.tangents[1], constraint.tangentImpulses[1]);
+    });
+    joints.forEach(joint => joint.warmStart());
     
-    // Apply impulse
-    const impulse = normal.multiplyScalar(impulseStrength);
+    for (let iteration = 0; iteration < this.solverIterations; iteration++) {
+      constraints.forEach(constraint => this._solveContact(constraint));
+      joints.forEach(joint => joint.solveVelocity());
+    }
     
-    bodyA.velocity.x += impulse.x / bodyA.mass;
-    bodyA.velocity.y += impulse.y / bodyA.mass;
-    bodyA.velocity.z += impulse.z / bodyA.mass;
+    // Keep the impulses on the contacts for warm starting and for anyone reading them
+    constraints.forEach(constraint => {
+      const { contact, index, tangents, tangentImpulses } = constraint;
+      if (!contact.impulses) contact.impulses = contact.points.map(() => null);
+      
+      contact.impulses[index] = {
+        normal: constraint.normalImpulse,
+        friction: tangents[0].clone().multiplyScalar(tangentImpulses[0]).addScaledVector(tangents[1], tangentImpulses[1]),
+      };
+    });
     
-    bodyB.velocity.x -= impulse.x / bodyB.mass;
-    bodyB.velocity.y -= impulse.y / bodyB.mass;
-    bodyB.velocity.z -= impulse.z / bodyB.mass;
+    this.contactConstraints = [];
     
-    // Separate the bodies to prevent sticking
-    const overlap = {
-      x: (bodyA.dimensions.x + bodyB.dimensions.x) / 2 - Math.abs(bodyA.position.x - bodyB.position.x),
-      y: (bodyA.dimensions.y + bodyB.dimensions.y) / 2 - Math.abs(bodyA.position.y - bodyB.position.y),
-      z: (bodyA.dimensions.z + bodyB.dimensions.z) / 2 - Math.abs(bodyA.position.z - bodyB.position.z)
-    };
+    if (joints.length === 0) return;
     
-    // Find the smallest overlap axis and separate bodies
-    if (overlap.x < overlap.y && overlap.x < overlap.z) {
-      const direction = bodyA.position.x < bodyB.position.x ? -1 : 1;
-      const moveAmount = overlap.x / 2;
-      bodyA.position.x += direction * moveAmount;
-      bodyB.position.x -= direction * moveAmount;
-    } else if (overlap.y < overlap.z) {
-      const direction = bodyA.position.y < bodyB.position.y ? -1 : 1;
-      const moveAmount = overlap.y / 2;
-      bodyA.position.y += direction * moveAmount;
-      bodyB.position.y -= direction * moveAmount;
-    } else {
-      const direction = bodyA.position.z < bodyB.position.z ? -1 : 1;
-      const moveAmount = overlap.z / 2;
-      bodyA.position.z += direction * moveAmount;
-      bodyB.position.z -= direction * moveAmount;
+    // Velocities alone let chains sag and stretch, so undo the drift directly
+    for (let iteration = 0; iteration < this.solverIterations; iteration++) {
+      joints.forEach(joint => joint.solvePosition());
+    }
+    
+    joints.filter(joint => joint.shouldBreak(deltaTime)).forEach(joint => {
+      this.removeJoint(joint);
+      joint.broken = true;
+      if (joint.onBreak) joint.onBreak(joint);
+    });
+  }
+  
+  /**
+   * One pass over a contact point
+   * @param {Object} constraint - Queued contact point
+   * @private
+   */
+  _solveContact(constraint) {
+    const { bodyA, bodyB, offsetA, offsetB, normal } = constraint;
+    
+    // Velocity of A's contact point relative to B's, positive along the normal while closing in
+    const closingSpeed = this._getRelativeVelocity(bodyA, offsetA, bodyB, offsetB).dot(normal);
+    
+    const previousImpulse = constraint.normalImpulse;
+    constraint.normalImpulse = Math.max(0, previousImpulse + (closingSpeed + constraint.bounce) * constraint.normalMass);
+    this._applyContactImpulse(constraint, normal, constraint.normalImpulse - previousImpulse);
+    
+    if (constraint.friction <= 0) return;
+    
+    // Coulomb friction against the sliding along each tangent
+    const maxFriction = constraint.friction * constraint.normalImpulse;
+    constraint.tangents.forEach((tangent, i) => {
+      const slidingSpeed = this._getRelativeVelocity(bodyA, offsetA, bodyB, offsetB).dot(tangent);
+      
+      const previous = constraint.tangentImpulses[i];
+      const impulse = THREE.MathUtils.clamp(previous + slidingSpeed * constraint.tangentMasses[i], -maxFriction, maxFriction);
+      constraint.tangentImpulses[i] = impulse;
+      this._applyContactImpulse(constraint, tangent, impulse - previous);
+    });
+  }
+  
+  /**
+   * Apply an impulse to both bodies of a contact point, pushing bodyA back and bodyB forward
+   * @param {Object} constraint - Queued contact point
+   * @param {THREE.Vector3} direction - Unit impulse direction
+   * @param {number} magnitude - Impulse strength along the direction
+   * @private
+   */
+  _applyContactImpulse(constraint, direction, magnitude) {
+    if (magnitude === 0) return;
+    
+    this._applyImpulseAt(constraint.bodyA, direction, -magnitude, constraint.offsetA);
+    if (constraint.bodyB) this._applyImpulseAt(constraint.bodyB, direction, magnitude, constraint.offsetB);
+  }
+  
+  /**
+   * Velocity of a contact point on bodyA relative to the same point on bodyB
+   * @param {Object} bodyA - Dynamic body
+   * @param {THREE.Vector3} offsetA - Contact point relative to bodyA's center
+   * @param {Object|null} bodyB - Second dynamic body, or null for a static one
+   * @param {THREE.Vector3|null} offsetB - Contact point relative to bodyB's center
+   * @returns {THREE.Vector3} Relative velocity
+   * @private
+   */
+  _getRelativeVelocity(bodyA, offsetA, bodyB, offsetB) {
+    const velocity = new THREE.Vector3().crossVectors(bodyA.angularVelocity, offsetA).add(bodyA.velocity);
+    
+    if (bodyB) {
+      velocity.sub(new THREE.Vector3().crossVectors(bodyB.angularVelocity, offsetB).add(bodyB.velocity));
     }
+    
+    return velocity;
   }
+  
+  /**
+   * Inverse of the mass the pair presents to an impulse along a direction at the contact point
+   * @param {Object} bodyA - Dynamic body
+   * @param {THREE.Vector3} offsetA - Contact point relative to bodyA's center
+   * @param {Object|null} bodyB - Second dynamic body, or null for a static one
+   * @param {THREE.Vector3|null} offsetB - Contact point relative to bodyB's center
+   * @param {THREE.Vector3} direction - Unit impulse direction
+   * @returns {number} Inverse effective mass
+   * @private
+   */
+  _getPairInverseMass(bodyA, offsetA, bodyB, offsetB, direction) {
+    const inverseMass = body => 1 / body.mass;
+    
+    // 1/m + d . ((I^-1 (r x d)) x r)
+    const rotational = (body, offset) => new THREE.Vector3()
+      .crossVectors(offset, direction)
+      .applyMatrix3(body.inverseInertiaWorld)
+      .cross(offset)
+      .dot(direction);
+    
+    let sum = inverseMass(bodyA) + rotational(bodyA, offsetA);
+    if (bodyB) sum += inverseMass(bodyB) + rotational(bodyB, offsetB);
+    
+    return sum;
+  }
+  
+  /**
+   * Apply an impulse at a point of a body
+   * @param {Object} body - Dynamic body
+   * @param {THREE.Vector3} direction - Unit impulse direction
+   * @param {number} magnitude - Impulse strength along the direction
+   * @param {THREE.Vector3} offset - Point relative to the body's center
+   * @private
+   */
+  _applyImpulseAt(body, direction, magnitude, offset) {
+    body.velocity.addScaledVector(direction, magnitude / body.mass);
+    
+    const angularImpulse = new THREE.Vector3().crossVectors(offset, direction).multiplyScalar(magnitude);
+    body.angularVelocity.add(angularImpulse.applyMatrix3(body.inverseInertiaWorld));
+  }
+}
+
+/**
+ * Whether an object is a body the simulation is moving right now
+ * @param {Object|null} object - Body or collider
+ * @returns {boolean} True for awake dynamic bodies
+ */
+function isAwake(object) {
+  return !!object && object.velocity !== undefined && !object.isStatic && !object.isSleeping;
+}
+
+/**
+ * Wake a body and restart its sleep timer
+ * @param {Object} body - Body
+ */
+function wakeBody(body) {
+  body.sleepTimer = 0;
+  if (!body.isSleeping) return;
+  
+  body.isSleeping = false;
+  if (body.onWake) body.onWake(body);
+}
+
+/**
+ * Stop a body and put it to sleep
+ * @param {Object} body - Body
+ */
+function sleepBody(body) {
+  if (body.isSleeping || body.isStatic) return;
+  
+  body.isSleeping = true;
+  body.velocity.set(0, 0, 0);
+  body.angularVelocity.set(0, 0, 0);
+  if (body.onSleep) body.onSleep(body);
 }
@@ -0,0 +1,421 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
+import { SMAAPass } from 'three/examples/jsm/postprocessing/SMAAPass.js';
+import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass.js';
+import { LUTPass } from 'three/examples/jsm/postprocessing/LUTPass.js';
+import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
+import { ColorCorrectionShader } from 'three/examples/jsm/shaders/ColorCorrectionShader.js';
+import { VignetteShader } from 'three/examples/jsm/shaders/VignetteShader.js';
+
+/**
+ * Pass factories by type name. Each factory is called with the pass options
+ * and a context ({ renderer, scene, camera, width, height }) and returns a pass.
+ */
+const passTypes = new Map();
+
+/**
+ * Set shader uniforms from an options object, ignoring unknown keys
+ * @param {ShaderPass} pass - Pass whose uniforms to set
+ * @param {Object} values - Uniform values by name
+ */
+function setUniforms(pass, values) {
+  Object.entries(values).forEach(([name, value]) => {
+    const uniform = pass.uniforms[name];
+    if (!uniform) return;
+    
+    if (uniform.value && typeof uniform.value.copy === 'function' && typeof value === 'object') {
+      uniform.value.copy(value);
+    } else {
+      uniform.value = value;
+    }
+  });
+}
+
+passTypes.set('bloom', (options, { width, height }) => new UnrealBloomPass(
+  new THREE.Vector2(width, height),
+  options.strength !== undefined ? options.strength : 1,
+  options.radius !== undefined ? options.radius : 0.4,
+  options.threshold !== undefined ? options.threshold : 0.85
+));
+
+passTypes.set('ssao', (options, { scene, camera, width, height }) => {
+  const pass = new SSAOPass(scene, camera, width, height, options.kernelSize);
+  
+  ['kernelRadius', 'minDistance', 'maxDistance', 'output'].forEach(key => {
+    if (options[key] !== undefined) pass[key] = options[key];
+  });
+  
+  return pass;
+});
+
+passTypes.set('fxaa', () => {
+  const pass = new ShaderPass(FXAAShader);
+  
+  // The composer passes the drawing buffer size, which is what FXAA samples in
+  pass.setSize = (width, height) => {
+    pass.uniforms.resolution.value.set(1 / width, 1 / height);
+  };
+  
+  return pass;
+});
+
+passTypes.set('smaa', (options, { width, height }) => new SMAAPass(width, height));
+
+passTypes.set('outline', (options, { scene, camera, width, height }) => {
+  const pass = new OutlinePass(new THREE.Vector2(width, height), scene, camera, options.selectedObjects || []);
+  
+  ['edgeStrength', 'edgeGlow', 'edgeThickness', 'pulsePeriod'].forEach(key => {
+    if (options[key] !== undefined) pass[key] = options[key];
+  });
+  if (options.visibleEdgeColor !== undefined) pass.visibleEdgeColor.set(options.visibleEdgeColor);
+  if (options.hiddenEdgeColor !== undefined) pass.hiddenEdgeColor.set(options.hiddenEdgeColor);
+  
+  return pass;
+});
+
+passTypes.set('colorGrading', (options) => {
+  // A 3D lookup table gives full control; otherwise fall back to per-channel pow/mul/add
+  if (options.lut) {
+    return new LUTPass({ lut: options.lut, intensity: options.intensity });
+  }
+  
+  const pass = new ShaderPass(ColorCorrectionShader);
+  setUniforms(pass, {
+    powRGB: options.powRGB || new THREE.Vector3(1, 1, 1),
+    mulRGB: options.mulRGB || new THREE.Vector3(1, 1, 1),
+    addRGB: options.addRGB || new THREE.Vector3(0, 0, 0),
+  });
+  
+  return pass;
+});
+
+passTypes.set('vignette', (options) => {
+  const pass = new ShaderPass(VignetteShader);
+  setUniforms(pass, {
+    offset: options.offset !== undefined ? options.offset : 1,
+    darkness: options.darkness !== undefined ? options.darkness : 1,
+  });
+  
+  return pass;
+});
+
+/**
+ * Post-processing chain for one scene, built on three's EffectComposer.
+ * The scene is always drawn first and tone mapping / color space conversion
+ * always last; named passes in between can be added, removed and reordered.
+ */
+export class PostProcessingPipeline {
+  /**
+   * Register a pass type that pipelines can create by name
+   * @param {string} type - Type name used in addPass()
+   * @param {Function} factory - (options, context) => Pass
+   */
+  static registerPassType(type, factory) {
+    passTypes.set(type, factory);
+  }
+  
+  /**
+   * Get the names of every registered pass type
+   * @returns {Array<string>} Pass type names
+   */
+  static getPassTypes() {
+    return Array.from(passTypes.keys());
+  }
+  
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+   * @param {Object} options - Pipeline options
+   * @param {THREE.Scene} options.scene - Scene to render
+   * @param {THREE.Camera} options.camera - Camera to render with
+   * @param {number} options.width - Initial width in CSS pixels
+   * @param {number} options.height - Initial height in CSS pixels
+   */
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.scene = options.scene;
+    this.camera = options.camera;
+    this.width = options.width || 1;
+    this.height = options.height || 1;
+    
+    // Disabled pipelines render the scene directly
+    this.enabled = true;
+    
+    // Named passes in the order they run ({ name, type, pass })
+    this.passes = [];
+    
+    // Pass types allowed to run (null allows all), set by the quality settings
+    this.allowedTypes = null;
+    
+    // Composer and fixed passes are created on first use so pass-less scenes cost nothing
+    this.composer = null;
+    this._renderPass = null;
+    this._outputPass = null;
+    
+    this._nextId = 1;
+  }
+  
+  /**
+   * Whether any enabled pass needs the composer
+   * @returns {boolean} True if rendering goes through the effect chain
+   */
+  get isActive() {
+    return this.enabled && this.passes.some(entry => this._isRunnable(entry));
+  }
+  
+  /**
+   * Create a pass and add it to the chain
+   * @param {string} type - Registered pass type (bloom, ssao, fxaa, smaa, outline, colorGrading, vignette)
+   * @param {Object} options - Options for the pass type
+   * @param {Object} placement - Where to put the pass
+   * @param {string} placement.name - Name to look the pass up by (default type, numbered if taken)
+   * @param {number} placement.index - Position in the chain (default end)
+   * @returns {string} The pass name
+   */
+  addPass(type, options = {}, placement = {}) {
+    const factory = passTypes.get(type);
+    
+    if (!factory) {
+      throw new Error(`Unknown post-processing pass: ${type}. Expected one of ${PostProcessingPipeline.getPassTypes().join(', ')}`);
+    }
+    
+    let name = placement.name || type;
+    if (this._getEntry(name)) {
+      if (placement.name) throw new Error(`Post-processing pass already exists: ${name}`);
+      name = `${type}_${this._nextId++}`;
+    }
+    
+    const pass = factory(options, {
+      renderer: this.renderer,
+      scene: this.scene,
+      camera: this.camera,
+      width: this.width,
+      height: this.height,
+    });
+    
+    if (options.enabled === false) {
+      pass.enabled = false;
+    }
+    
+    const index = placement.index !== undefined ? placement.index : this.passes.length;
+    this.passes.splice(index, 0, { name, type, pass });
+    
+    this._rebuild();
+    
+    return name;
+  }
+  
+  /**
+   * Remove a pass from the chain and free its resources
+   * @param {string} name - Pass name
+   * @returns {boolean} True if the pass existed
+   */
+  removePass(name) {
+    const entry = this._getEntry(name);
+    if (!entry) return false;
+    
+    this.passes.splice(this.passes.indexOf(entry), 1);
+    this._rebuild();
+    
+    if (typeof entry.pass.dispose === 'function') {
+      entry.pass.dispose();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Move a pass to another position in the chain
+   * @param {string} name - Pass name
+   * @param {number} index - New position
+   */
+  movePass(name, index) {
+    const entry = this._getEntry(name);
+    
+    if (!entry) {
+      throw new Error(`Post-processing pass not found: ${name}`);
+    }
+    
+    this.passes.splice(this.passes.indexOf(entry), 1);
+    this.passes.splice(Math.max(0, Math.min(index, this.passes.length)), 0, entry);
+    
+    this._rebuild();
+  }
+  
+  /**
+   * Get a pass to tweak its settings
+   * @param {string} name - Pass name
+   * @returns {Pass|null} The three.js pass
+   */
+  getPass(name) {
+    const entry = this._getEntry(name);
+    return entry ? entry.pass : null;
+  }
+  
+  /**
+   * Turn a pass on or off without removing it
+   * @param {string} name - Pass name
+   * @param {boolean} enabled - Whether the pass should run
+   */
+  setPassEnabled(name, enabled) {
+    const pass = this.getPass(name);
+    
+    if (!pass) {
+      throw new Error(`Post-processing pass not found: ${name}`);
+    }
+    
+    pass.enabled = enabled;
+    this._updateRenderPass();
+  }
+  
+  /**
+   * Restrict which pass types run, without touching each pass's own enabled flag
+   * @param {Array<string>|null} types - Allowed pass types (null allows all)
+   */
+  setAllowedTypes(types) {
+    this.allowedTypes = types ? new Set(types) : null;
+    
+    if (this.composer) {
+      this._rebuild();
+    }
+  }
+  
+  /**
+   * Replace the chain with passes from a configuration
+   * @param {Array<Object>} config - Pass descriptions ({ type, name, options })
+   */
+  configure(config) {
+    this.clear();
+    
+    config.forEach(({ type, name, options }) => {
+      this.addPass(type, options, { name });
+    });
+  }
+  
+  /**
+   * Remove every pass
+   */
+  clear() {
+    [...this.passes].forEach(entry => this.removePass(entry.name));
+  }
+  
+  /**
+   * Point the passes that render the scene at another camera
+   * @param {THREE.Camera} camera - Camera to render with
+   */
+  setCamera(camera) {
+    if (camera === this.camera) return;
+    this.camera = camera;
+    
+    if (this._renderPass) this._renderPass.camera = camera;
+    
+    this.passes.forEach(({ pass }) => {
+      if (pass instanceof SSAOPass) pass.camera = camera;
+      if (pass instanceof OutlinePass) pass.renderCamera = camera;
+    });
+  }
+  
+  /**
+   * Resize the composer render targets and every pass
+   * @param {number} width - New width in CSS pixels
+   * @param {number} height - New height in CSS pixels
+   */
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    
+    if (this.composer) {
+      this.composer.setPixelRatio(this.renderer.getPixelRatio());
+      this.composer.setSize(width, height);
+    }
+  }
+  
+  /**
+   * Render the scene through the effect chain
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  render(deltaTime) {
+    // Without a GPU there is nothing to post-process
+    if (!this.isActive || !this.renderer.isWebGLRenderer) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+    
+    this.composer.render(deltaTime);
+  }
+  
+  /**
+   * Free the passes and composer render targets
+   */
+  dispose() {
+    this.clear();
+    
+    if (this.composer) {
+      this._renderPass.dispose();
+      this._outputPass.dispose();
+      this.composer.dispose();
+      this.composer = null;
+    }
+  }
+  
+  /**
+   * Find a pass entry by name
+   * @param {string} name - Pass name
+   * @returns {Object|undefined} Entry
+   * @private
+   */
+  _getEntry(name) {
+    return this.passes.find(entry => entry.name === name);
+  }
+  
+  /**
+   * Check whether a pass is enabled and allowed by the quality settings
+   * @param {Object} entry - Pass entry
+   * @returns {boolean} True if the pass will run
+   * @private
+   */
+  _isRunnable(entry) {
+    return entry.pass.enabled && (!this.allowedTypes || this.allowedTypes.has(entry.type));
+  }
+  
+  /**
+   * Sync the composer pass list with the named passes
+   * @private
+   */
+  _rebuild() {
+    if (!this.composer) {
+      this.composer = new EffectComposer(this.renderer);
+      this.composer.setPixelRatio(this.renderer.getPixelRatio());
+      this.composer.setSize(this.width, this.height);
+      
+      this._renderPass = new RenderPass(this.scene, this.camera);
+      this._outputPass = new OutputPass();
+    }
+    
+    this.composer.passes.length = 0;
+    
+    // addPass() also sizes the pass to the composer
+    this.composer.addPass(this._renderPass);
+    this.passes
+      .filter(entry => !this.allowedTypes || this.allowedTypes.has(entry.type))
+      .forEach(({ pass }) => this.composer.addPass(pass));
+    this.composer.addPass(this._outputPass);
+    
+    this._updateRenderPass();
+  }
+  
+  /**
+   * Skip the plain scene render when SSAO runs first, as it draws the scene itself
+   * @private
+   */
+  _updateRenderPass() {
+    if (!this._renderPass) return;
+    
+    const first = this.passes.find(entry => this._isRunnable(entry));
+    this._renderPass.enabled = !(first && first.pass instanceof SSAOPass);
+  }
+}
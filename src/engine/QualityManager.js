@@ -0,0 +1,382 @@
+import * as THREE from 'three';
+
+/**
+ * Render quality presets.
+ * maxPixelRatio caps the device pixel ratio, shadowMapSize caps the size each
+ * light asks for, and effects lists the post-processing pass types allowed to
+ * run (null allows all). Antialiasing is fixed when the renderer is created.
+ */
+export const QualityPresets = {
+  low: {
+    maxPixelRatio: 1,
+    shadows: false,
+    shadowType: THREE.BasicShadowMap,
+    shadowMapSize: 512,
+    antialias: false,
+    effects: [],
+  },
+  medium: {
+    maxPixelRatio: 1.5,
+    shadows: true,
+    shadowType: THREE.PCFShadowMap,
+    shadowMapSize: 1024,
+    antialias: false,
+    effects: ['fxaa', 'smaa', 'vignette', 'colorGrading'],
+  },
+  high: {
+    maxPixelRatio: 2,
+    shadows: true,
+    shadowType: THREE.PCFSoftShadowMap,
+    shadowMapSize: 2048,
+    antialias: true,
+    effects: ['fxaa', 'smaa', 'vignette', 'colorGrading', 'bloom', 'outline'],
+  },
+  ultra: {
+    maxPixelRatio: Infinity,
+    shadows: true,
+    shadowType: THREE.PCFSoftShadowMap,
+    shadowMapSize: 4096,
+    antialias: true,
+    effects: null,
+  },
+};
+
+/**
+ * Steps the adaptive mode moves through, from full quality down
+ */
+const defaultAdaptiveSteps = [
+  { resolutionScale: 1, shadowScale: 1 },
+  { resolutionScale: 0.85, shadowScale: 1 },
+  { resolutionScale: 0.85, shadowScale: 0.5 },
+  { resolutionScale: 0.7, shadowScale: 0.5 },
+  { resolutionScale: 0.6, shadowScale: 0.25 },
+  { resolutionScale: 0.5, shadowScale: 0.25 },
+];
+
+/**
+ * Applies a quality preset to the renderer, lights and post-processing, and
+ * optionally steps resolution and shadow quality down or up to hold a target FPS.
+ */
+export class QualityManager {
+  /**
+   * Get a preset's settings
+   * @param {string} name - Preset name (low, medium, high, ultra)
+   * @returns {Object} Preset settings
+   */
+  static getPreset(name) {
+    const preset = QualityPresets[name];
+    
+    if (!preset) {
+      throw new Error(`Unknown quality preset: ${name}. Expected one of ${Object.keys(QualityPresets).join(', ')}`);
+    }
+    
+    return preset;
+  }
+  
+  /**
+   * @param {Engine} engine - Engine whose renderer and scenes to manage
+   * @param {Object} options - Quality options
+   * @param {string} options.preset - Initial preset (default high)
+   * @param {boolean} options.adaptive - Adjust quality to hold the target FPS (default false)
+   * @param {number} options.targetFps - Frame rate the adaptive mode aims for (default 60)
+   * @param {Array<Object>} options.steps - Adaptive steps ({ resolutionScale, shadowScale }), best first
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    
+    this.preset = options.preset || 'high';
+    this.settings = QualityManager.getPreset(this.preset);
+    
+    // Adaptive mode
+    this.adaptive = options.adaptive || false;
+    this.targetFps = options.targetFps || 60;
+    this.steps = options.steps || defaultAdaptiveSteps;
+    this.level = 0;
+    
+    // Hysteresis: drop below 90% of the target for a second to step down,
+    // hold 97% for a few seconds to step up, and settle after every change
+    this.downgradeRatio = 0.9;
+    this.upgradeRatio = 0.97;
+    this.downgradeDelay = 1;
+    this.upgradeDelay = 4;
+    this.cooldown = 2;
+    
+    // Exponentially smoothed frame time in seconds
+    this.smoothing = 0.1;
+    this.frameTime = null;
+    
+    this._lastFrame = null;
+    this._belowTarget = 0;
+    this._aboveTarget = 0;
+    this._cooldownLeft = 0;
+    this._lastChange = null;
+    this._upgradeBackoff = 1;
+    this._appliedShadowType = null;
+    
+    // Shadow map sizes the lights were authored with, before any cap
+    this._authoredShadowSizes = new WeakMap();
+    
+    this._removeListeners = [
+      engine.on('afterRender', () => this._onFrame()),
+      engine.on('sceneChanged', ({ scene }) => {
+        if (scene) this._applyToScene(scene, false);
+      }),
+    ];
+  }
+  
+  /**
+   * Resolution scale of the current adaptive step
+   * @returns {number} Multiplier for the pixel ratio
+   */
+  get resolutionScale() {
+    return this.steps[this.level].resolutionScale;
+  }
+  
+  /**
+   * Shadow map scale of the current adaptive step
+   * @returns {number} Multiplier for the shadow map sizes
+   */
+  get shadowScale() {
+    return this.steps[this.level].shadowScale;
+  }
+  
+  /**
+   * Smoothed frames per second
+   * @returns {number} Frame rate, or 0 before any frame was measured
+   */
+  get fps() {
+    return this.frameTime ? 1 / this.frameTime : 0;
+  }
+  
+  /**
+   * Switch to another preset, starting again from the best adaptive step
+   * @param {string} name - Preset name (low, medium, high, ultra)
+   */
+  setPreset(name) {
+    this.settings = QualityManager.getPreset(name);
+    this.preset = name;
+    this.level = 0;
+    this._resetMeasurements();
+    
+    this.apply();
+    this._emitChange('preset');
+  }
+  
+  /**
+   * Turn the adaptive mode on or off
+   * @param {boolean} enabled - Whether to adjust quality to the frame rate
+   * @param {number} targetFps - Frame rate to hold (default unchanged)
+   */
+  setAdaptive(enabled, targetFps = this.targetFps) {
+    this.adaptive = enabled;
+    this.targetFps = targetFps;
+    this._resetMeasurements();
+    
+    // Without adaptation the preset applies as is
+    if (!enabled && this.level !== 0) {
+      this.level = 0;
+      this.apply();
+      this._emitChange('adaptive');
+    }
+  }
+  
+  /**
+   * Apply the current preset and adaptive step to the renderer and every scene
+   */
+  apply() {
+    const renderer = this.engine.renderer;
+    const settings = this.settings;
+    
+    const devicePixelRatio = typeof window !== 'undefined' && window.devicePixelRatio ? window.devicePixelRatio : 1;
+    renderer.setPixelRatio(Math.min(devicePixelRatio, settings.maxPixelRatio) * this.resolutionScale);
+    
+    // Materials compile the shadow map type in, so they have to be rebuilt when it changes
+    const shadowTypeChanged = this._appliedShadowType !== null && this._appliedShadowType !== settings.shadowType;
+    renderer.shadowMap.enabled = settings.shadows;
+    renderer.shadowMap.type = settings.shadowType;
+    this._appliedShadowType = settings.shadowType;
+    
+    this.engine.sceneManager.stack.forEach(scene => this._applyToScene(scene, shadowTypeChanged));
+    
+    if (renderer.isWebGLRenderer) {
+      const attributes = renderer.getContextAttributes();
+      if (attributes && attributes.antialias !== settings.antialias) {
+        this.engine.debug.log('Antialiasing changes take effect when the renderer is recreated');
+      }
+    }
+    
+    // Resizes the render targets to the new pixel ratio
+    this.engine.handleResize();
+  }
+  
+  /**
+   * Stop watching the frame rate
+   */
+  dispose() {
+    this._removeListeners.forEach(remove => remove());
+    this._removeListeners = [];
+  }
+  
+  /**
+   * Apply shadow and post-processing settings to one scene
+   * @param {Object} scene - Scene to update
+   * @param {boolean} recompile - Rebuild the materials (after a shadow type change)
+   * @private
+   */
+  _applyToScene(scene, recompile) {
+    if (scene.threeScene) {
+      scene.threeScene.traverse(object => {
+        if (object.isLight && object.shadow) {
+          this._applyShadowSize(object);
+        }
+        
+        if (recompile && object.material) {
+          const materials = Array.isArray(object.material) ? object.material : [object.material];
+          materials.forEach(material => { material.needsUpdate = true; });
+        }
+      });
+    }
+    
+    if (scene.postProcessing) {
+      scene.postProcessing.setAllowedTypes(this.settings.effects);
+    }
+  }
+  
+  /**
+   * Cap a light's shadow map size by the preset and adaptive step
+   * @param {THREE.Light} light - Shadow-casting light
+   * @private
+   */
+  _applyShadowSize(light) {
+    const shadow = light.shadow;
+    
+    if (!this._authoredShadowSizes.has(light)) {
+      this._authoredShadowSizes.set(light, shadow.mapSize.x);
+    }
+    
+    const authored = this._authoredShadowSizes.get(light);
+    const target = Math.min(authored, this.settings.shadowMapSize) * this.shadowScale;
+    
+    // Shadow maps stay powers of two
+    const size = Math.max(128, Math.pow(2, Math.floor(Math.log2(target))));
+    
+    if (shadow.mapSize.x !== size || shadow.mapSize.y !== size) {
+      shadow.mapSize.set(size, size);
+      
+      // The renderer allocates a new map at the new size on the next frame
+      if (shadow.map) {
+        shadow.map.dispose();
+        shadow.map = null;
+      }
+    }
+  }
+  
+  /**
+   * Measure the frame time and adapt if needed
+   * @private
+   */
+  _onFrame() {
+    const now = this.engine.clock.now();
+    const last = this._lastFrame;
+    this._lastFrame = now;
+    
+    if (last === null) return;
+    
+    // Ignore stalls such as a hidden tab or a breakpoint
+    const frameTime = (now - last) / 1000;
+    if (frameTime <= 0 || frameTime > 0.25) return;
+    
+    this.frameTime = this.frameTime === null
+      ? frameTime
+      : this.frameTime + (frameTime - this.frameTime) * this.smoothing;
+    
+    if (this.adaptive) {
+      this._adapt(frameTime);
+    }
+  }
+  
+  /**
+   * Step quality down when the frame rate stays under target, and back up when it recovers
+   * @param {number} frameTime - Duration of the last frame in seconds
+   * @private
+   */
+  _adapt(frameTime) {
+    if (this._cooldownLeft > 0) {
+      this._cooldownLeft -= frameTime;
+      return;
+    }
+    
+    const fps = this.fps;
+    
+    if (fps < this.targetFps * this.downgradeRatio) {
+      this._belowTarget += frameTime;
+      this._aboveTarget = 0;
+      
+      if (this._belowTarget >= this.downgradeDelay && this.level < this.steps.length - 1) {
+        this._changeLevel(1);
+      }
+    } else if (fps >= this.targetFps * this.upgradeRatio) {
+      this._aboveTarget += frameTime;
+      this._belowTarget = 0;
+      
+      if (this._aboveTarget >= this.upgradeDelay * this._upgradeBackoff && this.level > 0) {
+        this._changeLevel(-1);
+      }
+    } else {
+      // Between the thresholds nothing changes
+      this._belowTarget = 0;
+      this._aboveTarget = 0;
+    }
+  }
+  
+  /**
+   * Move to a neighbouring adaptive step
+   * @param {number} direction - 1 to lower quality, -1 to raise it
+   * @private
+   */
+  _changeLevel(direction) {
+    const now = this.engine.clock.now();
+    
+    // Stepping straight back down after stepping up means the higher step can't be held,
+    // so wait longer before trying it again
+    if (direction > 0 && this._lastChange && this._lastChange.direction < 0
+      && now - this._lastChange.time < (this.upgradeDelay + this.cooldown) * 1000) {
+      this._upgradeBackoff = Math.min(this._upgradeBackoff * 2, 8);
+    }
+    
+    this.level += direction;
+    this._lastChange = { direction, time: now };
+    this._resetMeasurements();
+    this._cooldownLeft = this.cooldown;
+    
+    this.apply();
+    this._emitChange(direction > 0 ? 'downgrade' : 'upgrade');
+  }
+  
+  /**
+   * Forget the frame time history, e.g. after a change that affects it
+   * @private
+   */
+  _resetMeasurements() {
+    this.frameTime = null;
+    this._belowTarget = 0;
+    this._aboveTarget = 0;
+  }
+  
+  /**
+   * Notify listeners that the quality changed
+   * @param {string} reason - What caused the change (preset, adaptive, downgrade, upgrade)
+   * @private
+   */
+  _emitChange(reason) {
+    this.engine.debug.log(`Quality: ${this.preset}, resolution ${this.resolutionScale}, shadows ${this.shadowScale} (${reason})`);
+    
+    this.engine.emit('qualityChanged', {
+      preset: this.preset,
+      level: this.level,
+      resolutionScale: this.resolutionScale,
+      shadowScale: this.shadowScale,
+      reason,
+    });
+  }
+}
@@ -0,0 +1,489 @@
+import * as THREE from 'three';
+import { PostProcessingPipeline } from './PostProcessingPipeline';
+
+export class SceneManager {
+  constructor(engine) {
+    this.engine = engine;
+    
+    // Scene stack (the last entry is the active scene)
+    this.stack = [];
+    
+    // Running transition, if any
+    this.transition = null;
+    
+    // Stack operations are queued so transitions never overlap
+    this._queue = Promise.resolve();
+    
+    // Fullscreen quad drawn over the scenes during transitions
+    this._overlayCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this._overlayMaterial = new THREE.MeshBasicMaterial({
+      transparent: true,
+      depthTest: false,
+      depthWrite: false,
+    });
+    this._overlayScene = new THREE.Scene();
+    this._overlayScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this._overlayMaterial));
+    
+    // Render target holding the outgoing scene during crossfades
+    this._renderTarget = null;
+    
+    this._disposed = false;
+  }
+  
+  /**
+   * The scene on top of the stack
+   * @returns {Object|null} Active scene
+   */
+  get activeScene() {
+    return this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+  }
+  
+  /**
+   * Push a scene on top of the stack, pausing the current one
+   * @param {Object} scene - Scene to enter
+   * @param {Object} options - Transition options (transition, duration, color, onProgress)
+   * @returns {Promise} Resolves once the scene is entered and the transition has finished
+   */
+  push(scene, options = {}) {
+    return this._enqueue(async () => {
+      await this.engine.loadAssets(options.onProgress, scene);
+      
+      await this._transition(options, 'push', scene, () => {
+        const current = this.activeScene;
+        if (current) this._callHook(current, 'pause');
+        
+        this.stack.push(scene);
+        this._setupPostProcessing(scene);
+        this._callHook(scene, 'enter');
+        
+        return [];
+      });
+    });
+  }
+  
+  /**
+   * Pop the active scene, resuming the one below it
+   * @param {Object} options - Transition options (transition, duration, color)
+   * @returns {Promise<Object|null>} The removed scene
+   */
+  pop(options = {}) {
+    return this._enqueue(async () => {
+      if (this.stack.length === 0) return null;
+      
+      let removed = null;
+      await this._transition(options, 'pop', null, () => {
+        removed = this.stack.pop();
+        this._callHook(removed, 'exit');
+        
+        const next = this.activeScene;
+        if (next) this._callHook(next, 'resume');
+        
+        return [removed];
+      });
+      
+      return removed;
+    });
+  }
+  
+  /**
+   * Replace the active scene with another one
+   * @param {Object} scene - Scene to enter
+   * @param {Object} options - Transition options (transition, duration, color, onProgress)
+   * @returns {Promise<Object|null>} The removed scene
+   */
+  replace(scene, options = {}) {
+    return this._enqueue(async () => {
+      await this.engine.loadAssets(options.onProgress, scene);
+      
+      let removed = null;
+      await this._transition(options, 'replace', scene, () => {
+        removed = this.stack.pop() || null;
+        if (removed) this._callHook(removed, 'exit');
+        
+        this.stack.push(scene);
+        this._setupPostProcessing(scene);
+        this._callHook(scene, 'enter');
+        
+        return removed ? [removed] : [];
+      });
+      
+      return removed;
+    });
+  }
+  
+  /**
+   * Update the active scene at the fixed simulation rate
+   * @param {number} fixedDelta - Fixed step duration in seconds
+   */
+  fixedUpdate(fixedDelta) {
+    const scene = this.activeScene;
+    if (scene && typeof scene.fixedUpdate === 'function') {
+      this._runGuarded(scene, 'fixedUpdate', () => scene.fixedUpdate(fixedDelta));
+    }
+  }
+  
+  /**
+   * Update the active scene
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {number} alpha - Interpolation factor between the last two physics steps
+   */
+  update(deltaTime, alpha) {
+    const scene = this.activeScene;
+    if (scene) {
+      this._runGuarded(scene, 'update', () => scene.update(deltaTime, this.engine.elapsedTime, alpha));
+    }
+  }
+  
+  /**
+   * Advance the running transition. The engine calls this every frame with the
+   * real frame time, so transitions finish while paused or at a time scale of 0
+   * and the queued stack operations behind them never get stuck.
+   * @param {number} deltaTime - Real frame time in seconds
+   */
+  updateTransition(deltaTime) {
+    if (!this.transition) return;
+    
+    this.transition.elapsed += deltaTime;
+    
+    if (this.transition.elapsed >= this.transition.duration) {
+      const { resolve } = this.transition;
+      this.transition = null;
+      resolve();
+    }
+  }
+  
+  /**
+   * Render the visible scenes of the stack and the transition overlay
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+   */
+  render(renderer) {
+    const autoClear = renderer.autoClear;
+    
+    // Draw the outgoing scene off-screen so it can be blended over the new one
+    if (this.transition && this.transition.type === 'crossfade' && this.transition.from) {
+      renderer.setRenderTarget(this._getRenderTarget(renderer));
+      renderer.clear();
+      renderer.render(this.transition.from.threeScene, this._getCamera(this.transition.from));
+      renderer.setRenderTarget(null);
+    }
+    
+    // Every registered camera draws the scenes into its own viewport or render target
+    const visible = this._getVisibleScenes();
+    this.engine.cameras.getRenderOrder().forEach(view => {
+      this._renderView(renderer, view, visible);
+    });
+    this.engine.cameras.resetViewport(renderer);
+    
+    if (this.transition) {
+      this._updateOverlay();
+      renderer.autoClear = false;
+      renderer.render(this._overlayScene, this._overlayCamera);
+    }
+    
+    renderer.autoClear = autoClear;
+  }
+  
+  /**
+   * Draw the visible scenes (or the view's own scene) through one camera view
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+   * @param {Object} view - Camera view from the engine's CameraManager
+   * @param {Array} visible - Visible scenes, from the bottom up
+   * @private
+   */
+  _renderView(renderer, view, visible) {
+    this.engine.cameras.beginView(renderer, view);
+    renderer.autoClear = false;
+    
+    if (view.scene) {
+      renderer.render(view.scene, view.camera);
+      return;
+    }
+    
+    // Overlay scenes (e.g. a pause menu) let the scenes below them show through
+    visible.forEach((scene, index) => {
+      if (index > 0) {
+        renderer.clearDepth();
+      }
+      
+      const camera = view.useSceneCamera ? this._getCamera(scene, view.camera) : view.camera;
+      
+      // Effects go over the whole screen, so only the bottom scene of a full-screen view gets its pipeline
+      if (index === 0 && scene.postProcessing && view.postProcessing && this.engine.cameras.isFullscreen(view)) {
+        scene.postProcessing.setCamera(camera);
+        scene.postProcessing.render(this.engine.deltaTime);
+        return;
+      }
+      
+      renderer.render(scene.threeScene, camera);
+    });
+  }
+  
+  /**
+   * Forward a resize to every scene in the stack
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  onResize(width, height) {
+    if (this._renderTarget) {
+      const pixelRatio = this.engine.renderer.getPixelRatio();
+      this._renderTarget.setSize(width * pixelRatio, height * pixelRatio);
+    }
+    
+    this.stack.forEach(scene => {
+      if (scene.postProcessing) {
+        scene.postProcessing.setSize(width, height);
+      }
+      
+      if (typeof scene.onResize === 'function') {
+        scene.onResize(width, height);
+      }
+    });
+  }
+  
+  /**
+   * Let every scene in the stack redraw GPU-generated content after a WebGL context loss
+   */
+  onContextRestored() {
+    this.stack.forEach(scene => this._callHook(scene, 'onContextRestored'));
+  }
+  
+  /**
+   * Exit and dispose every scene and release the transition resources
+   */
+  dispose() {
+    this._disposed = true;
+    
+    while (this.stack.length > 0) {
+      const scene = this.stack.pop();
+      this._callHook(scene, 'exit');
+      this._disposeScene(scene);
+    }
+    
+    if (this.transition) {
+      this.transition.resolve();
+      this.transition = null;
+    }
+    
+    this._overlayScene.children.forEach(mesh => mesh.geometry.dispose());
+    this._overlayMaterial.dispose();
+    
+    if (this._renderTarget) {
+      this._renderTarget.dispose();
+      this._renderTarget = null;
+    }
+  }
+  
+  /**
+   * Run a stack operation once the previous ones have completed
+   * @param {Function} operation - Async operation to run
+   * @returns {Promise} Result of the operation
+   * @private
+   */
+  _enqueue(operation) {
+    const result = this._queue.then(operation);
+    
+    // Keep the queue alive even if this operation fails
+    this._queue = result.catch(() => {});
+    
+    return result;
+  }
+  
+  /**
+   * Apply a stack change wrapped in the requested transition
+   * @param {Object} options - Transition options
+   * @param {string} operation - Stack operation (push, pop or replace)
+   * @param {Object|null} scene - Scene the change enters, disposed if it never gets to
+   * @param {Function} change - Applies the change and returns the scenes to dispose
+   * @private
+   */
+  async _transition(options, operation, scene, change) {
+    // Operations still queued when the manager was disposed are dropped
+    if (this._disposed) {
+      if (scene) this._disposeScene(scene);
+      return;
+    }
+    
+    // Transitions are driven by the game loop, so skip them while it isn't running
+    const type = this.engine.isRunning ? (options.transition || 'none') : 'none';
+    const duration = options.duration !== undefined ? options.duration : 0.5;
+    const color = new THREE.Color(options.color !== undefined ? options.color : 0x000000);
+    
+    let removed;
+    
+    if (type === 'fade') {
+      // Fade out to a solid color, swap scenes, then fade back in
+      await this._runTransition({ type: 'fadeOut', duration: duration / 2, color });
+      
+      // dispose() ends the running transition, the scene must not be entered after it
+      if (this._disposed) {
+        if (scene) this._disposeScene(scene);
+        return;
+      }
+      
+      removed = this._applyChange(operation, change);
+      await this._runTransition({ type: 'fadeIn', duration: duration / 2, color });
+    } else if (type === 'crossfade') {
+      const from = this.activeScene;
+      removed = this._applyChange(operation, change);
+      await this._runTransition({ type: 'crossfade', duration, color, from });
+    } else {
+      removed = this._applyChange(operation, change);
+    }
+    
+    // Scenes leaving the stack are only torn down once nothing draws them anymore. If
+    // dispose() ended the transition, it took the entered scene down with the stack.
+    removed.forEach(leaving => this._disposeScene(leaving));
+  }
+  
+  /**
+   * Apply a stack change and notify the engine
+   * @param {string} operation - Stack operation (push, pop or replace)
+   * @param {Function} change - Applies the change and returns the removed scenes
+   * @returns {Array} Removed scenes
+   * @private
+   */
+  _applyChange(operation, change) {
+    const previous = this.activeScene;
+    const removed = change();
+    
+    const scene = this.activeScene;
+    this.engine.scene = scene ? scene.threeScene : new THREE.Scene();
+    
+    this.engine.debug.log(`Active scene: ${scene ? scene.constructor.name : 'none'}`);
+    this.engine.emit('sceneChanged', { scene, previous, operation });
+    
+    return removed;
+  }
+  
+  /**
+   * Start a timed transition and wait for it to complete
+   * @param {Object} transition - Transition settings
+   * @returns {Promise} Resolves when the transition has finished
+   * @private
+   */
+  _runTransition(transition) {
+    return new Promise(resolve => {
+      this.transition = { ...transition, elapsed: 0, resolve };
+    });
+  }
+  
+  /**
+   * Update the overlay material for the current transition progress
+   * @private
+   */
+  _updateOverlay() {
+    const { type, elapsed, duration, color } = this.transition;
+    const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+    
+    if (type === 'crossfade') {
+      this._overlayMaterial.map = this._renderTarget ? this._renderTarget.texture : null;
+      this._overlayMaterial.color.set(0xffffff);
+      this._overlayMaterial.opacity = 1 - progress;
+    } else {
+      this._overlayMaterial.map = null;
+      this._overlayMaterial.color.copy(color);
+      this._overlayMaterial.opacity = type === 'fadeOut' ? progress : 1 - progress;
+    }
+    
+    this._overlayMaterial.needsUpdate = true;
+  }
+  
+  /**
+   * Get the scenes that need to be drawn, from the bottom up
+   * @returns {Array} Visible scenes
+   * @private
+   */
+  _getVisibleScenes() {
+    let start = this.stack.length - 1;
+    while (start > 0 && this.stack[start].isOverlay) {
+      start--;
+    }
+    
+    return this.stack.slice(Math.max(start, 0));
+  }
+  
+  /**
+   * Get the camera a scene should be rendered with
+   * @param {Object} scene - Scene to render
+   * @param {THREE.Camera} fallback - Camera to use if the scene has none (default the main camera)
+   * @returns {THREE.Camera} Camera
+   * @private
+   */
+  _getCamera(scene, fallback = this.engine.camera) {
+    return scene.camera || fallback;
+  }
+  
+  /**
+   * Lazily create the crossfade render target
+   * @param {THREE.WebGLRenderer} renderer - Renderer whose size to match
+   * @returns {THREE.WebGLRenderTarget} Render target
+   * @private
+   */
+  _getRenderTarget(renderer) {
+    if (!this._renderTarget) {
+      const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+      this._renderTarget = new THREE.WebGLRenderTarget(size.x, size.y);
+    }
+    
+    return this._renderTarget;
+  }
+  
+  /**
+   * Give a scene its post-processing pipeline, configured from its getPostProcessing() hook
+   * @param {Object} scene - Scene about to enter
+   * @private
+   */
+  _setupPostProcessing(scene) {
+    if (scene.postProcessing || typeof scene.getPostProcessing !== 'function') return;
+    
+    const { width, height } = this.engine.getSize();
+    scene.postProcessing = new PostProcessingPipeline(this.engine.renderer, {
+      scene: scene.threeScene,
+      camera: this._getCamera(scene),
+      width,
+      height,
+    });
+    scene.postProcessing.configure(scene.getPostProcessing() || []);
+  }
+  
+  /**
+   * Dispose a scene that left the stack along with its pipeline
+   * @param {Object} scene - Scene to dispose
+   * @private
+   */
+  _disposeScene(scene) {
+    this._callHook(scene, 'dispose');
+    
+    if (scene.postProcessing) {
+      scene.postProcessing.dispose();
+      scene.postProcessing = null;
+    }
+  }
+  
+  /**
+   * Run a scene's per-frame code inside the engine's error boundary
+   * @param {Object} scene - Scene being updated
+   * @param {string} method - Method name, used to report where the error happened
+   * @param {Function} callback - Code to run
+   * @private
+   */
+  _runGuarded(scene, method, callback) {
+    try {
+      callback();
+    } catch (error) {
+      this.engine.handleFrameError(error, `${scene.constructor.name}.${method}`);
+    }
+  }
+  
+  /**
+   * Call a lifecycle hook on a scene if it implements it
+   * @param {Object} scene - Scene to notify
+   * @param {string} hook - Hook name (enter, exit, pause, resume, dispose)
+   * @private
+   */
+  _callHook(scene, hook) {
+    if (typeof scene[hook] === 'function') {
+      scene[hook]();
+    }
+  }
+}
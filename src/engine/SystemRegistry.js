@@ -0,0 +1,136 @@
+/**
+ * Standard update phases, in the order the engine runs them each frame
+ */
+export const SystemPhases = ['input', 'preUpdate', 'physics', 'update', 'lateUpdate', 'render'];
+
+export class SystemRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Function} options.onError - Called with (error, entry) when a system throws;
+   *   without it the error propagates and stops the phase
+   */
+  constructor(options = {}) {
+    // Registered entries per phase, kept sorted by priority
+    this.phases = new Map(SystemPhases.map(phase => [phase, []]));
+    
+    // Error boundary around each system update
+    this.onError = options.onError || null;
+    
+    // Registration order breaks priority ties
+    this._order = 0;
+  }
+  
+  /**
+   * Register a system
+   * @param {Object} system - Object with an update(deltaTime, alpha) method
+   * @param {Object} options - Registration options
+   * @param {string} options.phase - Phase to run in (default update)
+   * @param {number} options.priority - Order within the phase, lower runs first (default 0)
+   * @param {string} options.name - Name to look the system up by
+   * @param {boolean} options.enabled - Whether the system starts enabled (default true)
+   * @returns {Object} The registry entry
+   */
+  register(system, options = {}) {
+    const phase = options.phase || 'update';
+    const entries = this.phases.get(phase);
+    
+    if (!entries) {
+      throw new Error(`Unknown system phase: ${phase}. Expected one of ${SystemPhases.join(', ')}`);
+    }
+    
+    if (this.getEntry(system)) {
+      throw new Error('System is already registered');
+    }
+    
+    const entry = {
+      system,
+      phase,
+      priority: options.priority || 0,
+      name: options.name || (system.constructor && system.constructor.name) || 'system',
+      enabled: options.enabled !== undefined ? options.enabled : true,
+      order: this._order++,
+    };
+    
+    entries.push(entry);
+    entries.sort((a, b) => a.priority - b.priority || a.order - b.order);
+    
+    return entry;
+  }
+  
+  /**
+   * Remove a system from the registry
+   * @param {Object|string} systemOrName - System instance or registered name
+   * @returns {boolean} True if the system was registered
+   */
+  unregister(systemOrName) {
+    const entry = this.getEntry(systemOrName);
+    if (!entry) return false;
+    
+    const entries = this.phases.get(entry.phase);
+    entries.splice(entries.indexOf(entry), 1);
+    
+    return true;
+  }
+  
+  /**
+   * Enable or disable a system at runtime
+   * @param {Object|string} systemOrName - System instance or registered name
+   * @param {boolean} enabled - Whether the system should run
+   */
+  setEnabled(systemOrName, enabled) {
+    const entry = this.getEntry(systemOrName);
+    
+    if (!entry) {
+      throw new Error(`System not registered: ${typeof systemOrName === 'string' ? systemOrName : systemOrName.constructor.name}`);
+    }
+    
+    entry.enabled = enabled;
+  }
+  
+  /**
+   * Check whether a system is registered and enabled
+   * @param {Object|string} systemOrName - System instance or registered name
+   * @returns {boolean} True if the system will run
+   */
+  isEnabled(systemOrName) {
+    const entry = this.getEntry(systemOrName);
+    return !!entry && entry.enabled;
+  }
+  
+  /**
+   * Find the registry entry of a system
+   * @param {Object|string} systemOrName - System instance or registered name
+   * @returns {Object|null} Entry with system, phase, priority, name and enabled
+   */
+  getEntry(systemOrName) {
+    for (const entries of this.phases.values()) {
+      const entry = entries.find(candidate => (
+        typeof systemOrName === 'string' ? candidate.name === systemOrName : candidate.system === systemOrName
+      ));
+      if (entry) return entry;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Run every enabled system of a phase in priority order
+   * @param {string} phase - Phase to run
+   * @param {number} deltaTime - Time step in seconds
+   * @param {number} alpha - Interpolation factor between the last two physics steps
+   */
+  run(phase, deltaTime, alpha) {
+    // Copy so systems can register or unregister others while running
+    for (const entry of [...this.phases.get(phase)]) {
+      if (!entry.enabled) continue;
+      
+      // One failing system must not keep the rest of the phase from running
+      try {
+        entry.system.update(deltaTime, alpha);
+      } catch (error) {
+        if (!this.onError) throw error;
+        this.onError(error, entry);
+      }
+    }
+  }
+}
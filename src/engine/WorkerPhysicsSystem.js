@@ -0,0 +1,473 @@
+import { PhysicsSystem } from './PhysicsSystem';
+import { serializeBody, serializeCollider } from './physics/Snapshot';
+import {
+  BODY_STRIDE,
+  COLLISION_EVENT_NAMES,
+  SLEEP_INDEX,
+  TRANSFORM_RANGE,
+  VELOCITY_RANGE,
+  deserializeCollisionEvent,
+  getCallbackNames,
+  rangeEquals,
+  readBodyTransform,
+  readBodyVelocity,
+  writeBodyState,
+} from './physics/WorkerProtocol';
+
+// Scratch state of one body
+const bodyState = new Float64Array(BODY_STRIDE);
+
+/**
+ * PhysicsSystem that steps in a Web Worker, so a heavy simulation doesn't take
+ * frame time from rendering. Bodies and colliders are created, read and changed
+ * on the main thread as usual. Each step sends what changed since the last one
+ * to the worker, and the new body states come back a frame later through a
+ * SharedArrayBuffer when the page is cross-origin isolated, or a transferred
+ * ArrayBuffer otherwise. Collision, trigger and sleep callbacks and the collision
+ * events run on the main thread.
+ *
+ * Queries, attached objects and character controllers work on the main thread's
+ * copy of the bodies. Joints and snapshots need the simulation itself, so they
+ * aren't available.
+ *
+ * Emits error with { error, source } when the worker fails to load, throws or
+ * sends a message that can't be read.
+ */
+export class WorkerPhysicsSystem extends PhysicsSystem {
+  /**
+   * @param {Object} options - Physics options, the same as PhysicsSystem's. The broadphase
+   *   has to be given by name.
+   * @param {Worker} options.worker - Worker running physics.worker.js (default a new one)
+   * @param {boolean} options.sharedMemory - Share the body states through a SharedArrayBuffer
+   *   (default when available)
+   * @param {number} options.maxQueuedSteps - Steps kept waiting while the worker is busy, older
+   *   ones are dropped so a slow worker slows the simulation down instead of falling behind (default 5)
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    // Steps are scaled here before they're sent, so the worker's own time scale stays at 1
+    const { worker, sharedMemory, maxQueuedSteps, timeScale, ...physicsOptions } = options;
+    if (physicsOptions.broadphase && typeof physicsOptions.broadphase !== 'string') {
+      throw new Error('Worker physics needs the broadphase by name, e.g. { broadphase: \'spatialHash\' }');
+    }
+    
+    this.sharedMemory = sharedMemory !== undefined ? sharedMemory : WorkerPhysicsSystem.isSharedMemorySupported();
+    this.maxQueuedSteps = maxQueuedSteps || 5;
+    
+    // Steps waiting to be sent, and the bodies of the step being run, in the worker's order
+    this._pendingSteps = [];
+    this._stepBodies = null;
+    this._removedDuringStep = new Set();
+    
+    // Body states as the worker last saw them, to find what changed on the main thread
+    this._syncedStates = new Map();
+    this._syncedTransforms = new Map();
+    this._syncedCallbacks = new Map();
+    
+    // Bodies and colliders by id, for events coming back
+    this._objects = new Map();
+    
+    // State buffer, null while a plain ArrayBuffer is over in the worker
+    this._buffer = null;
+    this._bufferChanged = false;
+    
+    this.worker = worker && worker !== true
+      ? worker
+      : new Worker(new URL('./physics/physics.worker.js', import.meta.url));
+    this.worker.onmessage = event => this._handleMessage(event.data);
+    this.worker.onerror = event => this._handleError(new Error(event.message || 'Physics worker failed to load'));
+    this.worker.onmessageerror = () => this._handleError(new Error('Physics worker sent a message that could not be read'));
+    
+    const gravity = { x: this.gravity.x, y: this.gravity.y, z: this.gravity.z };
+    this.worker.postMessage({ type: 'init', options: { ...physicsOptions, gravity } });
+  }
+  
+  /**
+   * Whether workers can run here
+   * @returns {boolean} True if Web Workers are available
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+  
+  /**
+   * Whether memory can be shared with workers, which needs a cross-origin isolated page
+   * @returns {boolean} True if SharedArrayBuffer is usable
+   */
+  static isSharedMemorySupported() {
+    return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated !== false;
+  }
+  
+  /**
+   * Add a body here and in the worker
+   * @param {Object} body - Physics body to add
+   * @returns {Object} The body
+   */
+  addBody(body) {
+    super.addBody(body);
+    
+    writeBodyState(body, bodyState, 0);
+    this._syncedStates.set(body, Float64Array.from(bodyState));
+    this._addObject(body, 'addBody', serializeBody(body));
+    
+    return body;
+  }
+  
+  /**
+   * Remove a body here and in the worker
+   * @param {Object} body - Physics body to remove
+   */
+  removeBody(body) {
+    if (!this.bodies.includes(body)) return;
+    
+    super.removeBody(body);
+    this._syncedStates.delete(body);
+    this._removeObject(body, 'removeBody');
+    if (this._stepBodies) this._removedDuringStep.add(body);
+  }
+  
+  /**
+   * Add a collider here and in the worker
+   * @param {Object} collider - Collider to add
+   * @returns {Object} The collider
+   */
+  addCollider(collider) {
+    super.addCollider(collider);
+    
+    this._syncedTransforms.set(collider, getTransform(collider));
+    this._addObject(collider, 'addCollider', serializeCollider(collider));
+    
+    return collider;
+  }
+  
+  /**
+   * Remove a collider here and in the worker
+   * @param {Object} collider - Collider to remove
+   */
+  removeCollider(collider) {
+    if (!this.colliders.includes(collider)) return;
+    
+    super.removeCollider(collider);
+    this._syncedTransforms.delete(collider);
+    this._removeObject(collider, 'removeCollider');
+  }
+  
+  /**
+   * Choose how collision pairs are found, here and in the worker
+   * @param {string} broadphase - none, spatialHash, sweepAndPrune or aabbTree
+   * @param {Object} options - Options for the broadphase
+   */
+  setBroadphase(broadphase, options = {}) {
+    super.setBroadphase(broadphase, options);
+    
+    // Also called by the PhysicsSystem constructor, before there is a worker
+    if (this.worker) {
+      this.worker.postMessage({ type: 'setBroadphase', broadphase, options });
+    }
+  }
+  
+  /**
+   * Move a body or collider to another collision layer, here and in the worker
+   * @param {Object} object - Body or collider
+   * @param {string} layer - Layer name
+   * @param {Array<string>} collidesWith - Layers it collides with (default from the layer matrix)
+   */
+  setLayer(object, layer, collidesWith) {
+    super.setLayer(object, layer, collidesWith);
+    this.worker.postMessage({ type: 'setLayer', id: object.id, layer, collidesWith: object.collidesWith });
+  }
+  
+  /**
+   * Wake the bodies touching an object, which only the worker knows about
+   * @param {Object} object - Body or collider
+   */
+  wakeTouching(object) {
+    this.worker.postMessage({ type: 'wakeTouching', id: object.id });
+  }
+  
+  /**
+   * Joints are solved with the simulation, so they can't be added from here
+   */
+  addJoint() {
+    throw new Error('Joints are not available with worker physics');
+  }
+  
+  /**
+   * Snapshots need the simulation's contacts, which stay in the worker
+   */
+  serialize() {
+    throw new Error('Snapshots are not available with worker physics');
+  }
+  
+  /**
+   * See serialize()
+   */
+  deserialize() {
+    throw new Error('Snapshots are not available with worker physics');
+  }
+  
+  /**
+   * Queue a step for the worker. Its results arrive with a later frame.
+   * @param {number} deltaTime - Time step for the update
+   */
+  update(deltaTime) {
+    this._readBindings();
+    
+    this._pendingSteps.push(deltaTime * this.timeScale);
+    if (this._pendingSteps.length > this.maxQueuedSteps) {
+      this._pendingSteps.shift();
+    }
+    
+    this._sendSteps();
+  }
+  
+  /**
+   * Clear the simulation and stop the worker
+   */
+  dispose() {
+    super.dispose();
+    
+    this.worker.terminate();
+    this._pendingSteps = [];
+    this._stepBodies = null;
+    this._syncedStates.clear();
+    this._syncedTransforms.clear();
+    this._syncedCallbacks.clear();
+    this._objects.clear();
+  }
+  
+  /**
+   * Tell the worker about a new body or collider
+   * @param {Object} object - Body or collider
+   * @param {string} type - Message type
+   * @param {Object} data - Serialized object
+   * @private
+   */
+  _addObject(object, type, data) {
+    const callbacks = getCallbackNames(object);
+    this._syncedCallbacks.set(object, callbacks.join());
+    this._objects.set(object.id, object);
+    
+    this.worker.postMessage({ type, data, callbacks });
+  }
+  
+  /**
+   * Tell the worker a body or collider is gone
+   * @param {Object} object - Body or collider
+   * @param {string} type - Message type
+   * @private
+   */
+  _removeObject(object, type) {
+    this._syncedCallbacks.delete(object);
+    this._objects.delete(object.id);
+    
+    this.worker.postMessage({ type, id: object.id });
+  }
+  
+  /**
+   * Send the queued steps with everything changed on the main thread, unless
+   * the worker is still busy with the last ones
+   * @private
+   */
+  _sendSteps() {
+    if (this._stepBodies || this._pendingSteps.length === 0) return;
+    
+    const bodies = this.bodies.map(body => this._getBodyChange(body)).filter(Boolean);
+    const colliders = [];
+    this.colliders.forEach(collider => {
+      const transform = getTransform(collider);
+      if (rangeEquals(transform, this._syncedTransforms.get(collider), TRANSFORM_RANGE)) return;
+      
+      this._syncedTransforms.set(collider, transform);
+      colliders.push({ id: collider.id, transform });
+    });
+    
+    // Callbacks can be set or cleared at any time
+    const callbacks = [];
+    this.bodies.concat(this.colliders).forEach(object => {
+      const names = getCallbackNames(object);
+      if (names.join() === this._syncedCallbacks.get(object)) return;
+      
+      this._syncedCallbacks.set(object, names.join());
+      callbacks.push({ id: object.id, names });
+    });
+    
+    const message = {
+      type: 'step',
+      steps: this._pendingSteps,
+      bodies,
+      colliders,
+      callbacks,
+      listeners: COLLISION_EVENT_NAMES.map(name => this.listenerCount(name) > 0),
+      buffer: this._getBuffer(),
+    };
+    
+    this._pendingSteps = [];
+    this._stepBodies = [...this.bodies];
+    this._removedDuringStep.clear();
+    
+    const transfer = this.sharedMemory ? [] : [message.buffer];
+    if (this.sharedMemory && !this._bufferChanged) message.buffer = null;
+    this._bufferChanged = false;
+    if (!this.sharedMemory) this._buffer = null;
+    
+    this.worker.postMessage(message, transfer);
+  }
+  
+  /**
+   * What the main thread changed on a body since the worker last saw it
+   * @param {Object} body - Body
+   * @returns {Object|null} Changed parts of the state, or null if nothing changed
+   * @private
+   */
+  _getBodyChange(body) {
+    const synced = this._syncedStates.get(body);
+    const change = { id: body.id };
+    let changed = false;
+    
+    writeBodyState(body, bodyState, 0);
+    if (!rangeEquals(bodyState, synced, TRANSFORM_RANGE)) {
+      change.transform = Array.from(bodyState.subarray(...TRANSFORM_RANGE));
+      changed = true;
+    }
+    if (!rangeEquals(bodyState, synced, VELOCITY_RANGE)) {
+      change.velocity = Array.from(bodyState.subarray(...VELOCITY_RANGE));
+      changed = true;
+    }
+    if (bodyState[SLEEP_INDEX] !== synced[SLEEP_INDEX]) {
+      change.isSleeping = body.isSleeping;
+      changed = true;
+    }
+    synced.set(bodyState);
+    
+    // Forces gathered since the last step are used up by it
+    if (body.acceleration && body.acceleration.lengthSq() > 0) {
+      change.acceleration = body.acceleration.toArray();
+      body.acceleration.set(0, 0, 0);
+      changed = true;
+    }
+    if (body.torque.lengthSq() > 0) {
+      change.torque = body.torque.toArray();
+      body.torque.set(0, 0, 0);
+      changed = true;
+    }
+    
+    return changed ? change : null;
+  }
+  
+  /**
+   * State buffer big enough for every body, shared when possible
+   * @returns {ArrayBuffer|SharedArrayBuffer} Buffer
+   * @private
+   */
+  _getBuffer() {
+    const size = Math.max(this.bodies.length, 1) * BODY_STRIDE * Float64Array.BYTES_PER_ELEMENT;
+    
+    if (!this._buffer || this._buffer.byteLength < size) {
+      // Room to grow, so adding a few bodies doesn't mean a new buffer every step
+      const byteLength = size * 2;
+      this._buffer = this.sharedMemory ? new SharedArrayBuffer(byteLength) : new ArrayBuffer(byteLength);
+      this._bufferChanged = true;
+    }
+    
+    return this._buffer;
+  }
+  
+  /**
+   * Take in the results of a step
+   * @param {Object} message - Message from the worker
+   * @private
+   */
+  _handleMessage(message) {
+    if (message.type !== 'step' || !this._stepBodies) return;
+    
+    if (message.buffer) this._buffer = message.buffer;
+    const state = new Float64Array(this._buffer);
+    
+    this._stepBodies.forEach((body, index) => {
+      if (this._removedDuringStep.has(body)) return;
+      
+      const offset = index * BODY_STRIDE;
+      const synced = this._syncedStates.get(body);
+      
+      // Anything changed here while the worker was busy wins, and goes over with the next step
+      writeBodyState(body, bodyState, 0);
+      if (rangeEquals(bodyState, synced, TRANSFORM_RANGE)) {
+        // Interpolation blends across the worker's last step, like PhysicsSystem.update() sets it up
+        readBodyTransform(body, state, offset);
+        synced.set(state.subarray(offset, offset + VELOCITY_RANGE[0]));
+      } else {
+        // Moved by hand, so there's nothing to blend from
+        body.previousPosition.copy(body.position);
+        body.previousQuaternion.copy(body.quaternion);
+      }
+      if (rangeEquals(bodyState, synced, VELOCITY_RANGE)) {
+        readBodyVelocity(body, state, offset);
+        synced.set(state.subarray(offset + VELOCITY_RANGE[0], offset + VELOCITY_RANGE[1]), VELOCITY_RANGE[0]);
+      }
+      if (bodyState[SLEEP_INDEX] === synced[SLEEP_INDEX]) {
+        body.isSleeping = state[offset + SLEEP_INDEX] === 1;
+        synced[SLEEP_INDEX] = state[offset + SLEEP_INDEX];
+      }
+    });
+    
+    this._stepBodies = null;
+    this.stats = message.stats;
+    this.lastStepTime = performance.now();
+    
+    this._dispatchWorkerEvents(message.events);
+    
+    // Steps queued while the worker was busy
+    this._sendSteps();
+  }
+  
+  /**
+   * Report a worker failure and stop waiting for the step it was running,
+   * so the next update sends its steps again
+   * @param {Error} error - What went wrong
+   * @private
+   */
+  _handleError(error) {
+    this._pendingSteps = [];
+    this._stepBodies = null;
+    this._removedDuringStep.clear();
+    
+    this.emit('error', { error, source: 'physics worker' });
+  }
+  
+  /**
+   * Run the callbacks and events the worker reported
+   * @param {Array<Object>} events - Reported events
+   * @private
+   */
+  _dispatchWorkerEvents(events) {
+    events.forEach(({ name, target, other, event }) => {
+      if (name === 'collision') {
+        const collisionEvent = deserializeCollisionEvent(event, this._objects);
+        if (collisionEvent) this.collisionEvents.push(collisionEvent);
+        return;
+      }
+      
+      const object = this._objects.get(target);
+      if (!object || !object[name]) return;
+      
+      if (other === undefined) {
+        object[name](object);
+      } else if (this._objects.has(other)) {
+        object[name](this._objects.get(other));
+      }
+    });
+    
+    this._dispatchCollisionEvents();
+  }
+}
+
+/**
+ * Position and rotation of a collider as numbers
+ * @param {Object} collider - Collider
+ * @returns {Array<number>} Position then quaternion
+ */
+function getTransform(collider) {
+  return collider.position.toArray().concat(collider.quaternion.toArray());
+}
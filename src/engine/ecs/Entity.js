@@ -0,0 +1,56 @@
+export class Entity {
+  constructor(world, id, name = '') {
+    this.world = world;
+    this.id = id;
+    this.name = name;
+    this.active = true;
+    
+    // Components keyed by their constructor
+    this.components = new Map();
+  }
+  
+  /**
+   * Add a component to the entity
+   * @param {Object} component - Component instance
+   * @returns {Entity} This entity, for chaining
+   */
+  addComponent(component) {
+    this.world.addComponent(this, component);
+    return this;
+  }
+  
+  /**
+   * Remove a component from the entity
+   * @param {Function} ComponentType - Component class to remove
+   * @returns {Entity} This entity, for chaining
+   */
+  removeComponent(ComponentType) {
+    this.world.removeComponent(this, ComponentType);
+    return this;
+  }
+  
+  /**
+   * Get a component of the given type
+   * @param {Function} ComponentType - Component class
+   * @returns {Object|null} The component, or null if the entity doesn't have one
+   */
+  getComponent(ComponentType) {
+    return this.components.get(ComponentType) || null;
+  }
+  
+  /**
+   * Check whether the entity has a component of the given type
+   * @param {Function} ComponentType - Component class
+   * @returns {boolean} True if the component is present
+   */
+  hasComponent(ComponentType) {
+    return this.components.has(ComponentType);
+  }
+  
+  /**
+   * Remove the entity and all of its components from the world
+   */
+  destroy() {
+    this.world.destroyEntity(this);
+  }
+}
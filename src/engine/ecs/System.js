@@ -0,0 +1,52 @@
+export class System {
+  /**
+   * @param {Array<Function>} componentTypes - Components an entity needs to be processed by this system
+   * @param {Object} options - System options
+   */
+  constructor(componentTypes = [], options = {}) {
+    this.componentTypes = componentTypes;
+    this.priority = options.priority || 0;
+    this.enabled = options.enabled !== undefined ? options.enabled : true;
+    this.world = null;
+  }
+  
+  /**
+   * Entities currently matching this system's components
+   * @returns {Array<Entity>} Matching entities
+   */
+  get entities() {
+    return this.world.query(...this.componentTypes);
+  }
+  
+  /**
+   * Called when the system is added to a world
+   * @param {World} world - Owning world
+   */
+  init(world) {
+    this.world = world;
+  }
+  
+  /**
+   * Called at the fixed simulation rate
+   * @param {number} fixedDelta - Fixed step duration in seconds
+   */
+  fixedUpdate(fixedDelta) {}
+  
+  /**
+   * Called at the fixed simulation rate, before the physics step
+   * @param {number} fixedDelta - Fixed step duration in seconds
+   */
+  beforePhysics(fixedDelta) {}
+  
+  /**
+   * Called once per rendered frame
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {number} alpha - Interpolation factor between the last two physics steps
+   */
+  update(deltaTime, alpha) {}
+  
+  /**
+   * Called when the system is removed from its world
+   */
+  dispose() {}
+}
@@ -0,0 +1,303 @@
+import { EventEmitter } from '../EventEmitter';
+import { Entity } from './Entity';
+import { ScriptSystem } from './systems/ScriptSystem';
+import { PhysicsSyncSystem } from './systems/PhysicsSyncSystem';
+import { AudioSourceSystem } from './systems/AudioSourceSystem';
+import { MeshRendererSystem } from './systems/MeshRendererSystem';
+
+// Each world registers its physics hook with the engine under its own name
+let nextWorldId = 1;
+
+/**
+ * Also an event emitter for messaging between entities. Listeners are
+ * scoped to the world, so they go away with the scene that owns it.
+ */
+export class World extends EventEmitter {
+  /**
+   * @param {Engine} engine - Engine whose systems components use
+   * @param {Object} options - World options
+   * @param {THREE.Scene} options.scene - Scene that renderable components are added to
+   * @param {boolean} options.defaultSystems - Register the built-in systems (default true)
+   */
+  constructor(engine, options = {}) {
+    super();
+    
+    this.engine = engine;
+    this.threeScene = options.scene || null;
+    
+    // Entities by id
+    this.entities = new Map();
+    this._nextEntityId = 1;
+    
+    // Systems, kept sorted by priority
+    this.systems = [];
+    
+    // Cached query results keyed by component type ids
+    this.queries = new Map();
+    this._componentTypeIds = new Map();
+    
+    // Runs ahead of the physics step, which comes before the scene's fixedUpdate,
+    // while the world is entered
+    this._physicsHook = { update: fixedDelta => this.beforePhysics(fixedDelta * engine.timeScale) };
+    this._physicsHookName = `worldBeforePhysics${nextWorldId++}`;
+    this._entered = false;
+    
+    if (options.defaultSystems !== false) {
+      this.addSystem(new ScriptSystem());
+      this.addSystem(new PhysicsSyncSystem());
+      this.addSystem(new AudioSourceSystem());
+      this.addSystem(new MeshRendererSystem());
+    }
+  }
+  
+  /**
+   * Start running the systems' beforePhysics hooks ahead of each physics step.
+   * Call it from the scene's enter and resume hooks.
+   */
+  enter() {
+    if (this._entered || !this.engine) return;
+    
+    this.engine.registerSystem(this._physicsHook, { phase: 'physics', priority: -100, name: this._physicsHookName });
+    this._entered = true;
+  }
+  
+  /**
+   * Stop running the beforePhysics hooks. Call it from the scene's exit and pause hooks.
+   */
+  exit() {
+    if (!this._entered) return;
+    
+    this.engine.unregisterSystem(this._physicsHook);
+    this._entered = false;
+  }
+  
+  /**
+   * Create a new entity
+   * @param {string} name - Optional name for debugging
+   * @returns {Entity} The new entity
+   */
+  createEntity(name = '') {
+    const entity = new Entity(this, this._nextEntityId++, name);
+    this.entities.set(entity.id, entity);
+    
+    return entity;
+  }
+  
+  /**
+   * Remove an entity and all of its components
+   * @param {Entity} entity - Entity to remove
+   */
+  destroyEntity(entity) {
+    if (!this.entities.has(entity.id)) return;
+    
+    // Remove in reverse order so dependent components go before the ones they rely on
+    Array.from(entity.components.keys()).reverse().forEach(ComponentType => {
+      this.removeComponent(entity, ComponentType);
+    });
+    
+    this.entities.delete(entity.id);
+  }
+  
+  /**
+   * Add a component to an entity
+   * @param {Entity} entity - Entity to add the component to
+   * @param {Object} component - Component instance
+   */
+  addComponent(entity, component) {
+    const ComponentType = component.constructor;
+    
+    if (entity.components.has(ComponentType)) {
+      this.removeComponent(entity, ComponentType);
+    }
+    
+    entity.components.set(ComponentType, component);
+    component.entity = entity;
+    
+    if (typeof component.onAdd === 'function') {
+      component.onAdd(entity, this);
+    }
+    
+    this._updateQueries(entity);
+  }
+  
+  /**
+   * Remove a component from an entity
+   * @param {Entity} entity - Entity to remove the component from
+   * @param {Function} ComponentType - Component class
+   */
+  removeComponent(entity, ComponentType) {
+    const component = entity.components.get(ComponentType);
+    if (!component) return;
+    
+    if (typeof component.onRemove === 'function') {
+      component.onRemove(entity, this);
+    }
+    
+    entity.components.delete(ComponentType);
+    component.entity = null;
+    
+    this._updateQueries(entity);
+  }
+  
+  /**
+   * Get all entities that have every given component type
+   * The returned array is cached and kept up to date as components change
+   * @param {...Function} componentTypes - Component classes
+   * @returns {Array<Entity>} Matching entities
+   */
+  query(...componentTypes) {
+    const key = this._getQueryKey(componentTypes);
+    let query = this.queries.get(key);
+    
+    if (!query) {
+      query = { componentTypes, entities: [] };
+      
+      for (const entity of this.entities.values()) {
+        if (this._matches(entity, componentTypes)) {
+          query.entities.push(entity);
+        }
+      }
+      
+      this.queries.set(key, query);
+    }
+    
+    return query.entities;
+  }
+  
+  /**
+   * Add a system to the world
+   * @param {System} system - System to add
+   * @param {number} priority - Optional priority override (lower runs first)
+   * @returns {System} The added system
+   */
+  addSystem(system, priority) {
+    if (priority !== undefined) {
+      system.priority = priority;
+    }
+    
+    this.systems.push(system);
+    
+    // Stable sort keeps insertion order for equal priorities
+    this.systems.sort((a, b) => a.priority - b.priority);
+    
+    system.init(this);
+    
+    return system;
+  }
+  
+  /**
+   * Remove a system from the world
+   * @param {System} system - System to remove
+   */
+  removeSystem(system) {
+    const index = this.systems.indexOf(system);
+    if (index !== -1) {
+      this.systems.splice(index, 1);
+      system.dispose();
+      system.world = null;
+    }
+  }
+  
+  /**
+   * Get the first system of the given type
+   * @param {Function} SystemType - System class
+   * @returns {System|null} The system, or null if none is registered
+   */
+  getSystem(SystemType) {
+    return this.systems.find(system => system instanceof SystemType) || null;
+  }
+  
+  /**
+   * Run every system at the fixed simulation rate
+   * @param {number} fixedDelta - Fixed step duration in seconds
+   */
+  fixedUpdate(fixedDelta) {
+    for (const system of this.systems) {
+      if (system.enabled) system.fixedUpdate(fixedDelta);
+    }
+  }
+  
+  /**
+   * Run every system at the fixed simulation rate, before the physics step.
+   * The world calls this itself through the engine's physics phase while entered.
+   * @param {number} fixedDelta - Fixed step duration in seconds
+   */
+  beforePhysics(fixedDelta) {
+    for (const system of this.systems) {
+      if (system.enabled) system.beforePhysics(fixedDelta);
+    }
+  }
+  
+  /**
+   * Run every system once per rendered frame
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {number} alpha - Interpolation factor between the last two physics steps
+   */
+  update(deltaTime, alpha) {
+    for (const system of this.systems) {
+      if (system.enabled) system.update(deltaTime, alpha);
+    }
+  }
+  
+  /**
+   * Destroy every entity and remove every system
+   */
+  dispose() {
+    Array.from(this.entities.values()).forEach(entity => this.destroyEntity(entity));
+    
+    [...this.systems].forEach(system => this.removeSystem(system));
+    
+    this.queries.clear();
+    this.removeAllListeners();
+    
+    this.exit();
+  }
+  
+  /**
+   * Add or remove an entity from the cached queries after its components changed
+   * @param {Entity} entity - Entity whose components changed
+   * @private
+   */
+  _updateQueries(entity) {
+    for (const query of this.queries.values()) {
+      const index = query.entities.indexOf(entity);
+      const matches = this._matches(entity, query.componentTypes);
+      
+      if (matches && index === -1) {
+        query.entities.push(entity);
+      } else if (!matches && index !== -1) {
+        query.entities.splice(index, 1);
+      }
+    }
+  }
+  
+  /**
+   * Check whether an entity has every given component type
+   * @param {Entity} entity - Entity to check
+   * @param {Array<Function>} componentTypes - Component classes
+   * @returns {boolean} True if every component is present
+   * @private
+   */
+  _matches(entity, componentTypes) {
+    return componentTypes.every(ComponentType => entity.components.has(ComponentType));
+  }
+  
+  /**
+   * Build an order-independent cache key for a set of component types
+   * @param {Array<Function>} componentTypes - Component classes
+   * @returns {string} Query key
+   * @private
+   */
+  _getQueryKey(componentTypes) {
+    // Class names are mangled in production builds, so key by assigned ids instead
+    return componentTypes
+      .map(ComponentType => {
+        if (!this._componentTypeIds.has(ComponentType)) {
+          this._componentTypeIds.set(ComponentType, this._componentTypeIds.size);
+        }
+        return this._componentTypeIds.get(ComponentType);
+      })
+      .sort((a, b) => a - b)
+      .join(',');
+  }
+}
@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+import { MeshRenderer } from './MeshRenderer';
+
+export class AudioSource {
+  /**
+   * @param {Object} options - Sound options passed to AudioManager
+   * @param {AudioBuffer} options.buffer - Audio buffer to play
+   * @param {string} options.asset - Id of a loaded audio asset, used when no buffer is given
+   * @param {boolean} options.positional - Emit from the entity's position (default true)
+   * @param {boolean} options.autoplay - Start playing as soon as the source is added
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.positional = options.positional !== undefined ? options.positional : true;
+    this.autoplay = options.autoplay || false;
+    this.sound = null;
+    this.soundId = null;
+    
+    // Object the positional sound hangs from when the entity has no mesh
+    this.anchor = null;
+    this.entity = null;
+  }
+  
+  onAdd(entity, world) {
+    const { audioManager, assetLoader } = world.engine;
+    const buffer = this.options.buffer || assetLoader.getAsset('audio', this.options.asset);
+    if (!buffer) return;
+    
+    this.soundId = this.options.id || `entity_${entity.id}_audio`;
+    
+    if (this.positional) {
+      const renderer = entity.getComponent(MeshRenderer);
+      let parent = renderer ? renderer.object3D : null;
+      
+      if (!parent) {
+        this.anchor = new THREE.Object3D();
+        if (world.threeScene) world.threeScene.add(this.anchor);
+        parent = this.anchor;
+      }
+      
+      this.sound = audioManager.createPositionalSound(this.soundId, buffer, parent, this.options);
+    } else {
+      this.sound = audioManager.createSound(this.soundId, buffer, this.options);
+    }
+  }
+  
+  onRemove(entity, world) {
+    if (!this.sound) return;
+    
+    if (this.sound.isPlaying) this.sound.stop();
+    this.sound.disconnect();
+    if (this.sound.parent) this.sound.parent.remove(this.sound);
+    delete world.engine.audioManager.sounds[this.soundId];
+    
+    if (this.anchor && this.anchor.parent) {
+      this.anchor.parent.remove(this.anchor);
+    }
+    
+    this.sound = null;
+    this.anchor = null;
+  }
+  
+  /**
+   * Play the sound from the start
+   */
+  play() {
+    if (!this.sound) return;
+    if (this.sound.isPlaying) this.sound.stop();
+    this.sound.play();
+  }
+  
+  /**
+   * Stop the sound if it is playing
+   */
+  stop() {
+    if (this.sound && this.sound.isPlaying) this.sound.stop();
+  }
+}
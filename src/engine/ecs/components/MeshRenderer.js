@@ -0,0 +1,40 @@
+import { Transform } from './Transform';
+import { disposeObject3D } from '../../../utils/SceneUtils';
+
+export class MeshRenderer {
+  /**
+   * @param {THREE.Object3D} object3D - Mesh or group to render
+   * @param {Object} options - Renderer options
+   * @param {boolean} options.disposeOnRemove - Free the object's GPU resources when the component is removed (default true)
+   */
+  constructor(object3D, options = {}) {
+    this.object3D = object3D;
+    this.disposeOnRemove = options.disposeOnRemove !== undefined ? options.disposeOnRemove : true;
+    this.entity = null;
+  }
+  
+  onAdd(entity, world) {
+    this.object3D.userData.entity = entity;
+    
+    const transform = entity.getComponent(Transform);
+    if (transform) {
+      transform.applyTo(this.object3D);
+    }
+    
+    if (world.threeScene) {
+      world.threeScene.add(this.object3D);
+    }
+  }
+  
+  onRemove() {
+    if (this.object3D.parent) {
+      this.object3D.parent.remove(this.object3D);
+    }
+    
+    delete this.object3D.userData.entity;
+    
+    if (this.disposeOnRemove) {
+      disposeObject3D(this.object3D);
+    }
+  }
+}
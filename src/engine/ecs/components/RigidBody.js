@@ -0,0 +1,35 @@
+import { Transform } from './Transform';
+
+export class RigidBody {
+  /**
+   * @param {Object} options - Body options passed to PhysicsSystem.createBody
+   * @param {boolean} options.isKinematic - Body follows its Transform instead of being simulated
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.isKinematic = options.isKinematic || false;
+    this.body = null;
+    this.entity = null;
+  }
+  
+  onAdd(entity, world) {
+    const transform = entity.getComponent(Transform);
+    const position = transform ? transform.position.clone() : this.options.position;
+    const quaternion = transform ? transform.quaternion.clone() : this.options.quaternion;
+    
+    this.body = world.engine.physicsSystem.createBody({
+      ...this.options,
+      position,
+      quaternion,
+      
+      // Kinematic bodies are moved by gameplay code, never by the solver
+      isStatic: this.options.isStatic || this.isKinematic,
+      userData: { ...this.options.userData, entity },
+    });
+  }
+  
+  onRemove(entity, world) {
+    world.engine.physicsSystem.removeBody(this.body);
+    this.body = null;
+  }
+}
@@ -0,0 +1,18 @@
+export class Script {
+  /**
+   * @param {Object} handlers - Behaviour callbacks, each called with the entity first
+   * @param {Function} handlers.start - Called once before the first update
+   * @param {Function} handlers.fixedUpdate - Called at the fixed simulation rate (entity, fixedDelta)
+   * @param {Function} handlers.update - Called once per frame (entity, deltaTime, alpha)
+   * @param {Function} handlers.destroy - Called when the component is removed
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this.started = false;
+    this.entity = null;
+  }
+  
+  onRemove(entity) {
+    if (this.handlers.destroy) this.handlers.destroy(entity);
+  }
+}
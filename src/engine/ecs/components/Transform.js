@@ -0,0 +1,26 @@
+import * as THREE from 'three';
+
+export class Transform {
+  /**
+   * @param {Object} options - Initial transform
+   * @param {THREE.Vector3} options.position - World position
+   * @param {THREE.Quaternion} options.quaternion - World rotation
+   * @param {THREE.Vector3} options.scale - Scale
+   */
+  constructor(options = {}) {
+    this.position = options.position ? options.position.clone() : new THREE.Vector3();
+    this.quaternion = options.quaternion ? options.quaternion.clone() : new THREE.Quaternion();
+    this.scale = options.scale ? options.scale.clone() : new THREE.Vector3(1, 1, 1);
+    this.entity = null;
+  }
+  
+  /**
+   * Copy this transform onto a three.js object
+   * @param {THREE.Object3D} object - Object to update
+   */
+  applyTo(object) {
+    object.position.copy(this.position);
+    object.quaternion.copy(this.quaternion);
+    object.scale.copy(this.scale);
+  }
+}
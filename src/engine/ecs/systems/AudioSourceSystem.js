@@ -0,0 +1,26 @@
+import { System } from '../System';
+import { Transform } from '../components/Transform';
+import { AudioSource } from '../components/AudioSource';
+
+export class AudioSourceSystem extends System {
+  constructor(options = {}) {
+    super([Transform, AudioSource], { priority: 200, ...options });
+  }
+  
+  update() {
+    for (const entity of this.entities) {
+      const source = entity.getComponent(AudioSource);
+      if (!source.sound) continue;
+      
+      // Sources without a mesh hang from their own anchor object
+      if (source.anchor) {
+        entity.getComponent(Transform).applyTo(source.anchor);
+      }
+      
+      if (source.autoplay) {
+        source.autoplay = false;
+        source.play();
+      }
+    }
+  }
+}
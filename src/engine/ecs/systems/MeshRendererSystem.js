@@ -0,0 +1,15 @@
+import { System } from '../System';
+import { Transform } from '../components/Transform';
+import { MeshRenderer } from '../components/MeshRenderer';
+
+export class MeshRendererSystem extends System {
+  constructor(options = {}) {
+    super([Transform, MeshRenderer], { priority: 300, ...options });
+  }
+  
+  update() {
+    for (const entity of this.entities) {
+      entity.getComponent(Transform).applyTo(entity.getComponent(MeshRenderer).object3D);
+    }
+  }
+}
@@ -0,0 +1,40 @@
+import { System } from '../System';
+import { Transform } from '../components/Transform';
+import { RigidBody } from '../components/RigidBody';
+
+export class PhysicsSyncSystem extends System {
+  constructor(options = {}) {
+    super([Transform, RigidBody], { priority: 100, ...options });
+  }
+  
+  beforePhysics() {
+    // Kinematic and static bodies follow their transforms into the coming step
+    for (const entity of this.entities) {
+      const rigidBody = entity.getComponent(RigidBody);
+      if (!rigidBody.body || !rigidBody.body.isStatic) continue;
+      
+      const transform = entity.getComponent(Transform);
+      const body = rigidBody.body;
+      
+      // Bodies asleep on a moving platform have to wake to ride along
+      if (!body.position.equals(transform.position) || !body.quaternion.equals(transform.quaternion)) {
+        this.world.engine.physicsSystem.wakeTouching(body);
+      }
+      
+      body.position.copy(transform.position);
+      body.quaternion.copy(transform.quaternion);
+    }
+  }
+  
+  update() {
+    // Dynamic bodies drive their transforms from the interpolated simulation state
+    for (const entity of this.entities) {
+      const rigidBody = entity.getComponent(RigidBody);
+      if (!rigidBody.body || rigidBody.body.isStatic) continue;
+      
+      const transform = entity.getComponent(Transform);
+      transform.position.copy(rigidBody.body.interpolatedPosition);
+      transform.quaternion.copy(rigidBody.body.interpolatedQuaternion);
+    }
+  }
+}
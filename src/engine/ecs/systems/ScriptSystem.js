@@ -0,0 +1,42 @@
+import { System } from '../System';
+import { Script } from '../components/Script';
+
+export class ScriptSystem extends System {
+  constructor(options = {}) {
+    super([Script], { priority: 0, ...options });
+  }
+  
+  fixedUpdate(fixedDelta) {
+    // Scripts can create and destroy entities, so walk a copy and skip the ones gone since
+    for (const entity of [...this.entities]) {
+      const script = entity.getComponent(Script);
+      if (!script) continue;
+      this._start(entity, script);
+      
+      if (script.handlers.fixedUpdate) script.handlers.fixedUpdate(entity, fixedDelta);
+    }
+  }
+  
+  update(deltaTime, alpha) {
+    for (const entity of [...this.entities]) {
+      const script = entity.getComponent(Script);
+      if (!script) continue;
+      this._start(entity, script);
+      
+      if (script.handlers.update) script.handlers.update(entity, deltaTime, alpha);
+    }
+  }
+  
+  /**
+   * Run a script's start handler the first time it is processed
+   * @param {Entity} entity - Entity owning the script
+   * @param {Script} script - Script component
+   * @private
+   */
+  _start(entity, script) {
+    if (script.started) return;
+    
+    script.started = true;
+    if (script.handlers.start) script.handlers.start(entity);
+  }
+}
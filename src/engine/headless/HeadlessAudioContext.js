@@ -0,0 +1,145 @@
+/**
+ * Minimal Web Audio stand-in so THREE.AudioListener, THREE.Audio and
+ * THREE.PositionalAudio can be created and driven outside the browser.
+ * Nodes accept every call the three.js audio classes make but produce no sound.
+ */
+
+class HeadlessAudioParam {
+  constructor(value = 0) {
+    this.value = value;
+  }
+  
+  setValueAtTime(value) {
+    this.value = value;
+    return this;
+  }
+  
+  setTargetAtTime(value) {
+    this.value = value;
+    return this;
+  }
+  
+  linearRampToValueAtTime(value) {
+    this.value = value;
+    return this;
+  }
+  
+  cancelScheduledValues() {
+    return this;
+  }
+}
+
+class HeadlessAudioNode {
+  constructor(context) {
+    this.context = context;
+  }
+  
+  connect(destination) {
+    return destination;
+  }
+  
+  disconnect() {}
+}
+
+class HeadlessPannerNode extends HeadlessAudioNode {
+  constructor(context) {
+    super(context);
+    this.panningModel = 'HRTF';
+    this.distanceModel = 'inverse';
+    this.refDistance = 1;
+    this.maxDistance = 10000;
+    this.rolloffFactor = 1;
+    this.coneInnerAngle = 360;
+    this.coneOuterAngle = 360;
+    this.coneOuterGain = 0;
+    
+    ['positionX', 'positionY', 'positionZ', 'orientationX', 'orientationY', 'orientationZ'].forEach(name => {
+      this[name] = new HeadlessAudioParam();
+    });
+  }
+  
+  setPosition(x, y, z) {
+    this.positionX.value = x;
+    this.positionY.value = y;
+    this.positionZ.value = z;
+  }
+  
+  setOrientation(x, y, z) {
+    this.orientationX.value = x;
+    this.orientationY.value = y;
+    this.orientationZ.value = z;
+  }
+}
+
+class HeadlessBufferSourceNode extends HeadlessAudioNode {
+  constructor(context) {
+    super(context);
+    this.buffer = null;
+    this.loop = false;
+    this.loopStart = 0;
+    this.loopEnd = 0;
+    this.onended = null;
+    this.detune = new HeadlessAudioParam(0);
+    this.playbackRate = new HeadlessAudioParam(1);
+  }
+  
+  start() {}
+  
+  stop() {}
+}
+
+export class HeadlessAudioContext {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 44100;
+    this.currentTime = 0;
+    this.state = 'running';
+    this.destination = new HeadlessAudioNode(this);
+    this.listener = new HeadlessPannerNode(this);
+    
+    ['forwardX', 'forwardY', 'forwardZ', 'upX', 'upY', 'upZ'].forEach(name => {
+      this.listener[name] = new HeadlessAudioParam();
+    });
+    this.listener.setOrientation = () => {};
+  }
+  
+  createGain() {
+    const node = new HeadlessAudioNode(this);
+    node.gain = new HeadlessAudioParam(1);
+    return node;
+  }
+  
+  createPanner() {
+    return new HeadlessPannerNode(this);
+  }
+  
+  createBufferSource() {
+    return new HeadlessBufferSourceNode(this);
+  }
+  
+  createBuffer(numberOfChannels, length, sampleRate) {
+    const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    
+    return {
+      numberOfChannels,
+      length,
+      sampleRate,
+      duration: length / sampleRate,
+      getChannelData: (channel) => channels[channel],
+    };
+  }
+  
+  resume() {
+    this.state = 'running';
+    return Promise.resolve();
+  }
+  
+  suspend() {
+    this.state = 'suspended';
+    return Promise.resolve();
+  }
+  
+  close() {
+    this.state = 'closed';
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+
+/**
+ * Stand-in for THREE.WebGLRenderer that needs no GPU or DOM.
+ * It keeps the scene graph's world matrices up to date like a real render would
+ * and counts frames, but draws nothing.
+ */
+export class HeadlessRenderer {
+  constructor(options = {}) {
+    this.domElement = null;
+    this.autoClear = true;
+    this.shadowMap = { enabled: false, type: THREE.PCFShadowMap };
+    this.outputColorSpace = THREE.SRGBColorSpace;
+    this.toneMapping = THREE.NoToneMapping;
+    this.info = {
+      render: { frame: 0, calls: 0 },
+      memory: { geometries: 0, textures: 0 },
+    };
+    
+    this._width = options.width || 800;
+    this._height = options.height || 600;
+    this._pixelRatio = 1;
+    this._renderTarget = null;
+    this._viewport = new THREE.Vector4(0, 0, this._width, this._height);
+    this._scissor = new THREE.Vector4(0, 0, this._width, this._height);
+    this._scissorTest = false;
+    this._clearColor = new THREE.Color(0x000000);
+    this._clearAlpha = 1;
+  }
+  
+  setPixelRatio(value) {
+    this._pixelRatio = value;
+  }
+  
+  getPixelRatio() {
+    return this._pixelRatio;
+  }
+  
+  setSize(width, height) {
+    this._width = width;
+    this._height = height;
+    this.setViewport(0, 0, width, height);
+  }
+  
+  getSize(target) {
+    return target.set(this._width, this._height);
+  }
+  
+  getDrawingBufferSize(target) {
+    return target.set(this._width * this._pixelRatio, this._height * this._pixelRatio).floor();
+  }
+  
+  setViewport(x, y, width, height) {
+    this._viewport.set(x, y, width, height);
+  }
+  
+  getViewport(target) {
+    return target.copy(this._viewport);
+  }
+  
+  setScissor(x, y, width, height) {
+    this._scissor.set(x, y, width, height);
+  }
+  
+  getScissor(target) {
+    return target.copy(this._scissor);
+  }
+  
+  setScissorTest(enabled) {
+    this._scissorTest = enabled;
+  }
+  
+  getScissorTest() {
+    return this._scissorTest;
+  }
+  
+  setClearColor(color, alpha = 1) {
+    this._clearColor.set(color);
+    this._clearAlpha = alpha;
+  }
+  
+  getClearColor(target) {
+    return target.copy(this._clearColor);
+  }
+  
+  getClearAlpha() {
+    return this._clearAlpha;
+  }
+  
+  setClearAlpha(alpha) {
+    this._clearAlpha = alpha;
+  }
+  
+  setRenderTarget(renderTarget) {
+    this._renderTarget = renderTarget;
+  }
+  
+  getRenderTarget() {
+    return this._renderTarget;
+  }
+  
+  clear() {}
+  
+  clearColor() {}
+  
+  clearDepth() {}
+  
+  render(scene, camera) {
+    if (scene.matrixWorldAutoUpdate === true) scene.updateMatrixWorld();
+    if (camera.parent === null && camera.matrixWorldAutoUpdate === true) camera.updateMatrixWorld();
+    
+    this.info.render.frame++;
+    this.info.render.calls++;
+  }
+  
+  dispose() {}
+}
@@ -0,0 +1,24 @@
+/**
+ * Clock that only moves when told to, for deterministic frame timing
+ */
+export class ManualClock {
+  constructor(startTime = 0) {
+    this.time = startTime;
+  }
+  
+  /**
+   * Current time in milliseconds
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    return this.time;
+  }
+  
+  /**
+   * Move the clock forward
+   * @param {number} milliseconds - Time to advance by
+   */
+  advance(milliseconds) {
+    this.time += milliseconds;
+  }
+}
@@ -0,0 +1,756 @@
+import * as THREE from 'three';
+import { getShape } from './Narrowphase';
+
+// Scratch objects
+const rotationMatrix = new THREE.Matrix4();
+const extents = new THREE.Vector3();
+const unionBox = new THREE.Box3();
+
+/**
+ * Compute the world-space bounding box of a body or collider
+ * @param {Object} object - Body or collider
+ * @param {THREE.Box3} target - Box to write the bounds to
+ * @returns {boolean} False for shapes without finite bounds (planes)
+ */
+export function computeBounds(object, target) {
+  const shape = getShape(object);
+  
+  switch (shape.type) {
+    case 'box': {
+      // Project the rotated half extents onto the world axes
+      const e = rotationMatrix.makeRotationFromQuaternion(shape.rotation).elements;
+      const h = shape.halfExtents;
+      extents.set(
+        Math.abs(e[0]) * h.x + Math.abs(e[4]) * h.y + Math.abs(e[8]) * h.z,
+        Math.abs(e[1]) * h.x + Math.abs(e[5]) * h.y + Math.abs(e[9]) * h.z,
+        Math.abs(e[2]) * h.x + Math.abs(e[6]) * h.y + Math.abs(e[10]) * h.z
+      );
+      target.min.subVectors(shape.center, extents);
+      target.max.addVectors(shape.center, extents);
+      return true;
+    }
+    case 'sphere':
+    case 'capsule':
+      // Both ends of the core segment, grown by the radius
+      extents.copy(shape.axis).multiplyScalar(shape.halfHeight);
+      extents.set(Math.abs(extents.x), Math.abs(extents.y), Math.abs(extents.z)).addScalar(shape.radius);
+      target.min.subVectors(shape.center, extents);
+      target.max.addVectors(shape.center, extents);
+      return true;
+    case 'convex':
+      target.setFromPoints(shape.vertices);
+      return true;
+    default:
+      // Planes are infinite
+      target.makeEmpty();
+      return false;
+  }
+}
+
+/**
+ * Finds the pairs of objects whose bounding boxes overlap, so the narrowphase
+ * only runs on pairs that can touch. Pairs of two static or sleeping objects are skipped.
+ * Subclasses implement _collectPairs; this base class tests every pair.
+ */
+export class Broadphase {
+  /**
+   * @param {Object} options - Broadphase options
+   * @param {number} options.margin - Distance the bounds are grown by (default 0)
+   */
+  constructor(options = {}) {
+    this.margin = options.margin || 0;
+    
+    // Proxies by object, kept between steps so subclasses can reuse their structures
+    this.proxies = new Map();
+    
+    // Counts from the last step
+    this.stats = { proxies: 0, tests: 0, pairs: 0 };
+    
+    this._stamp = 0;
+    this._proxyCount = 0;
+  }
+  
+  /**
+   * Find the pairs to pass to the narrowphase
+   * @param {Array<Object>} bodies - Simulated bodies
+   * @param {Array<Object>} colliders - Colliders
+   * @returns {Array<Array<Object>>} Pairs [a, b]; a is always an awake dynamic body, and comes first
+   *   in the bodies list when both are dynamic. Pairs are sorted by the objects' places in the lists.
+   */
+  findPairs(bodies, colliders) {
+    const stamp = ++this._stamp;
+    const bounded = [];
+    const unbounded = [];
+    
+    let order = 0;
+    const track = (object, isDynamic) => {
+      const proxy = this._getProxy(object);
+      proxy.isDynamic = isDynamic;
+      proxy.order = order++;
+      proxy.stamp = stamp;
+      
+      proxy.bounded = computeBounds(object, proxy.bounds);
+      if (proxy.bounded) {
+        proxy.bounds.expandByScalar(this.margin);
+        bounded.push(proxy);
+      } else {
+        unbounded.push(proxy);
+      }
+    };
+    
+    bodies.forEach(body => track(body, !body.isStatic && !body.isSleeping));
+    colliders.forEach(collider => track(collider, false));
+    this._proxyCount = order;
+    
+    // Forget objects that left the simulation
+    this.proxies.forEach((proxy, object) => {
+      if (proxy.stamp !== stamp) {
+        this._removeProxy(proxy);
+        this.proxies.delete(object);
+      }
+    });
+    
+    const pairs = [];
+    this.stats.proxies = this.proxies.size;
+    this.stats.tests = 0;
+    
+    this._collectPairs(bounded, pairs);
+    
+    // Infinite shapes can touch anything
+    unbounded.forEach(proxy => {
+      bounded.forEach(other => this._addPair(proxy, other, pairs));
+      unbounded.forEach(other => {
+        if (other.order > proxy.order) this._addPair(proxy, other, pairs);
+      });
+    });
+    
+    this.stats.pairs = pairs.length;
+    
+    // The same order whatever state the structures are in, so a step only depends on the bodies
+    pairs.sort((a, b) => a.rank - b.rank);
+    
+    return pairs;
+  }
+  
+  /**
+   * Forget every object
+   */
+  clear() {
+    this.proxies.forEach(proxy => this._removeProxy(proxy));
+    this.proxies.clear();
+  }
+  
+  /**
+   * Collect the overlapping pairs among the bounded proxies
+   * @param {Array<Object>} proxies - Proxies with finite bounds, in simulation order
+   * @param {Array<Array<Object>>} pairs - List to add the pairs to
+   */
+  _collectPairs(proxies, pairs) {
+    for (let i = 0; i < proxies.length; i++) {
+      for (let j = i + 1; j < proxies.length; j++) {
+        this._testPair(proxies[i], proxies[j], pairs);
+      }
+    }
+  }
+  
+  /**
+   * Called when an object leaves the simulation
+   * @param {Object} proxy - Proxy being removed
+   */
+  _removeProxy(proxy) {
+    // Nothing to clean up in the base class
+  }
+  
+  /**
+   * Add a pair if the bounds overlap
+   * @param {Object} a - First proxy
+   * @param {Object} b - Second proxy
+   * @param {Array<Array<Object>>} pairs - List to add the pair to
+   */
+  _testPair(a, b, pairs) {
+    if (!a.isDynamic && !b.isDynamic) return;
+    
+    this.stats.tests++;
+    if (a.bounds.intersectsBox(b.bounds)) {
+      this._addPair(a, b, pairs);
+    }
+  }
+  
+  /**
+   * Add a pair in the order the narrowphase expects
+   * @param {Object} a - First proxy
+   * @param {Object} b - Second proxy
+   * @param {Array<Array<Object>>} pairs - List to add the pair to
+   */
+  _addPair(a, b, pairs) {
+    if (!a.isDynamic && !b.isDynamic) return;
+    
+    const aFirst = a.isDynamic && (!b.isDynamic || a.order < b.order);
+    const [first, second] = aFirst ? [a, b] : [b, a];
+    const pair = [first.object, second.object];
+    pair.rank = first.order * this._proxyCount + second.order;
+    pairs.push(pair);
+  }
+  
+  /**
+   * Get or create the proxy of an object
+   * @param {Object} object - Body or collider
+   * @returns {Object} Proxy
+   * @private
+   */
+  _getProxy(object) {
+    let proxy = this.proxies.get(object);
+    
+    if (!proxy) {
+      proxy = { object, bounds: new THREE.Box3(), bounded: true, isDynamic: false, order: 0, stamp: 0 };
+      this.proxies.set(object, proxy);
+    }
+    
+    return proxy;
+  }
+}
+
+/**
+ * Uniform grid hashed into a map. Good for many objects of similar size.
+ * Objects covering too many cells are tested against everything instead.
+ */
+export class SpatialHashBroadphase extends Broadphase {
+  /**
+   * @param {Object} options - Broadphase options
+   * @param {number} options.cellSize - Edge length of a grid cell (default 4)
+   * @param {number} options.maxCellsPerObject - Larger objects skip the grid (default 64)
+   * @param {number} options.margin - Distance the bounds are grown by (default 0)
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.cellSize = options.cellSize || 4;
+    this.maxCellsPerObject = options.maxCellsPerObject || 64;
+    
+    this._cells = new Map();
+  }
+  
+  /**
+   * Bucket the proxies into grid cells and test the pairs sharing a cell
+   * @param {Array<Object>} proxies - Proxies with finite bounds, in simulation order
+   * @param {Array<Array<Object>>} pairs - List to add the pairs to
+   */
+  _collectPairs(proxies, pairs) {
+    const cells = this._cells;
+    const large = [];
+    cells.clear();
+    
+    proxies.forEach(proxy => {
+      if (!proxy.cells) proxy.cells = {};
+      
+      const range = this._getCellRange(proxy.bounds, proxy.cells);
+      const count = (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1) * (range.maxZ - range.minZ + 1);
+      
+      proxy.isLarge = count > this.maxCellsPerObject;
+      if (proxy.isLarge) {
+        large.push(proxy);
+        return;
+      }
+      
+      for (let x = range.minX; x <= range.maxX; x++) {
+        for (let y = range.minY; y <= range.maxY; y++) {
+          for (let z = range.minZ; z <= range.maxZ; z++) {
+            const key = hashCell(x, y, z);
+            const cell = cells.get(key);
+            
+            if (!cell) {
+              cells.set(key, [proxy]);
+            } else if (cell[cell.length - 1] !== proxy) {
+              // Two of the object's cells can hash to the same bucket
+              cell.push(proxy);
+            }
+          }
+        }
+      }
+    });
+    
+    cells.forEach(cell => {
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) {
+          const a = cell[i];
+          const b = cell[j];
+          
+          // A pair sharing several cells is only reported from the first of them
+          if (this._isFirstSharedCell(a, b, cell)) {
+            this._testPair(a, b, pairs);
+          }
+        }
+      }
+    });
+    
+    // Oversized objects against everything else
+    large.forEach(proxy => {
+      proxies.forEach(other => {
+        if (other === proxy || (other.isLarge && other.order < proxy.order)) return;
+        this._testPair(proxy, other, pairs);
+      });
+    });
+  }
+  
+  /**
+   * Check whether a cell is the lowest cell two proxies share
+   * @param {Object} a - First proxy
+   * @param {Object} b - Second proxy
+   * @param {Array<Object>} cell - Cell being scanned
+   * @returns {boolean} True if the pair should be tested from this cell
+   * @private
+   */
+  _isFirstSharedCell(a, b, cell) {
+    const x = Math.max(a.cells.minX, b.cells.minX);
+    const y = Math.max(a.cells.minY, b.cells.minY);
+    const z = Math.max(a.cells.minZ, b.cells.minZ);
+    
+    return this._cells.get(hashCell(x, y, z)) === cell;
+  }
+  
+  /**
+   * Get the range of cells a bounding box covers
+   * @param {THREE.Box3} bounds - Bounding box
+   * @param {Object} target - Object to write minX..maxZ to
+   * @returns {Object} The range
+   * @private
+   */
+  _getCellRange(bounds, target) {
+    const size = this.cellSize;
+    
+    target.minX = Math.floor(bounds.min.x / size);
+    target.minY = Math.floor(bounds.min.y / size);
+    target.minZ = Math.floor(bounds.min.z / size);
+    target.maxX = Math.floor(bounds.max.x / size);
+    target.maxY = Math.floor(bounds.max.y / size);
+    target.maxZ = Math.floor(bounds.max.z / size);
+    
+    return target;
+  }
+}
+
+/**
+ * Hash integer cell coordinates into a map key
+ * @param {number} x - Cell x
+ * @param {number} y - Cell y
+ * @param {number} z - Cell z
+ * @returns {number} Key
+ */
+function hashCell(x, y, z) {
+  // Hash collisions only put unrelated objects in the same bucket
+  return ((x * 73856093) ^ (y * 19349663) ^ (z * 83492791)) | 0;
+}
+
+/**
+ * Sorts the objects along the axis they are most spread out on and sweeps
+ * over the sorted list. Sorting is incremental, so it stays cheap while
+ * objects move a little each step.
+ */
+export class SweepAndPruneBroadphase extends Broadphase {
+  /**
+   * @param {Object} options - Broadphase options
+   * @param {string} options.axis - Fixed sweep axis (x, y or z); chosen each step if omitted
+   * @param {number} options.margin - Distance the bounds are grown by (default 0)
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.axis = options.axis || null;
+    
+    // Proxies sorted by the lower bound on the sweep axis
+    this._sorted = [];
+  }
+  
+  /**
+   * Sort the proxies along the sweep axis and test the ones overlapping on it
+   * @param {Array<Object>} proxies - Proxies with finite bounds, in simulation order
+   * @param {Array<Array<Object>>} pairs - List to add the pairs to
+   */
+  _collectPairs(proxies, pairs) {
+    const axis = this.axis || this._chooseAxis(proxies);
+    
+    // Keep the previous order and add new proxies at the end
+    const sorted = this._sorted.filter(proxy => this._isCurrent(proxy));
+    proxies.forEach(proxy => {
+      if (!proxy.sorted) {
+        proxy.sorted = true;
+        sorted.push(proxy);
+      }
+    });
+    
+    // Insertion sort is close to linear on nearly sorted input
+    for (let i = 1; i < sorted.length; i++) {
+      const proxy = sorted[i];
+      const min = proxy.bounds.min[axis];
+      let j = i - 1;
+      
+      while (j >= 0 && sorted[j].bounds.min[axis] > min) {
+        sorted[j + 1] = sorted[j];
+        j--;
+      }
+      
+      sorted[j + 1] = proxy;
+    }
+    
+    this._sorted = sorted;
+    
+    // Sweep: everything starting before a proxy ends overlaps it on this axis
+    for (let i = 0; i < sorted.length; i++) {
+      const a = sorted[i];
+      const max = a.bounds.max[axis];
+      
+      for (let j = i + 1; j < sorted.length && sorted[j].bounds.min[axis] <= max; j++) {
+        this._testPair(a, sorted[j], pairs);
+      }
+    }
+  }
+  
+  /**
+   * Drop a removed proxy from the sorted list on the next sort
+   * @param {Object} proxy - Proxy being removed
+   */
+  _removeProxy(proxy) {
+    proxy.sorted = false;
+  }
+  
+  /**
+   * Check whether a previously sorted proxy is still bounded this step
+   * @param {Object} proxy - Proxy from the last sort
+   * @returns {boolean} True if it should stay in the list
+   * @private
+   */
+  _isCurrent(proxy) {
+    const current = proxy.bounded && proxy.stamp === this._stamp;
+    if (!current) proxy.sorted = false;
+    return current;
+  }
+  
+  /**
+   * Pick the axis along which the proxies' centers vary the most
+   * @param {Array<Object>} proxies - Bounded proxies
+   * @returns {string} x, y or z
+   * @private
+   */
+  _chooseAxis(proxies) {
+    if (proxies.length < 2) return 'x';
+    
+    const sum = new THREE.Vector3();
+    const sumSquares = new THREE.Vector3();
+    const center = new THREE.Vector3();
+    
+    proxies.forEach(proxy => {
+      proxy.bounds.getCenter(center);
+      sum.add(center);
+      sumSquares.add(center.multiply(center));
+    });
+    
+    // Variance = E[x^2] - E[x]^2
+    const count = proxies.length;
+    sum.divideScalar(count);
+    sumSquares.divideScalar(count).sub(sum.multiply(sum));
+    
+    if (sumSquares.x >= sumSquares.y && sumSquares.x >= sumSquares.z) return 'x';
+    return sumSquares.y >= sumSquares.z ? 'y' : 'z';
+  }
+}
+
+/**
+ * Dynamic bounding volume hierarchy. Leaves hold bounds grown by the margin,
+ * so an object is only reinserted once it moves out of them. Good for mixed
+ * object sizes and large static worlds.
+ */
+export class AABBTreeBroadphase extends Broadphase {
+  /**
+   * @param {Object} options - Broadphase options
+   * @param {number} options.margin - Distance the leaf bounds are grown by (default 0.2)
+   */
+  constructor(options = {}) {
+    super({ ...options, margin: 0 });
+    
+    this.leafMargin = options.margin !== undefined ? options.margin : 0.2;
+    this.root = null;
+  }
+  
+  /**
+   * Reinsert the proxies that moved out of their leaves, then collide the tree with itself
+   * @param {Array<Object>} proxies - Proxies with finite bounds, in simulation order
+   * @param {Array<Array<Object>>} pairs - List to add the pairs to
+   */
+  _collectPairs(proxies, pairs) {
+    // Move the leaves whose objects left their grown bounds
+    proxies.forEach(proxy => {
+      if (proxy.leaf && proxy.leaf.bounds.containsBox(proxy.bounds)) return;
+      
+      if (proxy.leaf) this._removeLeaf(proxy.leaf);
+      
+      proxy.leaf = this._createNode();
+      proxy.leaf.proxy = proxy;
+      proxy.leaf.bounds.copy(proxy.bounds).expandByScalar(this.leafMargin);
+      this._insertLeaf(proxy.leaf);
+    });
+    
+    // Collide the tree with itself, every overlapping pair is reached once
+    if (this.root && !this.root.proxy) {
+      this._collideSubtree(this.root, pairs);
+    }
+  }
+  
+  /**
+   * Find the overlapping leaves within a subtree
+   * @param {Object} node - Internal node
+   * @param {Array<Array<Object>>} pairs - List to add the pairs to
+   * @private
+   */
+  _collideSubtree(node, pairs) {
+    this._collideNodes(node.left, node.right, pairs);
+    
+    if (!node.left.proxy) this._collideSubtree(node.left, pairs);
+    if (!node.right.proxy) this._collideSubtree(node.right, pairs);
+  }
+  
+  /**
+   * Find the overlapping leaves between two disjoint subtrees
+   * @param {Object} a - First node
+   * @param {Object} b - Second node
+   * @param {Array<Array<Object>>} pairs - List to add the pairs to
+   * @private
+   */
+  _collideNodes(a, b, pairs) {
+    if (!a.bounds.intersectsBox(b.bounds)) return;
+    
+    if (a.proxy && b.proxy) {
+      this._testPair(a.proxy, b.proxy, pairs);
+    } else if (b.proxy || (!a.proxy && a.height >= b.height)) {
+      // Descend into the taller side
+      this._collideNodes(a.left, b, pairs);
+      this._collideNodes(a.right, b, pairs);
+    } else {
+      this._collideNodes(a, b.left, pairs);
+      this._collideNodes(a, b.right, pairs);
+    }
+  }
+  
+  /**
+   * Take a removed proxy's leaf out of the tree
+   * @param {Object} proxy - Proxy being removed
+   */
+  _removeProxy(proxy) {
+    if (proxy.leaf) {
+      this._removeLeaf(proxy.leaf);
+      proxy.leaf = null;
+    }
+  }
+  
+  /**
+   * Create a tree node
+   * @returns {Object} Node
+   * @private
+   */
+  _createNode() {
+    return { bounds: new THREE.Box3(), parent: null, left: null, right: null, proxy: null, height: 0 };
+  }
+  
+  /**
+   * Insert a leaf next to the sibling that grows the tree's surface area the least
+   * @param {Object} leaf - Leaf node
+   * @private
+   */
+  _insertLeaf(leaf) {
+    if (!this.root) {
+      this.root = leaf;
+      return;
+    }
+    
+    // Walk down towards the cheapest sibling
+    let sibling = this.root;
+    while (!sibling.proxy) {
+      const area = surfaceArea(sibling.bounds);
+      const combinedArea = surfaceArea(unionBox.copy(sibling.bounds).union(leaf.bounds));
+      
+      // Cost of making a new parent here, and the growth pushed onto the children
+      const cost = 2 * combinedArea;
+      const inheritedCost = 2 * (combinedArea - area);
+      const leftCost = this._getDescendCost(sibling.left, leaf) + inheritedCost;
+      const rightCost = this._getDescendCost(sibling.right, leaf) + inheritedCost;
+      
+      if (cost < leftCost && cost < rightCost) break;
+      sibling = leftCost < rightCost ? sibling.left : sibling.right;
+    }
+    
+    // Give the sibling and the leaf a new parent
+    const oldParent = sibling.parent;
+    const parent = this._createNode();
+    parent.parent = oldParent;
+    parent.bounds.copy(sibling.bounds).union(leaf.bounds);
+    parent.height = sibling.height + 1;
+    parent.left = sibling;
+    parent.right = leaf;
+    sibling.parent = parent;
+    leaf.parent = parent;
+    
+    if (oldParent) {
+      if (oldParent.left === sibling) {
+        oldParent.left = parent;
+      } else {
+        oldParent.right = parent;
+      }
+    } else {
+      this.root = parent;
+    }
+    
+    this._refit(leaf.parent);
+  }
+  
+  /**
+   * Cost of descending into a child while inserting a leaf
+   * @param {Object} child - Child node
+   * @param {Object} leaf - Leaf being inserted
+   * @returns {number} Surface area cost
+   * @private
+   */
+  _getDescendCost(child, leaf) {
+    const combinedArea = surfaceArea(unionBox.copy(child.bounds).union(leaf.bounds));
+    return child.proxy ? combinedArea : combinedArea - surfaceArea(child.bounds);
+  }
+  
+  /**
+   * Take a leaf out of the tree, collapsing its parent
+   * @param {Object} leaf - Leaf node
+   * @private
+   */
+  _removeLeaf(leaf) {
+    if (leaf === this.root) {
+      this.root = null;
+      return;
+    }
+    
+    const parent = leaf.parent;
+    const grandParent = parent.parent;
+    const sibling = parent.left === leaf ? parent.right : parent.left;
+    
+    if (grandParent) {
+      if (grandParent.left === parent) {
+        grandParent.left = sibling;
+      } else {
+        grandParent.right = sibling;
+      }
+      sibling.parent = grandParent;
+      this._refit(grandParent);
+    } else {
+      this.root = sibling;
+      sibling.parent = null;
+    }
+    
+    leaf.parent = null;
+  }
+  
+  /**
+   * Rebalance and recompute the bounds from a node up to the root
+   * @param {Object} node - First node to update
+   * @private
+   */
+  _refit(node) {
+    while (node) {
+      node = this._balance(node);
+      
+      node.height = 1 + Math.max(node.left.height, node.right.height);
+      node.bounds.copy(node.left.bounds).union(node.right.bounds);
+      
+      node = node.parent;
+    }
+  }
+  
+  /**
+   * Rotate a node's taller grandchild up if its children differ in height by more than one
+   * @param {Object} a - Internal node
+   * @returns {Object} Node now at a's position
+   * @private
+   */
+  _balance(a) {
+    if (a.proxy || a.height < 2) return a;
+    
+    const balance = a.right.height - a.left.height;
+    if (balance > 1) return this._rotate(a, 'right', 'left');
+    if (balance < -1) return this._rotate(a, 'left', 'right');
+    
+    return a;
+  }
+  
+  /**
+   * Promote a's taller child
+   * @param {Object} a - Unbalanced node
+   * @param {string} tall - Side of the taller child (left or right)
+   * @param {string} short - The other side
+   * @returns {Object} The promoted child
+   * @private
+   */
+  _rotate(a, tall, short) {
+    const c = a[tall];
+    const f = c.left;
+    const g = c.right;
+    
+    // c takes a's place
+    c[short] = a;
+    c.parent = a.parent;
+    a.parent = c;
+    
+    if (c.parent) {
+      if (c.parent.left === a) {
+        c.parent.left = c;
+      } else {
+        c.parent.right = c;
+      }
+    } else {
+      this.root = c;
+    }
+    
+    // The taller grandchild stays under c, the shorter one moves to a
+    const [keep, move] = f.height > g.height ? [f, g] : [g, f];
+    c[tall] = keep;
+    a[tall] = move;
+    move.parent = a;
+    
+    a.bounds.copy(a.left.bounds).union(a.right.bounds);
+    a.height = 1 + Math.max(a.left.height, a.right.height);
+    
+    return c;
+  }
+}
+
+/**
+ * Half the surface area of a box, enough to compare costs
+ * @param {THREE.Box3} box - Box
+ * @returns {number} Area
+ */
+function surfaceArea(box) {
+  const x = box.max.x - box.min.x;
+  const y = box.max.y - box.min.y;
+  const z = box.max.z - box.min.z;
+  return x * y + y * z + z * x;
+}
+
+/**
+ * Broadphase factories by option name
+ */
+const broadphaseTypes = {
+  none: options => new Broadphase(options),
+  spatialHash: options => new SpatialHashBroadphase(options),
+  sweepAndPrune: options => new SweepAndPruneBroadphase(options),
+  aabbTree: options => new AABBTreeBroadphase(options),
+};
+
+/**
+ * Create a broadphase by name
+ * @param {string} type - none (test every pair), spatialHash, sweepAndPrune or aabbTree
+ * @param {Object} options - Options for the broadphase's constructor
+ * @returns {Broadphase} The broadphase
+ */
+export function createBroadphase(type, options = {}) {
+  const factory = broadphaseTypes[type];
+  
+  if (!factory) {
+    throw new Error(`Unknown broadphase: ${type}. Expected one of ${Object.keys(broadphaseTypes).join(', ')}`);
+  }
+  
+  return factory(options);
+}
@@ -0,0 +1,371 @@
+import * as THREE from 'three';
+import { collide } from './Narrowphase';
+
+// Moves shorter than this are ignored
+const MIN_MOVE = 1e-5;
+
+// Normals pointing further down than this count as ceilings
+const CEILING_LIMIT = -0.7;
+
+/**
+ * @typedef {Object} CollisionFlags
+ * @property {boolean} below - Touched walkable ground
+ * @property {boolean} above - Touched a ceiling
+ * @property {boolean} sides - Touched a wall, or a slope too steep to walk up
+ */
+
+/**
+ * Kinematic character: a capsule moved by shape casts rather than forces, so
+ * it slides along walls instead of bouncing off them, walks up slopes and
+ * stairs, stays on the ground going down them and rides moving platforms.
+ * It owns a static body, so dynamic bodies still collide with it.
+ */
+export class CharacterController {
+  /**
+   * @param {PhysicsSystem} physicsSystem - Physics system to move through
+   * @param {Object} options - Controller options
+   * @param {THREE.Vector3} options.position - Center of the capsule
+   * @param {number} options.radius - Capsule radius (default 0.4)
+   * @param {number} options.height - Full capsule height (default 1.8)
+   * @param {number} options.maxSlopeAngle - Steepest walkable slope in radians (default 45 degrees)
+   * @param {number} options.stepHeight - Tallest step walked up without jumping (default 0.3)
+   * @param {number} options.snapDistance - How far down it sticks to the ground when walking off
+   *   a slope or step (default 0.2)
+   * @param {number} options.skinWidth - Gap kept between the capsule and what it touches (default 0.02)
+   * @param {number} options.maxSlides - Surfaces one move can slide along (default 4)
+   * @param {THREE.Vector3} options.up - Up direction (default +Y)
+   * @param {string} options.layer - Collision layer of its body (default 'default')
+   * @param {Array<string>} options.collidesWith - Layers it collides with (default from the layer matrix)
+   */
+  constructor(physicsSystem, options = {}) {
+    this.physicsSystem = physicsSystem;
+    this.radius = options.radius !== undefined ? options.radius : 0.4;
+    this.height = options.height !== undefined ? options.height : 1.8;
+    this.maxSlopeAngle = options.maxSlopeAngle !== undefined ? options.maxSlopeAngle : Math.PI / 4;
+    this.stepHeight = options.stepHeight !== undefined ? options.stepHeight : 0.3;
+    this.snapDistance = options.snapDistance !== undefined ? options.snapDistance : 0.2;
+    this.skinWidth = options.skinWidth !== undefined ? options.skinWidth : 0.02;
+    this.maxSlides = options.maxSlides || 4;
+    this.up = (options.up || new THREE.Vector3(0, 1, 0)).clone().normalize();
+    
+    this.body = physicsSystem.createBody({
+      id: options.id,
+      shape: 'capsule',
+      radius: this.radius,
+      dimensions: new THREE.Vector3(this.radius * 2, this.height, this.radius * 2),
+      position: options.position ? options.position.clone() : new THREE.Vector3(),
+      isStatic: true,
+      layer: options.layer,
+      collidesWith: options.collidesWith,
+      userData: { ...options.userData, characterController: this },
+    });
+    this.position = this.body.position;
+    
+    // State after the last move
+    this.isGrounded = false;
+    this.groundNormal = new THREE.Vector3().copy(this.up);
+    this.groundObject = null;
+    this.collisionFlags = { below: false, above: false, sides: false };
+    
+    // Hits of the last move, e.g. to push the bodies that were walked into
+    this.collisions = [];
+    
+    // Where the ground object was, to follow it when it moves
+    this._groundPosition = new THREE.Vector3();
+    this._groundQuaternion = new THREE.Quaternion();
+    
+    this._filter = object => object !== this.body
+      && !object.isTrigger
+      && physicsSystem.layers.canCollide(this.body, object);
+  }
+  
+  /**
+   * Move the character, sliding along whatever is in the way. Gravity and
+   * jumping are up to the caller, as part of the displacement.
+   * @param {THREE.Vector3} displacement - Desired movement this frame
+   * @returns {CollisionFlags} What the character touched
+   */
+  move(displacement) {
+    const flags = { below: false, above: false, sides: false };
+    const wasGrounded = this.isGrounded;
+    const position = this.position.clone();
+    this.collisions = [];
+    
+    // Ride along with whatever it stood on
+    const total = this._getPlatformMotion().add(displacement);
+    
+    this._depenetrate(position);
+    
+    const rise = total.dot(this.up);
+    const vertical = this.up.clone().multiplyScalar(rise);
+    const lateral = total.clone().sub(vertical);
+    
+    // Walk, and if a wall is in the way, try stepping up onto it
+    const walked = position.clone();
+    this._slide(walked, lateral, flags, true);
+    
+    if (flags.sides && wasGrounded && rise <= 0 && this.stepHeight > 0) {
+      const stepped = this._tryStep(position, lateral);
+      if (stepped && this._getProgress(stepped.position, position, lateral) > this._getProgress(walked, position, lateral) + MIN_MOVE) {
+        walked.copy(stepped.position);
+        flags.sides = stepped.flags.sides;
+      }
+    }
+    
+    position.copy(walked);
+    this._slide(position, vertical, flags, false);
+    
+    // Stick to the ground going down slopes and steps, instead of launching off them
+    if (wasGrounded && !flags.below && rise <= 0 && this.snapDistance > 0) {
+      const hit = this._cast(position, this.up.clone().negate(), this.snapDistance + this.skinWidth);
+      if (hit && this._isWalkable(this._getGroundNormal(hit, position))) {
+        position.addScaledVector(this.up, -(hit.distance - this.skinWidth));
+      }
+    }
+    
+    this.position.copy(position);
+    this._updateGround();
+    flags.below = flags.below || this.isGrounded;
+    this.collisionFlags = flags;
+    
+    // Let sleeping bodies it pushed into react
+    this.physicsSystem.wakeTouching(this.body);
+    
+    return flags;
+  }
+  
+  /**
+   * Teleport the character, forgetting the ground it stood on
+   * @param {THREE.Vector3} position - New center of the capsule
+   */
+  setPosition(position) {
+    this.position.copy(position);
+    this.groundObject = null;
+    this._updateGround();
+  }
+  
+  /**
+   * Remove the character's body from the simulation
+   */
+  dispose() {
+    this.physicsSystem.removeBody(this.body);
+    this.groundObject = null;
+  }
+  
+  /**
+   * Movement of the ground object since the last move, applied to the character
+   * @returns {THREE.Vector3} Displacement
+   * @private
+   */
+  _getPlatformMotion() {
+    const motion = new THREE.Vector3();
+    const ground = this.groundObject;
+    if (!ground) return motion;
+    
+    // Carry the character around the platform's turn as well as along its move
+    const turn = ground.quaternion.clone().multiply(this._groundQuaternion.clone().invert());
+    motion.subVectors(this.position, this._groundPosition).applyQuaternion(turn).add(ground.position);
+    
+    return motion.sub(this.position);
+  }
+  
+  /**
+   * Walk over an obstacle: up by stepHeight, across, then back down onto it
+   * @param {THREE.Vector3} start - Position before walking
+   * @param {THREE.Vector3} lateral - Sideways movement
+   * @returns {Object|null} Position and flags, or null if there is nothing walkable to stand on
+   * @private
+   */
+  _tryStep(start, lateral) {
+    const position = start.clone();
+    const flags = { below: false, above: false, sides: false };
+    
+    this._slide(position, this.up.clone().multiplyScalar(this.stepHeight), {}, false);
+    const climbed = position.clone().sub(start).dot(this.up);
+    
+    this._slide(position, lateral, flags, true);
+    
+    const hit = this._cast(position, this.up.clone().negate(), climbed + this.skinWidth);
+    if (!hit || !this._isWalkable(this._getGroundNormal(hit, position))) return null;
+    
+    position.addScaledVector(this.up, -(hit.distance - this.skinWidth));
+    
+    // Sliding across can ride the capsule's rounded bottom up the step's edge, a bit
+    // more every move, so also measure from the ground it stood on to what it landed on
+    const ground = start.dot(this.up) - this.height / 2 - this.skinWidth;
+    if (position.clone().sub(start).dot(this.up) > this.stepHeight + this.skinWidth) return null;
+    if (hit.point.dot(this.up) - ground > this.stepHeight + MIN_MOVE) return null;
+    
+    return { position, flags };
+  }
+  
+  /**
+   * Collide and slide: move until something is hit, then carry on along its surface
+   * @param {THREE.Vector3} position - Position to move, updated in place
+   * @param {THREE.Vector3} move - Movement
+   * @param {CollisionFlags} flags - Flags to set
+   * @param {boolean} isLateral - Walking, where slopes too steep to walk up act as walls
+   * @private
+   */
+  _slide(position, move, flags, isLateral) {
+    const remaining = move.clone();
+    
+    for (let i = 0; i < this.maxSlides; i++) {
+      const distance = remaining.length();
+      if (distance < MIN_MOVE) return;
+      
+      const direction = remaining.clone().divideScalar(distance);
+      const hit = this._cast(position, direction, distance + this.skinWidth);
+      if (!hit) {
+        position.add(remaining);
+        return;
+      }
+      
+      const travel = Math.max(0, hit.distance - this.skinWidth);
+      position.addScaledVector(direction, travel);
+      this.collisions.push(hit);
+      
+      const isWalkable = this._isWalkable(isLateral ? hit.normal : this._getGroundNormal(hit, position));
+      if (isWalkable) {
+        flags.below = true;
+      } else if (hit.normal.dot(this.up) < CEILING_LIMIT) {
+        flags.above = true;
+      } else {
+        flags.sides = true;
+      }
+      
+      // Landing on the ground ends a fall, rather than sliding down the slope
+      if (!isLateral && isWalkable && direction.dot(this.up) < 0) return;
+      
+      // Steep slopes block walking like walls do, so the character can't slide up them
+      const normal = hit.normal.clone();
+      if (isLateral && !isWalkable) {
+        normal.addScaledVector(this.up, -normal.dot(this.up));
+        if (normal.lengthSq() < MIN_MOVE) return;
+        normal.normalize();
+      }
+      
+      remaining.copy(direction).multiplyScalar(distance - travel);
+      remaining.addScaledVector(normal, -remaining.dot(normal));
+      
+      // Never slide back against the way it was going, e.g. into corners
+      if (remaining.dot(move) <= 0) return;
+    }
+  }
+  
+  /**
+   * Push the capsule out of anything it overlaps, e.g. a platform that moved into it
+   * @param {THREE.Vector3} position - Position to fix, updated in place
+   * @private
+   */
+  _depenetrate(position) {
+    for (let i = 0; i < this.maxSlides; i++) {
+      const shape = this._getShape(position);
+      const overlaps = this.physicsSystem.overlapShape(shape, this._filter);
+      if (overlaps.length === 0) return;
+      
+      overlaps.forEach(object => {
+        const contact = collide(shape, object);
+        if (contact) position.addScaledVector(contact.normal, -(contact.depth + this.skinWidth / 2));
+      });
+    }
+  }
+  
+  /**
+   * Look for walkable ground just under the capsule
+   * @private
+   */
+  _updateGround() {
+    const hit = this._cast(this.position, this.up.clone().negate(), this.skinWidth * 2);
+    const normal = hit ? this._getGroundNormal(hit, this.position) : null;
+    this.isGrounded = !!hit && this._isWalkable(normal);
+    
+    if (this.isGrounded) {
+      this.groundNormal.copy(normal);
+      this.groundObject = hit.body;
+      this._groundPosition.copy(hit.body.position);
+      this._groundQuaternion.copy(hit.body.quaternion);
+    } else {
+      this.groundNormal.copy(this.up);
+      this.groundObject = null;
+    }
+  }
+  
+  /**
+   * Sweep the capsule from a position
+   * @param {THREE.Vector3} position - Start
+   * @param {THREE.Vector3} direction - Unit direction
+   * @param {number} distance - Furthest distance
+   * @returns {Object|null} Closest hit
+   * @private
+   */
+  _cast(position, direction, distance) {
+    return this.physicsSystem.shapeCast(this._getShape(position), direction, distance, this._filter);
+  }
+  
+  /**
+   * The capsule at a position, as a query shape
+   * @param {THREE.Vector3} position - Center
+   * @returns {Object} Shape
+   * @private
+   */
+  _getShape(position) {
+    return {
+      shape: 'capsule',
+      position: position.clone(),
+      quaternion: this.body.quaternion,
+      radius: this.radius,
+      dimensions: this.body.dimensions,
+    };
+  }
+  
+  /**
+   * Normal of the surface under a hit. The rounded bottom of the capsule
+   * touches ledges on their edge, with a normal as steep as it is off-center,
+   * so look straight down at the surface just past the edge instead.
+   * @param {Object} hit - Cast hit
+   * @param {THREE.Vector3} position - Center of the capsule
+   * @returns {THREE.Vector3} Surface normal
+   * @private
+   */
+  _getGroundNormal(hit, position) {
+    if (this._isWalkable(hit.normal)) return hit.normal;
+    
+    // Only for contacts under the bottom hemisphere's center, i.e. at the feet
+    const feet = position.dot(this.up) - (this.height / 2 - this.radius);
+    if (hit.point.dot(this.up) > feet) return hit.normal;
+    
+    const across = new THREE.Vector3().subVectors(hit.point, position);
+    across.addScaledVector(this.up, -across.dot(this.up));
+    if (across.lengthSq() < MIN_MOVE) return hit.normal;
+    
+    const origin = hit.point.clone()
+      .addScaledVector(across.normalize(), this.skinWidth)
+      .addScaledVector(this.up, this.skinWidth * 2);
+    const below = this.physicsSystem.raycast(origin, this.up.clone().negate(), this.skinWidth * 4, object => object === hit.body);
+    
+    return below && below.distance > 0 ? below.normal : hit.normal;
+  }
+  
+  /**
+   * Whether a surface is flat enough to stand on
+   * @param {THREE.Vector3} normal - Surface normal
+   * @returns {boolean} True if walkable
+   * @private
+   */
+  _isWalkable(normal) {
+    return normal.dot(this.up) >= Math.cos(this.maxSlopeAngle) - 1e-6;
+  }
+  
+  /**
+   * How far a position got along the way the character was walking
+   * @param {THREE.Vector3} position - Position after walking
+   * @param {THREE.Vector3} start - Position before walking
+   * @param {THREE.Vector3} lateral - Sideways movement
+   * @returns {number} Distance along the movement
+   * @private
+   */
+  _getProgress(position, start, lateral) {
+    return position.clone().sub(start).dot(lateral.clone().normalize());
+  }
+}
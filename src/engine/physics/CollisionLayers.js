@@ -0,0 +1,96 @@
+const MAX_LAYERS = 32;
+const ALL_LAYERS = 0xffffffff;
+
+/**
+ * Named collision layers. Each body and collider belongs to one layer and
+ * collides with a set of layers; a pair only touches when each one collides
+ * with the other's layer. The layer matrix sets which layers collide by
+ * default, and objects can override it with their own collidesWith.
+ */
+export class CollisionLayers {
+  /**
+   * @param {Object} options - Layer options
+   * @param {Array<string>} options.layers - Layer names, up to 32 ('default' is always there)
+   * @param {Object} options.matrix - Layers each layer collides with, e.g. { pickup: ['player'] }.
+   *   Layers left out collide with everything.
+   */
+  constructor(options = {}) {
+    this.names = ['default'];
+    (options.layers || []).forEach(name => {
+      if (!this.names.includes(name)) this.names.push(name);
+    });
+    
+    if (this.names.length > MAX_LAYERS) {
+      throw new Error(`Too many collision layers: ${this.names.length}. At most ${MAX_LAYERS} are supported`);
+    }
+    
+    // Default collision mask of each layer, from the matrix
+    this.masks = this.names.map(name => {
+      const row = options.matrix && options.matrix[name];
+      return row ? this.getMask(row) : ALL_LAYERS;
+    });
+  }
+  
+  /**
+   * Bit of a layer
+   * @param {string} name - Layer name
+   * @returns {number} Layer bit
+   */
+  getBit(name) {
+    const index = this.names.indexOf(name);
+    if (index === -1) {
+      throw new Error(`Unknown collision layer: ${name}. Expected one of ${this.names.join(', ')}`);
+    }
+    
+    return (1 << index) >>> 0;
+  }
+  
+  /**
+   * Combined bits of some layers
+   * @param {string|Array<string>} names - Layer name or names
+   * @returns {number} Layer mask
+   */
+  getMask(names) {
+    return [].concat(names).reduce((mask, name) => (mask | this.getBit(name)) >>> 0, 0);
+  }
+  
+  /**
+   * Give a body or collider the bits for its layer and collidesWith
+   * (both optional, defaulting to 'default' and the layer matrix)
+   * @param {Object} object - Body or collider
+   */
+  assign(object) {
+    object.layer = object.layer || 'default';
+    object.collisionGroup = this.getBit(object.layer);
+    object.collisionMask = object.collidesWith
+      ? this.getMask(object.collidesWith)
+      : this.masks[this.names.indexOf(object.layer)];
+  }
+  
+  /**
+   * Layer names and matrix as plain data, for snapshots
+   * @returns {Object} names and masks
+   */
+  serialize() {
+    return { names: [...this.names], masks: [...this.masks] };
+  }
+  
+  /**
+   * Take the layer names and matrix from serialize()
+   * @param {Object} data - names and masks
+   */
+  deserialize(data) {
+    this.names = [...data.names];
+    this.masks = [...data.masks];
+  }
+  
+  /**
+   * Whether two objects' layers let them touch
+   * @param {Object} a - Body or collider
+   * @param {Object} b - Body or collider
+   * @returns {boolean} True if they collide
+   */
+  canCollide(a, b) {
+    return (a.collisionMask & b.collisionGroup) !== 0 && (b.collisionMask & a.collisionGroup) !== 0;
+  }
+}
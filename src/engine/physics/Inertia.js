@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+
+// Scratch objects
+const rotationMatrix = new THREE.Matrix4();
+const rotation = new THREE.Matrix3();
+
+/**
+ * Principal moments of inertia of a solid body, about its center and local axes
+ * @param {Object} body - Body with shape, mass, dimensions and optional radius or vertices
+ * @param {THREE.Vector3} target - Vector to write the moments to
+ * @returns {THREE.Vector3} Moments about the local x, y and z axes
+ */
+export function computeInertia(body, target = new THREE.Vector3()) {
+  const mass = body.mass;
+  const dimensions = body.dimensions;
+  
+  switch (body.shape) {
+    case 'sphere': {
+      const moment = 0.4 * mass * body.radius * body.radius;
+      return target.set(moment, moment, moment);
+    }
+    case 'capsule':
+      return capsuleInertia(mass, body.radius, Math.max(0, dimensions.y - 2 * body.radius), target);
+    case 'convex':
+      // The hull's bounding box is close enough for how hulls are used in games
+      if (body.vertices && body.vertices.length > 0) {
+        const size = new THREE.Box3().setFromPoints(body.vertices).getSize(new THREE.Vector3());
+        return boxInertia(mass, size, target);
+      }
+      return boxInertia(mass, dimensions, target);
+    case 'plane':
+      // Planes are infinite, so they can't turn
+      return target.set(Infinity, Infinity, Infinity);
+    default:
+      return boxInertia(mass, dimensions, target);
+  }
+}
+
+/**
+ * Solid box
+ * @param {number} mass - Mass
+ * @param {THREE.Vector3} size - Full extents
+ * @param {THREE.Vector3} target - Vector to write the moments to
+ * @returns {THREE.Vector3} Moments
+ */
+function boxInertia(mass, size, target) {
+  const x2 = size.x * size.x;
+  const y2 = size.y * size.y;
+  const z2 = size.z * size.z;
+  
+  return target.set(
+    (mass / 12) * (y2 + z2),
+    (mass / 12) * (x2 + z2),
+    (mass / 12) * (x2 + y2)
+  );
+}
+
+/**
+ * Solid capsule along the local Y axis: a cylinder plus two hemispheres
+ * @param {number} mass - Mass
+ * @param {number} radius - Radius
+ * @param {number} length - Length of the cylinder between the hemispheres
+ * @param {THREE.Vector3} target - Vector to write the moments to
+ * @returns {THREE.Vector3} Moments
+ */
+function capsuleInertia(mass, radius, length, target) {
+  const r2 = radius * radius;
+  
+  // Split the mass by volume
+  const cylinderVolume = Math.PI * r2 * length;
+  const sphereVolume = (4 / 3) * Math.PI * r2 * radius;
+  const cylinderMass = mass * cylinderVolume / (cylinderVolume + sphereVolume);
+  const hemisphereMass = (mass - cylinderMass) / 2;
+  
+  const axial = cylinderMass * r2 / 2 + 2 * hemisphereMass * (2 / 5) * r2;
+  
+  // Hemispheres sit at the cylinder's ends (parallel axis theorem about the center)
+  const transverse = cylinderMass * (length * length / 12 + r2 / 4)
+    + 2 * hemisphereMass * ((2 / 5) * r2 + length * length / 4 + (3 / 8) * length * radius);
+  
+  return target.set(transverse, axial, transverse);
+}
+
+/**
+ * Recompute a body's local inverse inertia, e.g. after changing its mass or size.
+ * Static bodies and bodies with fixedRotation get zero, so nothing turns them.
+ * @param {Object} body - Body to update
+ */
+export function updateInverseInertia(body) {
+  if (body.isStatic || body.fixedRotation) {
+    body.inverseInertia.set(0, 0, 0);
+  } else {
+    const inertia = computeInertia(body, body.inverseInertia);
+    inertia.set(inverseOf(inertia.x), inverseOf(inertia.y), inverseOf(inertia.z));
+  }
+  
+  updateWorldInverseInertia(body);
+}
+
+/**
+ * Rotate a body's inverse inertia into world space: R * diag(inverseInertia) * R^T
+ * @param {Object} body - Body with quaternion, inverseInertia and inverseInertiaWorld
+ */
+export function updateWorldInverseInertia(body) {
+  const r = rotation.setFromMatrix4(rotationMatrix.makeRotationFromQuaternion(body.quaternion)).elements;
+  const d = body.inverseInertia;
+  const m = body.inverseInertiaWorld.elements;
+  
+  // Matrix3 elements are column-major: r[column * 3 + row]
+  for (let row = 0; row < 3; row++) {
+    for (let column = 0; column < 3; column++) {
+      m[column * 3 + row] = r[row] * d.x * r[column]
+        + r[3 + row] * d.y * r[3 + column]
+        + r[6 + row] * d.z * r[6 + column];
+    }
+  }
+}
+
+/**
+ * Inverse of a moment, with zero for infinite or missing moments
+ * @param {number} moment - Moment of inertia
+ * @returns {number} Inverse
+ */
+function inverseOf(moment) {
+  return moment > 0 && isFinite(moment) ? 1 / moment : 0;
+}
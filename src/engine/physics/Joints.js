@@ -0,0 +1,782 @@
+import * as THREE from 'three';
+import { updateWorldInverseInertia } from './Inertia';
+
+const EPSILON = 1e-10;
+
+// Largest fix per position pass, so a badly stretched joint doesn't explode
+const MAX_LINEAR_CORRECTION = 0.2;
+const MAX_ANGULAR_CORRECTION = 0.2;
+
+const AXES = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+
+// Stands in for bodyB when a joint is pinned to the world. Nothing moves it.
+const WORLD = {
+  position: new THREE.Vector3(),
+  quaternion: new THREE.Quaternion(),
+  velocity: new THREE.Vector3(),
+  angularVelocity: new THREE.Vector3(),
+  isStatic: true,
+  inverseInertiaWorld: new THREE.Matrix3().set(0, 0, 0, 0, 0, 0, 0, 0, 0),
+};
+
+// Scratch objects
+const scratch = new THREE.Vector3();
+const rotationQuaternion = new THREE.Quaternion();
+
+/**
+ * A constraint between two bodies, or between a body and the world. Joints are
+ * built from rows, each keeping one quantity (a distance along an axis, or a
+ * rotation about one) at zero, or above zero for limits. PhysicsSystem solves
+ * the rows together with the contacts, then moves the bodies back together
+ * where they have drifted apart.
+ */
+export class Joint {
+  /**
+   * @param {Object} options - Joint options
+   * @param {Object} options.bodyA - First body
+   * @param {Object} options.bodyB - Second body, or null to pin bodyA to the world
+   * @param {THREE.Vector3} options.anchor - World-space point the bodies are joined at (default bodyB's
+   *   center, or bodyA's when pinned to the world)
+   * @param {THREE.Vector3} options.anchorA - World-space anchor on bodyA, instead of anchor
+   * @param {THREE.Vector3} options.anchorB - World-space anchor on bodyB (or in the world), instead of anchor
+   * @param {number} options.breakForce - Force that breaks the joint (default Infinity)
+   * @param {number} options.breakTorque - Torque that breaks the joint (default Infinity)
+   * @param {Function} options.onBreak - Called with the joint when it breaks
+   * @param {boolean} options.collideConnected - Let the two bodies collide with each other (default false)
+   */
+  constructor(options = {}) {
+    if (!options.bodyA) {
+      throw new Error('Joints need at least a bodyA');
+    }
+    
+    this.type = 'joint';
+    this.bodyA = options.bodyA;
+    this.bodyB = options.bodyB || null;
+    this.breakForce = options.breakForce !== undefined ? options.breakForce : Infinity;
+    this.breakTorque = options.breakTorque !== undefined ? options.breakTorque : Infinity;
+    this.onBreak = options.onBreak || null;
+    this.collideConnected = options.collideConnected || false;
+    this.broken = false;
+    
+    // Force and torque the joint needed last step, e.g. to show strain
+    this.force = 0;
+    this.torque = 0;
+    
+    const bodyB = this.getBodyB();
+    const anchor = options.anchor || (this.bodyB ? this.bodyB.position : this.bodyA.position);
+    this.localAnchorA = toLocal(this.bodyA, options.anchorA || anchor);
+    this.localAnchorB = toLocal(bodyB, options.anchorB || anchor);
+    
+    // Rows of the current step
+    this.rows = [];
+  }
+  
+  /**
+   * The second body, or a fixed stand-in when pinned to the world
+   * @returns {Object} Body
+   */
+  getBodyB() {
+    return this.bodyB || WORLD;
+  }
+  
+  /**
+   * World-space anchors and their offsets from each body's center
+   * @returns {Object} offsetA, offsetB, pointA and pointB
+   */
+  getAnchors() {
+    const bodyB = this.getBodyB();
+    const offsetA = this.localAnchorA.clone().applyQuaternion(this.bodyA.quaternion);
+    const offsetB = this.localAnchorB.clone().applyQuaternion(bodyB.quaternion);
+    
+    return {
+      offsetA,
+      offsetB,
+      pointA: offsetA.clone().add(this.bodyA.position),
+      pointB: offsetB.clone().add(bodyB.position),
+    };
+  }
+  
+  /**
+   * Build this step's rows, carrying the impulses of the last step over
+   * @param {number} deltaTime - Time step
+   */
+  prepare(deltaTime) {
+    const previous = this.rows;
+    const bodyB = this.getBodyB();
+    
+    this.rows = this._buildRows();
+    this.rows.forEach((row, index) => {
+      row.mass = getEffectiveMass(row, this.bodyA, bodyB);
+      
+      // Same rows as last step, so its impulses are a good first guess
+      row.impulse = previous.length === this.rows.length ? previous[index].impulse : 0;
+      
+      if (row.kind === 'motor') {
+        row.bias = -row.speed;
+        row.lower = -row.maxForce * deltaTime;
+        row.upper = row.maxForce * deltaTime;
+        row.impulse = THREE.MathUtils.clamp(row.impulse, row.lower, row.upper);
+      } else if (row.kind === 'limit') {
+        // Let it close the gap to the limit this step, but no further
+        row.bias = row.error > 0 ? row.error / deltaTime : 0;
+        row.lower = 0;
+        row.upper = Infinity;
+      } else {
+        row.bias = 0;
+        row.lower = -Infinity;
+        row.upper = Infinity;
+      }
+    });
+  }
+  
+  /**
+   * Apply last step's impulses again
+   */
+  warmStart() {
+    const bodyB = this.getBodyB();
+    this.rows.forEach(row => applyImpulse(row, this.bodyA, bodyB, row.impulse));
+  }
+  
+  /**
+   * One pass of sequential impulses over the rows
+   */
+  solveVelocity() {
+    const bodyB = this.getBodyB();
+    
+    this.rows.forEach(row => {
+      const impulse = -row.mass * (getRowVelocity(row, this.bodyA, bodyB) + row.bias);
+      const previous = row.impulse;
+      
+      row.impulse = THREE.MathUtils.clamp(previous + impulse, row.lower, row.upper);
+      applyImpulse(row, this.bodyA, bodyB, row.impulse - previous);
+    });
+  }
+  
+  /**
+   * One pass moving the bodies to undo the joint's drift
+   */
+  solvePosition() {
+    const bodyB = this.getBodyB();
+    
+    this._buildRows().forEach(row => {
+      if (row.kind === 'motor') return;
+      if (row.kind === 'limit' && row.error >= 0) return;
+      
+      const mass = getEffectiveMass(row, this.bodyA, bodyB);
+      const limit = row.linear ? MAX_LINEAR_CORRECTION : MAX_ANGULAR_CORRECTION;
+      const error = THREE.MathUtils.clamp(row.error, -limit, limit);
+      
+      applyCorrection(row, this.bodyA, bodyB, -error * mass);
+    });
+  }
+  
+  /**
+   * Work out the force and torque from the last step's impulses
+   * @param {number} deltaTime - Time step
+   * @returns {boolean} True if either is past its break threshold
+   */
+  shouldBreak(deltaTime) {
+    let linear = 0;
+    let angular = 0;
+    
+    this.rows.forEach(row => {
+      if (row.linear) {
+        linear += row.impulse * row.impulse;
+      } else {
+        angular += row.impulse * row.impulse;
+      }
+    });
+    
+    this.force = Math.sqrt(linear) / deltaTime;
+    this.torque = Math.sqrt(angular) / deltaTime;
+    
+    return this.force > this.breakForce || this.torque > this.breakTorque;
+  }
+  
+  /**
+   * Wake sleeping bodies so a change to the joint takes effect
+   * @private
+   */
+  _wakeBodies() {
+    [this.bodyA, this.bodyB].forEach(body => {
+      if (body && body.isSleeping && body.wake) body.wake();
+    });
+  }
+  
+  /**
+   * Rows for the current positions
+   * @returns {Array<Object>} Rows
+   * @private
+   */
+  _buildRows() {
+    return [];
+  }
+  
+  /**
+   * Rows that keep both anchors at the same point
+   * @param {Array<Object>} rows - Rows to add to
+   * @private
+   */
+  _addPointRows(rows) {
+    const { offsetA, offsetB, pointA, pointB } = this.getAnchors();
+    const separation = new THREE.Vector3().subVectors(pointB, pointA);
+    
+    AXES.forEach(axis => rows.push(linearRow(offsetA, offsetB, axis, separation.dot(axis))));
+  }
+  
+  /**
+   * Rows that keep the bodies' orientations as they were when the joint was made
+   * @param {Array<Object>} rows - Rows to add to
+   * @private
+   */
+  _addOrientationRows(rows) {
+    const bodyB = this.getBodyB();
+    
+    // Where bodyB's rotation should be, and how far it has turned from there
+    const target = this.bodyA.quaternion.clone().multiply(this.relativeRotation);
+    const error = bodyB.quaternion.clone().multiply(target.invert());
+    if (error.w < 0) error.set(-error.x, -error.y, -error.z, -error.w);
+    
+    const rotation = new THREE.Vector3(error.x, error.y, error.z).multiplyScalar(2);
+    AXES.forEach(axis => rows.push(angularRow(axis, rotation.dot(axis))));
+  }
+  
+  /**
+   * Remember the bodies' current relative rotation, for _addOrientationRows
+   * @private
+   */
+  _storeRelativeRotation() {
+    this.relativeRotation = this.bodyA.quaternion.clone().invert().multiply(this.getBodyB().quaternion);
+  }
+}
+
+/**
+ * Keeps two anchors at a fixed distance, like a rigid rod
+ */
+export class DistanceJoint extends Joint {
+  /**
+   * @param {Object} options - Joint options (see Joint), anchors default to each body's center
+   * @param {number} options.distance - Distance to keep (default the distance when created)
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      anchorA: options.anchorA || options.anchor || options.bodyA.position,
+      anchorB: options.anchorB || options.anchor || (options.bodyB ? options.bodyB.position : options.bodyA.position),
+    });
+    
+    this.type = 'distance';
+    this.distance = options.distance !== undefined ? options.distance : this.getCurrentDistance();
+  }
+  
+  /**
+   * Current distance between the anchors
+   * @returns {number} Distance
+   */
+  getCurrentDistance() {
+    const { pointA, pointB } = this.getAnchors();
+    return pointA.distanceTo(pointB);
+  }
+  
+  _buildRows() {
+    const { offsetA, offsetB, pointA, pointB } = this.getAnchors();
+    const direction = new THREE.Vector3().subVectors(pointB, pointA);
+    const length = direction.length();
+    
+    if (length < EPSILON) return [];
+    direction.divideScalar(length);
+    
+    return [linearRow(offsetA, offsetB, direction, length - this.distance)];
+  }
+}
+
+/**
+ * Keeps two anchors at most a distance apart, but lets them come closer, like a rope
+ */
+export class RopeJoint extends DistanceJoint {
+  /**
+   * @param {Object} options - Joint options (see Joint), anchors default to each body's center
+   * @param {number} options.maxLength - Length of the rope (default the distance when created)
+   */
+  constructor(options = {}) {
+    super({ ...options, distance: options.maxLength });
+    
+    this.type = 'rope';
+    this.maxLength = this.distance;
+  }
+  
+  _buildRows() {
+    const { offsetA, offsetB, pointA, pointB } = this.getAnchors();
+    const direction = new THREE.Vector3().subVectors(pointA, pointB);
+    const length = direction.length();
+    
+    if (length < EPSILON) return [];
+    direction.divideScalar(length);
+    
+    // Pulls the anchors together once the slack is used up
+    return [limitRow(linearRow(offsetA, offsetB, direction, this.maxLength - length))];
+  }
+}
+
+/**
+ * Joins the bodies at a point they can both turn freely about, like a shoulder
+ */
+export class BallJoint extends Joint {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'ball';
+  }
+  
+  _buildRows() {
+    const rows = [];
+    this._addPointRows(rows);
+    return rows;
+  }
+}
+
+/**
+ * Joins the bodies at a point and lets them turn about one axis only, like a
+ * door or a wheel, optionally within limits and driven by a motor
+ */
+export class HingeJoint extends Joint {
+  /**
+   * @param {Object} options - Joint options (see Joint)
+   * @param {THREE.Vector3} options.axis - World-space axis to turn about (default up)
+   * @param {number} options.lowerAngle - Smallest angle in radians, from the angle when created
+   * @param {number} options.upperAngle - Largest angle in radians
+   * @param {number} options.motorSpeed - Speed the motor turns bodyB at relative to bodyA, in radians per second
+   * @param {number} options.maxMotorTorque - Strongest torque the motor can apply (default 0, no motor)
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.type = 'hinge';
+    this.lowerAngle = options.lowerAngle !== undefined ? options.lowerAngle : -Infinity;
+    this.upperAngle = options.upperAngle !== undefined ? options.upperAngle : Infinity;
+    this.motorSpeed = options.motorSpeed || 0;
+    this.maxMotorTorque = options.maxMotorTorque || 0;
+    
+    // The axis and a line across it, in each body's frame, to measure the angle by
+    const axis = (options.axis || AXES[1]).clone().normalize();
+    const across = getPerpendicular(axis);
+    const bodyB = this.getBodyB();
+    
+    this.localAxisA = toLocalDirection(this.bodyA, axis);
+    this.localAxisB = toLocalDirection(bodyB, axis);
+    this.localReferenceA = toLocalDirection(this.bodyA, across);
+    this.localReferenceB = toLocalDirection(bodyB, across);
+  }
+  
+  /**
+   * Drive the hinge, or stop driving it with a maxTorque of 0
+   * @param {number} speed - Target speed in radians per second
+   * @param {number} maxTorque - Strongest torque the motor can apply
+   */
+  setMotor(speed, maxTorque) {
+    this.motorSpeed = speed;
+    this.maxMotorTorque = maxTorque;
+    this._wakeBodies();
+  }
+  
+  /**
+   * How far bodyB has turned about the axis relative to bodyA since the joint was made
+   * @returns {number} Angle in radians
+   */
+  getAngle() {
+    const axis = this.localAxisA.clone().applyQuaternion(this.bodyA.quaternion);
+    const referenceA = this.localReferenceA.clone().applyQuaternion(this.bodyA.quaternion);
+    const referenceB = this.localReferenceB.clone().applyQuaternion(this.getBodyB().quaternion);
+    
+    return Math.atan2(axis.dot(scratch.crossVectors(referenceA, referenceB)), referenceA.dot(referenceB));
+  }
+  
+  _buildRows() {
+    const rows = [];
+    this._addPointRows(rows);
+    
+    // Keep bodyB's axis lined up with bodyA's
+    const axis = this.localAxisA.clone().applyQuaternion(this.bodyA.quaternion);
+    const axisB = this.localAxisB.clone().applyQuaternion(this.getBodyB().quaternion);
+    const misalignment = new THREE.Vector3().crossVectors(axis, axisB);
+    
+    const tangent = getPerpendicular(axis);
+    const bitangent = new THREE.Vector3().crossVectors(axis, tangent);
+    rows.push(angularRow(tangent, misalignment.dot(tangent)));
+    rows.push(angularRow(bitangent, misalignment.dot(bitangent)));
+    
+    const angle = this.getAngle();
+    if (this.lowerAngle > -Infinity) {
+      rows.push(limitRow(angularRow(axis, angle - this.lowerAngle)));
+    }
+    if (this.upperAngle < Infinity) {
+      rows.push(limitRow(angularRow(axis.clone().negate(), this.upperAngle - angle)));
+    }
+    if (this.maxMotorTorque > 0) {
+      rows.push(motorRow(angularRow(axis, 0), this.motorSpeed, this.maxMotorTorque));
+    }
+    
+    return rows;
+  }
+}
+
+/**
+ * Lets the bodies slide along one axis without turning, like a piston or a
+ * drawer, optionally within limits and driven by a motor
+ */
+export class SliderJoint extends Joint {
+  /**
+   * @param {Object} options - Joint options (see Joint)
+   * @param {THREE.Vector3} options.axis - World-space axis to slide along (default right)
+   * @param {number} options.lowerLimit - Smallest translation along the axis, from the anchor
+   * @param {number} options.upperLimit - Largest translation along the axis
+   * @param {number} options.motorSpeed - Speed the motor slides bodyB at relative to bodyA
+   * @param {number} options.maxMotorForce - Strongest force the motor can apply (default 0, no motor)
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.type = 'slider';
+    this.lowerLimit = options.lowerLimit !== undefined ? options.lowerLimit : -Infinity;
+    this.upperLimit = options.upperLimit !== undefined ? options.upperLimit : Infinity;
+    this.motorSpeed = options.motorSpeed || 0;
+    this.maxMotorForce = options.maxMotorForce || 0;
+    this.localAxisA = toLocalDirection(this.bodyA, (options.axis || AXES[0]).clone().normalize());
+    
+    this._storeRelativeRotation();
+  }
+  
+  /**
+   * Drive the slider, or stop driving it with a maxForce of 0
+   * @param {number} speed - Target speed along the axis
+   * @param {number} maxForce - Strongest force the motor can apply
+   */
+  setMotor(speed, maxForce) {
+    this.motorSpeed = speed;
+    this.maxMotorForce = maxForce;
+    this._wakeBodies();
+  }
+  
+  /**
+   * How far bodyB's anchor has slid along the axis from bodyA's
+   * @returns {number} Translation
+   */
+  getTranslation() {
+    const { pointA, pointB } = this.getAnchors();
+    const axis = this.localAxisA.clone().applyQuaternion(this.bodyA.quaternion);
+    
+    return scratch.subVectors(pointB, pointA).dot(axis);
+  }
+  
+  _buildRows() {
+    const rows = [];
+    this._addOrientationRows(rows);
+    
+    const { offsetA, offsetB, pointA, pointB } = this.getAnchors();
+    const axis = this.localAxisA.clone().applyQuaternion(this.bodyA.quaternion);
+    const separation = new THREE.Vector3().subVectors(pointB, pointA);
+    
+    // Measure from the point of bodyA that bodyB's anchor is at
+    const reach = offsetA.clone().add(separation);
+    
+    const tangent = getPerpendicular(axis);
+    const bitangent = new THREE.Vector3().crossVectors(axis, tangent);
+    rows.push(linearRow(reach, offsetB, tangent, separation.dot(tangent)));
+    rows.push(linearRow(reach, offsetB, bitangent, separation.dot(bitangent)));
+    
+    const translation = separation.dot(axis);
+    if (this.lowerLimit > -Infinity) {
+      rows.push(limitRow(linearRow(reach, offsetB, axis, translation - this.lowerLimit)));
+    }
+    if (this.upperLimit < Infinity) {
+      rows.push(limitRow(linearRow(reach, offsetB, axis.clone().negate(), this.upperLimit - translation)));
+    }
+    if (this.maxMotorForce > 0) {
+      rows.push(motorRow(linearRow(reach, offsetB, axis, 0), this.motorSpeed, this.maxMotorForce));
+    }
+    
+    return rows;
+  }
+}
+
+/**
+ * Glues the bodies together as they are
+ */
+export class FixedJoint extends Joint {
+  constructor(options = {}) {
+    super(options);
+    
+    this.type = 'fixed';
+    this._storeRelativeRotation();
+  }
+  
+  _buildRows() {
+    const rows = [];
+    this._addPointRows(rows);
+    this._addOrientationRows(rows);
+    return rows;
+  }
+}
+
+/**
+ * Pulls two anchors towards a rest length with a damped spring, e.g. for suspension
+ */
+export class SpringJoint extends Joint {
+  /**
+   * @param {Object} options - Joint options (see Joint), anchors default to each body's center
+   * @param {number} options.restLength - Length the spring settles at (default the distance when created)
+   * @param {number} options.stiffness - Force per unit of stretch (default 50)
+   * @param {number} options.damping - Force per unit of stretching speed (default 1)
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      anchorA: options.anchorA || options.anchor || options.bodyA.position,
+      anchorB: options.anchorB || options.anchor || (options.bodyB ? options.bodyB.position : options.bodyA.position),
+    });
+    
+    this.type = 'spring';
+    this.stiffness = options.stiffness !== undefined ? options.stiffness : 50;
+    this.damping = options.damping !== undefined ? options.damping : 1;
+    
+    const { pointA, pointB } = this.getAnchors();
+    this.restLength = options.restLength !== undefined ? options.restLength : pointA.distanceTo(pointB);
+  }
+  
+  /**
+   * Springs push and pull with a force instead of solving rows
+   * @param {number} deltaTime - Time step
+   */
+  prepare(deltaTime) {
+    const bodyB = this.getBodyB();
+    const { offsetA, offsetB, pointA, pointB } = this.getAnchors();
+    const direction = new THREE.Vector3().subVectors(pointB, pointA);
+    const length = direction.length();
+    
+    this.rows = [];
+    this.force = 0;
+    if (length < EPSILON) return;
+    direction.divideScalar(length);
+    
+    const row = linearRow(offsetA, offsetB, direction, 0);
+    const stretchSpeed = getRowVelocity(row, this.bodyA, bodyB);
+    const force = this.stiffness * (length - this.restLength) + this.damping * stretchSpeed;
+    
+    // A stretched spring pulls A towards B and B towards A
+    applyImpulse(row, this.bodyA, bodyB, -force * deltaTime);
+    this.force = Math.abs(force);
+  }
+  
+  shouldBreak() {
+    return this.force > this.breakForce;
+  }
+}
+
+const JOINT_TYPES = {
+  distance: DistanceJoint,
+  rope: RopeJoint,
+  ball: BallJoint,
+  hinge: HingeJoint,
+  slider: SliderJoint,
+  fixed: FixedJoint,
+  spring: SpringJoint,
+};
+
+/**
+ * Create a joint by name
+ * @param {string} type - distance, rope, ball, hinge, slider, fixed or spring
+ * @param {Object} options - Joint options, including bodyA and bodyB
+ * @returns {Joint} The joint
+ */
+export function createJoint(type, options = {}) {
+  const JointType = JOINT_TYPES[type];
+  if (!JointType) {
+    throw new Error(`Unknown joint: ${type}. Expected one of ${Object.keys(JOINT_TYPES).join(', ')}`);
+  }
+  
+  return new JointType(options);
+}
+
+/**
+ * Row keeping the anchors' separation along a direction at its error's zero
+ * @param {THREE.Vector3} offsetA - Anchor on bodyA relative to its center
+ * @param {THREE.Vector3} offsetB - Anchor on bodyB relative to its center
+ * @param {THREE.Vector3} direction - Unit direction
+ * @param {number} error - Current value that should be zero
+ * @returns {Object} Row
+ */
+function linearRow(offsetA, offsetB, direction, error) {
+  return {
+    kind: 'equality',
+    linear: direction.clone(),
+    angularA: new THREE.Vector3().crossVectors(offsetA, direction),
+    angularB: new THREE.Vector3().crossVectors(offsetB, direction),
+    error,
+  };
+}
+
+/**
+ * Row keeping the bodies' relative rotation about an axis at its error's zero
+ * @param {THREE.Vector3} axis - Unit axis
+ * @param {number} error - Current value that should be zero
+ * @returns {Object} Row
+ */
+function angularRow(axis, error) {
+  return { kind: 'equality', linear: null, angularA: axis.clone(), angularB: axis.clone(), error };
+}
+
+/**
+ * Turn a row into a limit, which only pushes to keep its error at or above zero
+ * @param {Object} row - Row
+ * @returns {Object} The same row
+ */
+function limitRow(row) {
+  row.kind = 'limit';
+  return row;
+}
+
+/**
+ * Turn a row into a motor, which drives its speed towards a target with a bounded force
+ * @param {Object} row - Row
+ * @param {number} speed - Target speed
+ * @param {number} maxForce - Strongest force or torque
+ * @returns {Object} The same row
+ */
+function motorRow(row, speed, maxForce) {
+  row.kind = 'motor';
+  row.speed = speed;
+  row.maxForce = maxForce;
+  return row;
+}
+
+/**
+ * 1 / mass the two bodies present to a row
+ * @param {Object} row - Row
+ * @param {Object} bodyA - First body
+ * @param {Object} bodyB - Second body
+ * @returns {number} Effective mass, 0 if neither body can move
+ */
+function getEffectiveMass(row, bodyA, bodyB) {
+  let inverse = row.angularA.dot(scratch.copy(row.angularA).applyMatrix3(bodyA.inverseInertiaWorld))
+    + row.angularB.dot(scratch.copy(row.angularB).applyMatrix3(bodyB.inverseInertiaWorld));
+  
+  if (row.linear) {
+    inverse += (getInverseMass(bodyA) + getInverseMass(bodyB)) * row.linear.lengthSq();
+  }
+  
+  return inverse > EPSILON ? 1 / inverse : 0;
+}
+
+/**
+ * How fast a row's error is changing
+ * @param {Object} row - Row
+ * @param {Object} bodyA - First body
+ * @param {Object} bodyB - Second body
+ * @returns {number} Speed
+ */
+function getRowVelocity(row, bodyA, bodyB) {
+  let speed = row.angularB.dot(bodyB.angularVelocity) - row.angularA.dot(bodyA.angularVelocity);
+  
+  if (row.linear) {
+    speed += row.linear.dot(bodyB.velocity) - row.linear.dot(bodyA.velocity);
+  }
+  
+  return speed;
+}
+
+/**
+ * Apply an impulse along a row, pushing bodyA back and bodyB forward
+ * @param {Object} row - Row
+ * @param {Object} bodyA - First body
+ * @param {Object} bodyB - Second body
+ * @param {number} impulse - Impulse strength
+ */
+function applyImpulse(row, bodyA, bodyB, impulse) {
+  if (impulse === 0) return;
+  
+  [[bodyA, row.angularA, -impulse], [bodyB, row.angularB, impulse]].forEach(([body, angular, amount]) => {
+    if (body.isStatic) return;
+    
+    if (row.linear) body.velocity.addScaledVector(row.linear, amount / body.mass);
+    body.angularVelocity.add(scratch.copy(angular).multiplyScalar(amount).applyMatrix3(body.inverseInertiaWorld));
+  });
+}
+
+/**
+ * Move and turn the bodies along a row, as if an impulse acted on their positions
+ * @param {Object} row - Row
+ * @param {Object} bodyA - First body
+ * @param {Object} bodyB - Second body
+ * @param {number} impulse - Correction strength
+ */
+function applyCorrection(row, bodyA, bodyB, impulse) {
+  if (impulse === 0) return;
+  
+  [[bodyA, row.angularA, -impulse], [bodyB, row.angularB, impulse]].forEach(([body, angular, amount]) => {
+    if (body.isStatic) return;
+    
+    if (row.linear) body.position.addScaledVector(row.linear, amount / body.mass);
+    
+    const rotation = scratch.copy(angular).multiplyScalar(amount).applyMatrix3(body.inverseInertiaWorld);
+    if (rotation.lengthSq() > EPSILON) {
+      rotateBody(body, rotation);
+    }
+  });
+}
+
+/**
+ * Turn a body by a small rotation vector
+ * @param {Object} body - Body
+ * @param {THREE.Vector3} rotation - Axis times angle, in world space
+ */
+function rotateBody(body, rotation) {
+  const q = body.quaternion;
+  rotationQuaternion.set(rotation.x, rotation.y, rotation.z, 0).multiply(q);
+  
+  q.set(
+    q.x + rotationQuaternion.x * 0.5,
+    q.y + rotationQuaternion.y * 0.5,
+    q.z + rotationQuaternion.z * 0.5,
+    q.w + rotationQuaternion.w * 0.5
+  ).normalize();
+  
+  updateWorldInverseInertia(body);
+}
+
+/**
+ * Inverse mass, zero for bodies nothing can move
+ * @param {Object} body - Body
+ * @returns {number} Inverse mass
+ */
+function getInverseMass(body) {
+  return body.isStatic ? 0 : 1 / body.mass;
+}
+
+/**
+ * Express a world-space point in a body's frame
+ * @param {Object} body - Body
+ * @param {THREE.Vector3} point - World-space point
+ * @returns {THREE.Vector3} Local point
+ */
+function toLocal(body, point) {
+  return point.clone().sub(body.position).applyQuaternion(body.quaternion.clone().invert());
+}
+
+/**
+ * Express a world-space direction in a body's frame
+ * @param {Object} body - Body
+ * @param {THREE.Vector3} direction - World-space direction
+ * @returns {THREE.Vector3} Local direction
+ */
+function toLocalDirection(body, direction) {
+  return direction.clone().applyQuaternion(body.quaternion.clone().invert());
+}
+
+/**
+ * Some unit vector at right angles to another
+ * @param {THREE.Vector3} vector - Unit vector
+ * @returns {THREE.Vector3} Perpendicular unit vector
+ */
+function getPerpendicular(vector) {
+  const other = Math.abs(vector.x) < 0.9 ? AXES[0] : AXES[1];
+  return new THREE.Vector3().crossVectors(vector, other).normalize();
+}
@@ -0,0 +1,979 @@
+import * as THREE from 'three';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+
+/**
+ * Contact between two shapes
+ * @typedef {Object} Contact
+ * @property {THREE.Vector3} normal - Unit normal pointing from the first shape towards the second
+ * @property {number} depth - Penetration depth along the normal
+ * @property {THREE.Vector3} point - World-space contact point, halfway between the two surfaces
+ * @property {Array<THREE.Vector3>} points - Contact manifold: the corners of the touching area
+ *   (up to one per vertex of the touching face), with point at their center
+ */
+
+/**
+ * Collision shapes the narrowphase understands
+ */
+export const ShapeTypes = ['box', 'sphere', 'capsule', 'plane', 'convex'];
+
+const IDENTITY = new THREE.Quaternion();
+const UP = new THREE.Vector3(0, 1, 0);
+const EPSILON = 1e-10;
+
+const GJK_MAX_ITERATIONS = 64;
+const EPA_MAX_ITERATIONS = 64;
+const EPA_TOLERANCE = 1e-4;
+
+// How far below the deepest point a vertex may be and still count as part of the touching face or edge
+const FEATURE_TOLERANCE = 0.02;
+
+// Clipped points closer than this (squared) are the same corner
+const MERGE_DISTANCE_SQUARED = 1e-6;
+
+// Directions tried when a degenerate simplex has to be grown into a tetrahedron
+const SEARCH_DIRECTIONS = [
+  new THREE.Vector3(1, 0, 0), new THREE.Vector3(-1, 0, 0),
+  new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, -1, 0),
+  new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 0, -1),
+];
+
+/**
+ * Test two bodies or colliders for contact
+ * @param {Object} a - First object (position, shape, dimensions and optional quaternion, radius, normal, vertices)
+ * @param {Object} b - Second object
+ * @returns {Contact|null} Contact data, or null if the shapes don't touch
+ */
+export function collide(a, b) {
+  const contact = collideShapes(getShape(a), getShape(b));
+  
+  if (contact && !contact.points) {
+    contact.points = [contact.point.clone()];
+  }
+  
+  return contact;
+}
+
+/**
+ * Build the world-space shape description of a body or collider
+ * @param {Object} object - Body or collider
+ * @returns {Object} Shape with type, center, rotation and type-specific data
+ */
+export function getShape(object) {
+  const type = object.shape || 'box';
+  const rotation = object.quaternion || IDENTITY;
+  const dimensions = object.dimensions || new THREE.Vector3(1, 1, 1);
+  
+  const shape = {
+    type,
+    center: object.position,
+    rotation,
+    inverseRotation: rotation.clone().invert(),
+  };
+  
+  switch (type) {
+    case 'box':
+      shape.halfExtents = dimensions.clone().multiplyScalar(0.5);
+      break;
+    case 'sphere':
+      shape.radius = getRadius(object);
+      shape.halfHeight = 0;
+      shape.axis = UP;
+      break;
+    case 'capsule':
+      // dimensions.y is the full height, hemispheres included
+      shape.radius = getRadius(object);
+      shape.halfHeight = Math.max(0, dimensions.y / 2 - shape.radius);
+      shape.axis = UP.clone().applyQuaternion(rotation);
+      break;
+    case 'plane':
+      // Infinite plane through the position; everything behind it is solid
+      shape.normal = (object.normal || UP).clone().applyQuaternion(rotation).normalize();
+      break;
+    case 'convex':
+      if (!object.vertices || object.vertices.length === 0) {
+        throw new Error('Convex shapes need vertices (see computeConvexHull)');
+      }
+      shape.vertices = object.vertices.map(vertex => vertex.clone().applyQuaternion(rotation).add(object.position));
+      break;
+    default:
+      throw new Error(`Unknown collision shape: ${type}. Expected one of ${ShapeTypes.join(', ')}`);
+  }
+  
+  return shape;
+}
+
+/**
+ * Find the point of a shape furthest along a direction
+ * @param {Object} shape - Shape from getShape()
+ * @param {THREE.Vector3} direction - Search direction (need not be normalized)
+ * @param {THREE.Vector3} target - Vector to write the result to
+ * @returns {THREE.Vector3} The support point
+ */
+export function getSupportPoint(shape, direction, target = new THREE.Vector3()) {
+  switch (shape.type) {
+    case 'sphere':
+    case 'capsule': {
+      const side = direction.dot(shape.axis) >= 0 ? 1 : -1;
+      const length = direction.length();
+      
+      target.copy(shape.axis).multiplyScalar(side * shape.halfHeight).add(shape.center);
+      if (length > EPSILON) {
+        target.addScaledVector(direction, shape.radius / length);
+      }
+      
+      return target;
+    }
+    case 'box': {
+      const local = target.copy(direction).applyQuaternion(shape.inverseRotation);
+      local.set(
+        local.x >= 0 ? shape.halfExtents.x : -shape.halfExtents.x,
+        local.y >= 0 ? shape.halfExtents.y : -shape.halfExtents.y,
+        local.z >= 0 ? shape.halfExtents.z : -shape.halfExtents.z
+      );
+      
+      return local.applyQuaternion(shape.rotation).add(shape.center);
+    }
+    case 'convex': {
+      let best = shape.vertices[0];
+      let bestDot = best.dot(direction);
+      
+      for (let i = 1; i < shape.vertices.length; i++) {
+        const dot = shape.vertices[i].dot(direction);
+        if (dot > bestDot) {
+          best = shape.vertices[i];
+          bestDot = dot;
+        }
+      }
+      
+      return target.copy(best);
+    }
+    default:
+      throw new Error(`Shape has no support point: ${shape.type}`);
+  }
+}
+
+/**
+ * Compute the hull vertices of a point cloud or geometry, for convex shapes
+ * @param {Array<THREE.Vector3>|THREE.BufferGeometry} source - Points or geometry in local space
+ * @returns {Array<THREE.Vector3>} Hull vertices
+ */
+export function computeConvexHull(source) {
+  const points = [];
+  
+  if (source.isBufferGeometry) {
+    const position = source.getAttribute('position');
+    for (let i = 0; i < position.count; i++) {
+      points.push(new THREE.Vector3().fromBufferAttribute(position, i));
+    }
+  } else {
+    source.forEach(point => points.push(point.clone()));
+  }
+  
+  const hull = new ConvexHull().setFromPoints(points);
+  
+  // Only the points on the hull matter for support queries
+  const vertices = [];
+  hull.faces.forEach(face => {
+    let edge = face.edge;
+    do {
+      const point = edge.head().point;
+      if (!vertices.some(vertex => vertex.distanceToSquared(point) < EPSILON)) {
+        vertices.push(point.clone());
+      }
+      edge = edge.next;
+    } while (edge !== face.edge);
+  });
+  
+  return vertices;
+}
+
+/**
+ * Pick the test for a pair of shapes
+ * @param {Object} a - First shape
+ * @param {Object} b - Second shape
+ * @returns {Contact|null} Contact data
+ */
+function collideShapes(a, b) {
+  if (a.type === 'plane' && b.type === 'plane') return null;
+  if (a.type === 'plane') return collidePlane(a, b);
+  if (b.type === 'plane') return flipContact(collidePlane(b, a));
+  
+  const aRound = a.type === 'sphere' || a.type === 'capsule';
+  const bRound = b.type === 'sphere' || b.type === 'capsule';
+  
+  if (aRound && bRound) return collideRound(a, b);
+  if (a.type === 'sphere' && b.type === 'box') return collideSphereBox(a, b);
+  if (a.type === 'box' && b.type === 'sphere') return flipContact(collideSphereBox(b, a));
+  
+  // Everything else is a pair of convex shapes
+  return collideConvex(a, b);
+}
+
+/**
+ * Reverse a contact so its normal points from the second shape to the first
+ * @param {Contact|null} contact - Contact to flip
+ * @returns {Contact|null} The same contact, flipped
+ */
+function flipContact(contact) {
+  if (contact) contact.normal.negate();
+  return contact;
+}
+
+/**
+ * Radius of a sphere or capsule
+ * @param {Object} object - Body or collider
+ * @returns {number} Radius
+ */
+function getRadius(object) {
+  if (object.radius !== undefined) return object.radius;
+  return object.dimensions ? object.dimensions.x / 2 : 0.5;
+}
+
+/**
+ * Infinite plane against any other shape
+ * @param {Object} plane - Plane shape
+ * @param {Object} shape - Other shape
+ * @returns {Contact|null} Contact with the normal pointing out of the plane
+ */
+function collidePlane(plane, shape) {
+  const normal = plane.normal;
+  const offset = normal.dot(plane.center);
+  
+  // Boxes, hulls and capsules can rest on several points, so average every one that went through
+  const corners = shape.type === 'capsule' ? getCapsuleEnds(shape, normal.clone().negate())
+    : shape.type === 'box' ? getBoxCorners(shape)
+    : shape.type === 'convex' ? shape.vertices
+    : null;
+  
+  if (corners) {
+    const points = [];
+    let depth = 0;
+    
+    corners.forEach(corner => {
+      const distance = normal.dot(corner) - offset;
+      if (distance < 0) {
+        depth = Math.max(depth, -distance);
+        points.push(corner.clone().addScaledVector(normal, -distance / 2));
+      }
+    });
+    
+    if (points.length === 0) return null;
+    
+    return { normal: normal.clone(), depth, point: getCentroid(points), points };
+  }
+  
+  const deepest = getSupportPoint(shape, normal.clone().negate());
+  const distance = normal.dot(deepest) - offset;
+  if (distance >= 0) return null;
+  
+  return {
+    normal: normal.clone(),
+    depth: -distance,
+    point: deepest.addScaledVector(normal, -distance / 2),
+  };
+}
+
+/**
+ * Spheres and capsules against each other, as distance between their core segments
+ * @param {Object} a - First sphere or capsule
+ * @param {Object} b - Second sphere or capsule
+ * @returns {Contact|null} Contact data
+ */
+function collideRound(a, b) {
+  const [pointA, pointB] = closestPointsOnSegments(
+    segmentStart(a), segmentEnd(a),
+    segmentStart(b), segmentEnd(b)
+  );
+  
+  const radii = a.radius + b.radius;
+  const normal = new THREE.Vector3().subVectors(pointB, pointA);
+  const distance = normal.length();
+  
+  if (distance >= radii) return null;
+  
+  if (distance > EPSILON) {
+    normal.divideScalar(distance);
+  } else {
+    // Cores overlap exactly, fall back to the direction between centers
+    normal.subVectors(b.center, a.center);
+    if (normal.lengthSq() < EPSILON) normal.copy(UP);
+    normal.normalize();
+  }
+  
+  const depth = radii - distance;
+  
+  return {
+    normal,
+    depth,
+    point: pointA.addScaledVector(normal, a.radius - depth / 2),
+  };
+}
+
+/**
+ * Sphere against an oriented box
+ * @param {Object} sphere - Sphere shape
+ * @param {Object} box - Box shape
+ * @returns {Contact|null} Contact with the normal pointing from the sphere to the box
+ */
+function collideSphereBox(sphere, box) {
+  const local = sphere.center.clone().sub(box.center).applyQuaternion(box.inverseRotation);
+  const half = box.halfExtents;
+  
+  const closest = new THREE.Vector3(
+    THREE.MathUtils.clamp(local.x, -half.x, half.x),
+    THREE.MathUtils.clamp(local.y, -half.y, half.y),
+    THREE.MathUtils.clamp(local.z, -half.z, half.z)
+  );
+  
+  // Normal from the box surface out to the sphere center, in box space
+  const outward = new THREE.Vector3().subVectors(local, closest);
+  let distance = outward.length();
+  
+  if (distance > EPSILON) {
+    if (distance >= sphere.radius) return null;
+    outward.divideScalar(distance);
+  } else {
+    // Center inside the box: leave through the nearest face
+    const gaps = [half.x - Math.abs(local.x), half.y - Math.abs(local.y), half.z - Math.abs(local.z)];
+    const axis = gaps.indexOf(Math.min(...gaps));
+    const sign = local.getComponent(axis) >= 0 ? 1 : -1;
+    
+    outward.set(0, 0, 0).setComponent(axis, sign);
+    closest.setComponent(axis, sign * half.getComponent(axis));
+    distance = -gaps[axis];
+  }
+  
+  const normal = outward.applyQuaternion(box.rotation).negate();
+  const surface = closest.applyQuaternion(box.rotation).add(box.center);
+  const depth = sphere.radius - distance;
+  
+  return {
+    normal,
+    depth,
+    point: surface.addScaledVector(normal, depth / 2),
+  };
+}
+
+/**
+ * Any two convex shapes: GJK finds whether they overlap, EPA how far and in which direction
+ * @param {Object} a - First shape
+ * @param {Object} b - Second shape
+ * @returns {Contact|null} Contact data
+ */
+function collideConvex(a, b) {
+  const simplex = gjk(a, b);
+  if (!simplex) return null;
+  
+  if (!completeSimplex(simplex, a, b)) return null;
+  
+  const contact = epa(simplex, a, b);
+  if (contact) {
+    refineContactPoint(contact, a, b);
+  }
+  
+  return contact;
+}
+
+/**
+ * Replace the EPA contact point with the touching area between the two
+ * features. EPA finds a single point somewhere on them, which for a box
+ * resting on a face can be a corner and would make it spin.
+ * @param {Contact} contact - Contact to update
+ * @param {Object} a - First shape
+ * @param {Object} b - Second shape
+ */
+function refineContactPoint(contact, a, b) {
+  const depth = contact.depth;
+  let normal = contact.normal;
+  const featureA = getFeature(a, normal);
+  const featureB = getFeature(b, normal.clone().negate());
+  
+  let points;
+  
+  if (featureA.length === 1) {
+    // A vertex of A pokes into B by the depth
+    points = [featureA[0].clone().addScaledVector(normal, -depth / 2)];
+  } else if (featureB.length === 1) {
+    points = [featureB[0].clone().addScaledVector(normal, depth / 2)];
+  } else if (featureA.length === 2 && featureB.length === 2) {
+    const [pointA, pointB] = closestPointsOnSegments(featureA[0], featureA[1], featureB[0], featureB[1]);
+    points = [pointA.add(pointB).multiplyScalar(0.5)];
+  } else {
+    // Clip the smaller feature by the larger one, what is left is the touching area
+    const onA = featureA.length <= featureB.length;
+    const face = onA ? featureB : featureA;
+    
+    // EPA's normal is only accurate to its tolerance, use the face's own normal when
+    // resting on a face so stacks don't slowly slide off each other
+    const faceNormal = getPolygonNormal(face);
+    if (faceNormal.dot(normal) < 0) faceNormal.negate();
+    if (faceNormal.dot(normal) > 0.99) normal = faceNormal;
+    
+    const clipped = onA ? clipByPolygon(featureA, featureB, normal) : clipByPolygon(featureB, featureA, normal);
+    
+    // Move every point onto the plane halfway between the two surfaces
+    const direction = onA ? 1 : -1;
+    const reference = onA
+      ? Math.min(...featureB.map(vertex => vertex.dot(normal)))
+      : Math.max(...featureA.map(vertex => vertex.dot(normal)));
+    
+    points = [];
+    let deepest = 0;
+    clipped.forEach(vertex => {
+      const penetration = (vertex.dot(normal) - reference) * direction;
+      if (penetration < -FEATURE_TOLERANCE) return;
+      
+      deepest = Math.max(deepest, penetration);
+      const point = vertex.clone().addScaledVector(normal, -direction * penetration / 2);
+      if (!points.some(other => other.distanceToSquared(point) < MERGE_DISTANCE_SQUARED)) {
+        points.push(point);
+      }
+    });
+    
+    if (points.length === 0) return;
+    
+    contact.normal = normal;
+    contact.depth = deepest;
+  }
+  
+  contact.points = points;
+  contact.point = getCentroid(points);
+}
+
+/**
+ * Normal of a planar polygon, by Newell's method so any winding and vertex count works
+ * @param {Array<THREE.Vector3>} polygon - Vertices in order around the polygon
+ * @returns {THREE.Vector3} Unit normal
+ */
+function getPolygonNormal(polygon) {
+  const normal = new THREE.Vector3();
+  
+  polygon.forEach((current, i) => {
+    const next = polygon[(i + 1) % polygon.length];
+    normal.x += (current.y - next.y) * (current.z + next.z);
+    normal.y += (current.z - next.z) * (current.x + next.x);
+    normal.z += (current.x - next.x) * (current.y + next.y);
+  });
+  
+  return normal.normalize();
+}
+
+/**
+ * Average of some points
+ * @param {Array<THREE.Vector3>} points - Points
+ * @returns {THREE.Vector3} Centroid
+ */
+function getCentroid(points) {
+  const centroid = new THREE.Vector3();
+  points.forEach(point => centroid.add(point));
+  return centroid.divideScalar(points.length);
+}
+
+/**
+ * Vertices of a shape within FEATURE_TOLERANCE of its furthest point along a direction:
+ * one for a vertex, two for an edge, more for a face (in order around it)
+ * @param {Object} shape - Shape from getShape()
+ * @param {THREE.Vector3} direction - Unit direction
+ * @returns {Array<THREE.Vector3>} Feature vertices
+ */
+function getFeature(shape, direction) {
+  let vertices;
+  
+  if (shape.type === 'box') {
+    vertices = getBoxCorners(shape);
+  } else if (shape.type === 'convex') {
+    vertices = shape.vertices;
+  } else if (shape.type === 'capsule') {
+    vertices = getCapsuleEnds(shape, direction);
+  } else {
+    return [getSupportPoint(shape, direction)];
+  }
+  
+  let max = -Infinity;
+  vertices.forEach(vertex => { max = Math.max(max, vertex.dot(direction)); });
+  
+  const feature = vertices.filter(vertex => vertex.dot(direction) >= max - FEATURE_TOLERANCE);
+  
+  return feature.length > 2 ? sortAroundAxis(feature, direction) : feature;
+}
+
+/**
+ * Sort coplanar points by angle around their centroid
+ * @param {Array<THREE.Vector3>} points - Points on a plane
+ * @param {THREE.Vector3} axis - Plane normal
+ * @returns {Array<THREE.Vector3>} Points in winding order
+ */
+function sortAroundAxis(points, axis) {
+  const center = new THREE.Vector3();
+  points.forEach(point => center.add(point));
+  center.divideScalar(points.length);
+  
+  const tangent = new THREE.Vector3().subVectors(points[0], center);
+  tangent.addScaledVector(axis, -tangent.dot(axis)).normalize();
+  const bitangent = new THREE.Vector3().crossVectors(axis, tangent);
+  
+  const offset = new THREE.Vector3();
+  const angleOf = point => {
+    offset.subVectors(point, center);
+    return Math.atan2(offset.dot(bitangent), offset.dot(tangent));
+  };
+  
+  return points
+    .map(point => ({ point, angle: angleOf(point) }))
+    .sort((first, second) => first.angle - second.angle)
+    .map(entry => entry.point);
+}
+
+/**
+ * Clip points against the side planes of a convex polygon (Sutherland-Hodgman)
+ * @param {Array<THREE.Vector3>} subject - Polygon or segment to clip
+ * @param {Array<THREE.Vector3>} polygon - Convex polygon in winding order
+ * @param {THREE.Vector3} normal - Direction the side planes run along
+ * @returns {Array<THREE.Vector3>} Clipped points
+ */
+function clipByPolygon(subject, polygon, normal) {
+  const center = new THREE.Vector3();
+  polygon.forEach(point => center.add(point));
+  center.divideScalar(polygon.length);
+  
+  let output = subject;
+  
+  for (let i = 0; i < polygon.length && output.length > 0; i++) {
+    const start = polygon[i];
+    const edge = new THREE.Vector3().subVectors(polygon[(i + 1) % polygon.length], start);
+    
+    // Side plane through the edge, facing into the polygon
+    const inward = new THREE.Vector3().crossVectors(normal, edge);
+    if (inward.dot(new THREE.Vector3().subVectors(center, start)) < 0) inward.negate();
+    
+    const distanceOf = point => inward.dot(point) - inward.dot(start);
+    const input = output;
+    output = [];
+    
+    for (let j = 0; j < input.length; j++) {
+      const current = input[j];
+      const next = input[(j + 1) % input.length];
+      const currentDistance = distanceOf(current);
+      const nextDistance = distanceOf(next);
+      
+      if (currentDistance >= 0) output.push(current);
+      
+      if ((currentDistance >= 0) !== (nextDistance >= 0)) {
+        const t = currentDistance / (currentDistance - nextDistance);
+        output.push(current.clone().lerp(next, t));
+      }
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Support point of the Minkowski difference a - b, keeping both source points
+ * @param {Object} a - First shape
+ * @param {Object} b - Second shape
+ * @param {THREE.Vector3} direction - Search direction
+ * @returns {Object} Vertex with point, a and b
+ */
+function minkowskiSupport(a, b, direction) {
+  const pointA = getSupportPoint(a, direction);
+  const pointB = getSupportPoint(b, direction.clone().negate());
+  
+  return { point: new THREE.Vector3().subVectors(pointA, pointB), a: pointA, b: pointB };
+}
+
+/**
+ * Gilbert-Johnson-Keerthi intersection test
+ * @param {Object} a - First shape
+ * @param {Object} b - Second shape
+ * @returns {Array<Object>|null} Simplex enclosing the origin, or null if the shapes are apart
+ */
+function gjk(a, b) {
+  const direction = new THREE.Vector3().subVectors(b.center, a.center);
+  if (direction.lengthSq() < EPSILON) direction.set(1, 0, 0);
+  
+  const simplex = [minkowskiSupport(a, b, direction)];
+  direction.copy(simplex[0].point).negate();
+  
+  for (let i = 0; i < GJK_MAX_ITERATIONS; i++) {
+    // The origin lies on the simplex: touching
+    if (direction.lengthSq() < EPSILON) return simplex;
+    
+    const vertex = minkowskiSupport(a, b, direction);
+    if (vertex.point.dot(direction) <= 0) return null;
+    
+    simplex.unshift(vertex);
+    if (updateSimplex(simplex, direction)) return simplex;
+  }
+  
+  return null;
+}
+
+/**
+ * Reduce the simplex to the feature closest to the origin and pick the next search direction
+ * @param {Array<Object>} simplex - Simplex, newest vertex first (modified in place)
+ * @param {THREE.Vector3} direction - Search direction (modified in place)
+ * @returns {boolean} True if the simplex encloses the origin
+ */
+function updateSimplex(simplex, direction) {
+  switch (simplex.length) {
+    case 2: return updateLine(simplex, direction);
+    case 3: return updateTriangle(simplex, direction);
+    default: return updateTetrahedron(simplex, direction);
+  }
+}
+
+/**
+ * Line case: keep the segment if the origin is beside it, otherwise just the newest point
+ */
+function updateLine(simplex, direction) {
+  const [a, b] = simplex;
+  const ab = new THREE.Vector3().subVectors(b.point, a.point);
+  const ao = a.point.clone().negate();
+  
+  if (ab.dot(ao) > 0) {
+    direction.crossVectors(ab, ao).cross(ab);
+  } else {
+    simplex.length = 1;
+    direction.copy(ao);
+  }
+  
+  return false;
+}
+
+/**
+ * Triangle case: fall back to an edge, or search above or below the face
+ */
+function updateTriangle(simplex, direction) {
+  const [a, b, c] = simplex;
+  const ab = new THREE.Vector3().subVectors(b.point, a.point);
+  const ac = new THREE.Vector3().subVectors(c.point, a.point);
+  const ao = a.point.clone().negate();
+  const abc = new THREE.Vector3().crossVectors(ab, ac);
+  
+  if (new THREE.Vector3().crossVectors(abc, ac).dot(ao) > 0) {
+    if (ac.dot(ao) > 0) {
+      simplex.splice(0, 3, a, c);
+      direction.crossVectors(ac, ao).cross(ac);
+      return false;
+    }
+    
+    simplex.splice(0, 3, a, b);
+    return updateLine(simplex, direction);
+  }
+  
+  if (new THREE.Vector3().crossVectors(ab, abc).dot(ao) > 0) {
+    simplex.splice(0, 3, a, b);
+    return updateLine(simplex, direction);
+  }
+  
+  if (abc.dot(ao) > 0) {
+    direction.copy(abc);
+  } else {
+    simplex.splice(0, 3, a, c, b);
+    direction.copy(abc).negate();
+  }
+  
+  return false;
+}
+
+/**
+ * Tetrahedron case: done if no face sees the origin, otherwise continue from that face
+ */
+function updateTetrahedron(simplex, direction) {
+  const [a, b, c, d] = simplex;
+  const ab = new THREE.Vector3().subVectors(b.point, a.point);
+  const ac = new THREE.Vector3().subVectors(c.point, a.point);
+  const ad = new THREE.Vector3().subVectors(d.point, a.point);
+  const ao = a.point.clone().negate();
+  
+  if (new THREE.Vector3().crossVectors(ab, ac).dot(ao) > 0) {
+    simplex.splice(0, 4, a, b, c);
+    return updateTriangle(simplex, direction);
+  }
+  
+  if (new THREE.Vector3().crossVectors(ac, ad).dot(ao) > 0) {
+    simplex.splice(0, 4, a, c, d);
+    return updateTriangle(simplex, direction);
+  }
+  
+  if (new THREE.Vector3().crossVectors(ad, ab).dot(ao) > 0) {
+    simplex.splice(0, 4, a, d, b);
+    return updateTriangle(simplex, direction);
+  }
+  
+  return true;
+}
+
+/**
+ * Grow a simplex that ended early (touching or degenerate) into a tetrahedron for EPA
+ * @param {Array<Object>} simplex - Simplex (modified in place)
+ * @param {Object} a - First shape
+ * @param {Object} b - Second shape
+ * @returns {boolean} False if the shapes only touch and have no volume of overlap
+ */
+function completeSimplex(simplex, a, b) {
+  const isNew = vertex => simplex.every(existing => existing.point.distanceToSquared(vertex.point) > EPSILON);
+  
+  while (simplex.length < 4) {
+    let added = false;
+    const directions = [...SEARCH_DIRECTIONS];
+    
+    if (simplex.length === 2) {
+      // Perpendiculars of the segment
+      const line = new THREE.Vector3().subVectors(simplex[1].point, simplex[0].point);
+      const perpendicular = new THREE.Vector3().crossVectors(line, Math.abs(line.x) < 0.9 ? SEARCH_DIRECTIONS[0] : SEARCH_DIRECTIONS[2]);
+      directions.unshift(perpendicular, perpendicular.clone().negate());
+    } else if (simplex.length === 3) {
+      // Both sides of the triangle
+      const normal = new THREE.Vector3()
+        .subVectors(simplex[1].point, simplex[0].point)
+        .cross(new THREE.Vector3().subVectors(simplex[2].point, simplex[0].point));
+      directions.unshift(normal, normal.clone().negate());
+    }
+    
+    for (const direction of directions) {
+      if (direction.lengthSq() < EPSILON) continue;
+      
+      const vertex = minkowskiSupport(a, b, direction);
+      if (isNew(vertex) && !isDegenerate([...simplex, vertex])) {
+        simplex.push(vertex);
+        added = true;
+        break;
+      }
+    }
+    
+    if (!added) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Check whether a partial simplex has collapsed (collinear or coplanar points)
+ * @param {Array<Object>} simplex - Simplex to check
+ * @returns {boolean} True if the newest point adds no dimension
+ */
+function isDegenerate(simplex) {
+  const [a, b, c, d] = simplex.map(vertex => vertex.point);
+  
+  if (simplex.length === 3) {
+    return new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).lengthSq() < EPSILON;
+  }
+  
+  if (simplex.length === 4) {
+    const normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+    return Math.abs(normal.dot(new THREE.Vector3().subVectors(d, a))) < EPSILON;
+  }
+  
+  return false;
+}
+
+/**
+ * Expanding Polytope Algorithm: find the penetration normal and depth from a GJK tetrahedron
+ * @param {Array<Object>} simplex - Tetrahedron enclosing the origin
+ * @param {Object} a - First shape
+ * @param {Object} b - Second shape
+ * @returns {Contact|null} Contact data
+ */
+function epa(simplex, a, b) {
+  const vertices = [...simplex];
+  
+  // Stays inside the polytope as it grows, used to orient face normals outward
+  const interior = new THREE.Vector3();
+  vertices.forEach(vertex => interior.add(vertex.point));
+  interior.divideScalar(vertices.length);
+  
+  const makeFace = (i, j, k) => {
+    const normal = new THREE.Vector3()
+      .subVectors(vertices[j].point, vertices[i].point)
+      .cross(new THREE.Vector3().subVectors(vertices[k].point, vertices[i].point));
+    
+    if (normal.lengthSq() < EPSILON) return null;
+    normal.normalize();
+    
+    if (normal.dot(new THREE.Vector3().subVectors(vertices[i].point, interior)) < 0) {
+      normal.negate();
+      return { indices: [i, k, j], normal, distance: normal.dot(vertices[i].point) };
+    }
+    
+    return { indices: [i, j, k], normal, distance: normal.dot(vertices[i].point) };
+  };
+  
+  let faces = [
+    makeFace(0, 1, 2),
+    makeFace(0, 3, 1),
+    makeFace(0, 2, 3),
+    makeFace(1, 3, 2),
+  ].filter(Boolean);
+  
+  let closest = null;
+  
+  for (let iteration = 0; iteration < EPA_MAX_ITERATIONS && faces.length > 0; iteration++) {
+    closest = faces.reduce((best, face) => (face.distance < best.distance ? face : best));
+    
+    const support = minkowskiSupport(a, b, closest.normal);
+    const supportDistance = closest.normal.dot(support.point);
+    
+    if (supportDistance - closest.distance < EPA_TOLERANCE) break;
+    
+    // Remove every face the new point can see and stitch the hole with new faces
+    const edges = [];
+    faces = faces.filter(face => {
+      if (face.normal.dot(new THREE.Vector3().subVectors(support.point, vertices[face.indices[0]].point)) <= 0) {
+        return true;
+      }
+      
+      for (let e = 0; e < 3; e++) {
+        const from = face.indices[e];
+        const to = face.indices[(e + 1) % 3];
+        const shared = edges.findIndex(edge => edge[0] === to && edge[1] === from);
+        
+        if (shared !== -1) {
+          edges.splice(shared, 1);
+        } else {
+          edges.push([from, to]);
+        }
+      }
+      
+      return false;
+    });
+    
+    vertices.push(support);
+    const index = vertices.length - 1;
+    
+    edges.forEach(([from, to]) => {
+      const face = makeFace(from, to, index);
+      if (face) faces.push(face);
+    });
+  }
+  
+  if (!closest) return null;
+  
+  return contactFromFace(closest, vertices);
+}
+
+/**
+ * Turn the closest EPA face into contact data
+ * @param {Object} face - Face with indices, normal and distance
+ * @param {Array<Object>} vertices - Polytope vertices
+ * @returns {Contact} Contact data
+ */
+function contactFromFace(face, vertices) {
+  const [va, vb, vc] = face.indices.map(index => vertices[index]);
+  
+  // Barycentric coordinates of the origin's projection on the face
+  const projection = face.normal.clone().multiplyScalar(face.distance);
+  const weights = new THREE.Vector3();
+  THREE.Triangle.getBarycoord(projection, va.point, vb.point, vc.point, weights);
+  
+  const pointA = new THREE.Vector3()
+    .addScaledVector(va.a, weights.x)
+    .addScaledVector(vb.a, weights.y)
+    .addScaledVector(vc.a, weights.z);
+  const pointB = new THREE.Vector3()
+    .addScaledVector(va.b, weights.x)
+    .addScaledVector(vb.b, weights.y)
+    .addScaledVector(vc.b, weights.z);
+  
+  return {
+    normal: face.normal.clone(),
+    depth: Math.max(face.distance, 0),
+    point: pointA.add(pointB).multiplyScalar(0.5),
+  };
+}
+
+/**
+ * World-space corners of a box
+ * @param {Object} box - Box shape
+ * @returns {Array<THREE.Vector3>} Eight corners
+ */
+function getBoxCorners(box) {
+  const corners = [];
+  const half = box.halfExtents;
+  
+  for (let i = 0; i < 8; i++) {
+    corners.push(new THREE.Vector3(
+      i & 1 ? half.x : -half.x,
+      i & 2 ? half.y : -half.y,
+      i & 4 ? half.z : -half.z
+    ).applyQuaternion(box.rotation).add(box.center));
+  }
+  
+  return corners;
+}
+
+/**
+ * Points of a capsule's two end caps furthest along a direction
+ * @param {Object} capsule - Capsule shape
+ * @param {THREE.Vector3} direction - Unit direction
+ * @returns {Array<THREE.Vector3>} One point per end
+ */
+function getCapsuleEnds(capsule, direction) {
+  return [
+    segmentStart(capsule).addScaledVector(direction, capsule.radius),
+    segmentEnd(capsule).addScaledVector(direction, capsule.radius),
+  ];
+}
+
+/**
+ * Ends of the core segment of a sphere (zero length) or capsule
+ */
+function segmentStart(shape) {
+  return shape.center.clone().addScaledVector(shape.axis, -shape.halfHeight);
+}
+
+function segmentEnd(shape) {
+  return shape.center.clone().addScaledVector(shape.axis, shape.halfHeight);
+}
+
+/**
+ * Closest points between two segments (Ericson, Real-Time Collision Detection 5.1.9)
+ * @param {THREE.Vector3} p1 - Start of the first segment
+ * @param {THREE.Vector3} q1 - End of the first segment
+ * @param {THREE.Vector3} p2 - Start of the second segment
+ * @param {THREE.Vector3} q2 - End of the second segment
+ * @returns {Array<THREE.Vector3>} Closest point on each segment
+ */
+function closestPointsOnSegments(p1, q1, p2, q2) {
+  const d1 = new THREE.Vector3().subVectors(q1, p1);
+  const d2 = new THREE.Vector3().subVectors(q2, p2);
+  const r = new THREE.Vector3().subVectors(p1, p2);
+  const a = d1.dot(d1);
+  const e = d2.dot(d2);
+  const f = d2.dot(r);
+  
+  let s = 0;
+  let t = 0;
+  
+  if (a <= EPSILON && e <= EPSILON) {
+    // Both segments are points
+  } else if (a <= EPSILON) {
+    t = THREE.MathUtils.clamp(f / e, 0, 1);
+  } else {
+    const c = d1.dot(r);
+    
+    if (e <= EPSILON) {
+      s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else {
+      const b = d1.dot(d2);
+      const denominator = a * e - b * b;
+      
+      s = denominator > EPSILON ? THREE.MathUtils.clamp((b * f - c * e) / denominator, 0, 1) : 0;
+      t = (b * s + f) / e;
+      
+      if (t < 0) {
+        t = 0;
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+      } else if (t > 1) {
+        t = 1;
+        s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+      }
+    }
+  }
+  
+  return [
+    p1.clone().addScaledVector(d1, s),
+    p2.clone().addScaledVector(d2, t),
+  ];
+}
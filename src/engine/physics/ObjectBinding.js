@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+import { computeConvexHull } from './Narrowphase';
+
+const ObjectTypes = ['dynamic', 'kinematic', 'static'];
+
+// Scratch objects for syncing transforms
+const worldPosition = new THREE.Vector3();
+const worldQuaternion = new THREE.Quaternion();
+const worldScale = new THREE.Vector3();
+const parentQuaternion = new THREE.Quaternion();
+const centerOffset = new THREE.Vector3();
+const toObject = new THREE.Matrix4();
+const meshBounds = new THREE.Box3();
+const meshSphere = new THREE.Sphere();
+const point = new THREE.Vector3();
+
+/**
+ * Link between a three.js object and the body simulating it. Dynamic bodies
+ * drive their object, kinematic and static bodies follow it.
+ */
+export class ObjectBinding {
+  /**
+   * @param {THREE.Object3D} object3D - Bound object
+   * @param {Object} body - Physics body
+   * @param {string} type - dynamic, kinematic or static
+   * @param {THREE.Vector3} offset - Body center relative to the object's origin, in its scaled local space
+   */
+  constructor(object3D, body, type, offset) {
+    this.object3D = object3D;
+    this.body = body;
+    this.type = type;
+    this.offset = offset;
+  }
+  
+  /**
+   * Move the body to where the object is
+   * @returns {boolean} True if the body moved
+   */
+  readObject() {
+    getWorldTransform(this.object3D, worldPosition, worldQuaternion);
+    worldPosition.add(centerOffset.copy(this.offset).applyQuaternion(worldQuaternion));
+    
+    const body = this.body;
+    if (body.position.equals(worldPosition) && body.quaternion.equals(worldQuaternion)) return false;
+    
+    body.position.copy(worldPosition);
+    body.quaternion.copy(worldQuaternion);
+    return true;
+  }
+  
+  /**
+   * Move the object to the body's interpolated transform
+   */
+  writeObject() {
+    const object3D = this.object3D;
+    const body = this.body;
+    
+    worldQuaternion.copy(body.interpolatedQuaternion);
+    worldPosition.copy(body.interpolatedPosition)
+      .sub(centerOffset.copy(this.offset).applyQuaternion(worldQuaternion));
+    
+    // The object's transform is relative to its parent
+    if (object3D.parent) {
+      object3D.parent.updateWorldMatrix(true, false);
+      object3D.parent.matrixWorld.decompose(point, parentQuaternion, worldScale);
+      object3D.parent.worldToLocal(worldPosition);
+      worldQuaternion.premultiply(parentQuaternion.invert());
+    }
+    
+    object3D.position.copy(worldPosition);
+    object3D.quaternion.copy(worldQuaternion);
+  }
+}
+
+/**
+ * Check the type of body an object is attached with
+ * @param {string} type - dynamic, kinematic or static
+ * @returns {string} The type
+ */
+export function validateObjectType(type) {
+  if (!ObjectTypes.includes(type)) {
+    throw new Error(`Unknown body type: ${type}. Expected one of ${ObjectTypes.join(', ')}`);
+  }
+  
+  return type;
+}
+
+/**
+ * World position and rotation of an object
+ * @param {THREE.Object3D} object3D - Object
+ * @param {THREE.Vector3} position - Target for the position
+ * @param {THREE.Quaternion} quaternion - Target for the rotation
+ */
+export function getWorldTransform(object3D, position, quaternion) {
+  object3D.updateWorldMatrix(true, false);
+  object3D.matrixWorld.decompose(position, quaternion, worldScale);
+}
+
+/**
+ * Fit a collision shape around the meshes of an object. The shape is sized from
+ * the geometry bounds and the object's world scale at the time of the call.
+ * @param {THREE.Object3D} object3D - Mesh, or any object with meshes below it
+ * @param {string} shape - box, sphere or convex
+ * @returns {Object} shape, dimensions, radius and vertices for createBody, and the
+ *   offset of the shape's center from the object's origin
+ */
+export function computeObjectShape(object3D, shape) {
+  const meshes = [];
+  object3D.updateWorldMatrix(true, true);
+  object3D.traverse(child => {
+    if (child.geometry && child.geometry.getAttribute('position')) meshes.push(child);
+  });
+  
+  if (meshes.length === 0) {
+    throw new Error(`Object ${object3D.name || object3D.uuid} has no geometry to fit a ${shape} to`);
+  }
+  
+  // Everything is measured in the object's own space, before its scale
+  const toLocal = new THREE.Matrix4().copy(object3D.matrixWorld).invert();
+  const scale = object3D.getWorldScale(new THREE.Vector3());
+  
+  switch (shape) {
+    case 'box': {
+      const bounds = getLocalBounds(meshes, toLocal);
+      const offset = bounds.getCenter(new THREE.Vector3()).multiply(scale);
+      const dimensions = bounds.getSize(new THREE.Vector3()).multiply(scale);
+      
+      return { shape, dimensions, offset };
+    }
+    case 'sphere': {
+      const sphere = new THREE.Sphere();
+      sphere.makeEmpty();
+      meshes.forEach(mesh => {
+        if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere();
+        toObject.multiplyMatrices(toLocal, mesh.matrixWorld);
+        sphere.union(meshSphere.copy(mesh.geometry.boundingSphere).applyMatrix4(toObject));
+      });
+      
+      const radius = sphere.radius * Math.max(Math.abs(scale.x), Math.abs(scale.y), Math.abs(scale.z));
+      const offset = sphere.center.clone().multiply(scale);
+      
+      return { shape, dimensions: new THREE.Vector3(radius * 2, radius * 2, radius * 2), radius, offset };
+    }
+    case 'convex': {
+      const points = [];
+      meshes.forEach(mesh => {
+        const position = mesh.geometry.getAttribute('position');
+        toObject.multiplyMatrices(toLocal, mesh.matrixWorld);
+        for (let i = 0; i < position.count; i++) {
+          points.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(toObject).multiply(scale));
+        }
+      });
+      
+      // Center the hull on its bounds so the body rotates about the middle of the mesh
+      const bounds = new THREE.Box3().setFromPoints(points);
+      const offset = bounds.getCenter(new THREE.Vector3());
+      const vertices = computeConvexHull(points.map(vertex => vertex.sub(offset)));
+      
+      return { shape, dimensions: bounds.getSize(new THREE.Vector3()), vertices, offset };
+    }
+    default:
+      throw new Error(`Can't fit a ${shape} to an object. Expected one of box, sphere, convex`);
+  }
+}
+
+/**
+ * Bounds of some meshes' geometry in another object's space
+ * @param {Array<THREE.Mesh>} meshes - Meshes to measure
+ * @param {THREE.Matrix4} toLocal - World to that object's space
+ * @returns {THREE.Box3} Bounds
+ * @private
+ */
+function getLocalBounds(meshes, toLocal) {
+  const bounds = new THREE.Box3();
+  
+  meshes.forEach(mesh => {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    toObject.multiplyMatrices(toLocal, mesh.matrixWorld);
+    bounds.union(meshBounds.copy(mesh.geometry.boundingBox).applyMatrix4(toObject));
+  });
+  
+  return bounds;
+}
@@ -0,0 +1,225 @@
+import { PhysicsSystem } from '../PhysicsSystem';
+import { deserializeBody, deserializeCollider } from './Snapshot';
+import {
+  BODY_STRIDE,
+  COLLISION_EVENT_NAMES,
+  getCallbackNames,
+  serializeCollisionEvent,
+  writeBodyState,
+} from './WorkerProtocol';
+
+/**
+ * Runs a PhysicsSystem on behalf of a WorkerPhysicsSystem on another thread.
+ * Messages add and remove objects, and each step message brings the main
+ * thread's changes and gets the new body states and events back.
+ */
+export class PhysicsWorkerHost {
+  /**
+   * @param {Function} post - Sends a message back, called with (message, transfer)
+   */
+  constructor(post) {
+    this.post = post;
+    this.physicsSystem = null;
+    
+    // Bodies and colliders by id
+    this.objects = new Map();
+    
+    // Where body states are written, shared with the main thread or passed back and forth
+    this.buffer = null;
+    
+    // Callbacks and events to report after the current step
+    this.events = [];
+    
+    // Unsubscribe functions of the collision events the main thread listens to
+    this.listeners = COLLISION_EVENT_NAMES.map(() => null);
+  }
+  
+  /**
+   * Handle a message from the main thread
+   * @param {Object} message - Message with a type
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'init':
+        this.physicsSystem = new PhysicsSystem(message.options);
+        break;
+      case 'addBody': {
+        const body = this.physicsSystem.createBody({ id: message.data.id });
+        this._restore(body, message.data, message.callbacks, deserializeBody);
+        body.updateInertia();
+        break;
+      }
+      case 'addCollider': {
+        const collider = this.physicsSystem.createCollider({ id: message.data.id });
+        this._restore(collider, message.data, message.callbacks, deserializeCollider);
+        break;
+      }
+      case 'removeBody':
+        this._remove(message.id, object => this.physicsSystem.removeBody(object));
+        break;
+      case 'removeCollider':
+        this._remove(message.id, object => this.physicsSystem.removeCollider(object));
+        break;
+      case 'setLayer':
+        this.physicsSystem.setLayer(this.objects.get(message.id), message.layer, message.collidesWith);
+        break;
+      case 'setBroadphase':
+        this.physicsSystem.setBroadphase(message.broadphase, message.options);
+        break;
+      case 'wakeTouching':
+        this.physicsSystem.wakeTouching(this.objects.get(message.id));
+        break;
+      case 'step':
+        this._step(message);
+        break;
+      default:
+        throw new Error(`Unknown physics worker message: ${message.type}`);
+    }
+  }
+  
+  /**
+   * Apply the main thread's changes, run the queued steps and report back
+   * @param {Object} message - Step message
+   * @private
+   */
+  _step(message) {
+    if (message.buffer) this.buffer = message.buffer;
+    
+    message.bodies.forEach(change => this._applyBodyChange(change));
+    message.colliders.forEach(change => {
+      const collider = this.objects.get(change.id);
+      collider.position.fromArray(change.transform);
+      collider.quaternion.fromArray(change.transform, 3);
+    });
+    message.callbacks.forEach(({ id, names }) => this._setCallbacks(this.objects.get(id), names));
+    this._setListeners(message.listeners);
+    
+    message.steps.forEach(deltaTime => this.physicsSystem.update(deltaTime));
+    
+    // Bodies are written in list order, which is the order the main thread added them in
+    const state = new Float64Array(this.buffer);
+    this.physicsSystem.bodies.forEach((body, index) => writeBodyState(body, state, index * BODY_STRIDE));
+    
+    const events = this.events;
+    this.events = [];
+    
+    // A plain buffer has to travel back, a shared one is already there
+    const shared = typeof SharedArrayBuffer !== 'undefined' && this.buffer instanceof SharedArrayBuffer;
+    const reply = {
+      type: 'step',
+      events,
+      stats: { ...this.physicsSystem.stats },
+      buffer: shared ? null : this.buffer,
+    };
+    
+    this.post(reply, shared ? [] : [this.buffer]);
+    if (!shared) this.buffer = null;
+  }
+  
+  /**
+   * Apply what the main thread changed on a body since the last step
+   * @param {Object} change - Changed parts of the state
+   * @private
+   */
+  _applyBodyChange(change) {
+    const body = this.objects.get(change.id);
+    
+    if (change.isSleeping === true) body.sleep();
+    if (change.isSleeping === false) body.wake();
+    
+    if (change.transform) {
+      body.position.fromArray(change.transform);
+      body.quaternion.fromArray(change.transform, 3);
+    }
+    if (change.velocity) {
+      body.velocity.fromArray(change.velocity);
+      body.angularVelocity.fromArray(change.velocity, 3);
+    }
+    
+    // Forces were gathered on the main thread since the last step
+    if (change.acceleration) body.acceleration.add(body.acceleration.clone().fromArray(change.acceleration));
+    if (change.torque) body.torque.add(body.torque.clone().fromArray(change.torque));
+  }
+  
+  /**
+   * Set up a new body or collider from the main thread's data
+   * @param {Object} object - Object just created with the data's id
+   * @param {Object} data - Serialized body or collider
+   * @param {Array<string>} callbacks - Callbacks set on the main thread
+   * @param {Function} deserialize - deserializeBody or deserializeCollider
+   * @private
+   */
+  _restore(object, data, callbacks, deserialize) {
+    deserialize(object, data);
+    this.physicsSystem.setLayer(object, data.layer, data.collidesWith);
+    this._setCallbacks(object, callbacks);
+    this.objects.set(object.id, object);
+  }
+  
+  /**
+   * Remove a body or collider by id
+   * @param {string} id - Object id
+   * @param {Function} remove - Removes the object from the simulation
+   * @private
+   */
+  _remove(id, remove) {
+    const object = this.objects.get(id);
+    if (!object) return;
+    
+    remove(object);
+    this.objects.delete(id);
+  }
+  
+  /**
+   * Give an object stand-in callbacks that report to the main thread
+   * @param {Object} object - Body or collider
+   * @param {Array<string>} names - Callbacks set on the main thread
+   * @private
+   */
+  _setCallbacks(object, names) {
+    names.forEach(name => {
+      if (name.startsWith('onCollision')) {
+        object[name] = (other, event) => this._reportCollision(event);
+      } else if (name.startsWith('onTrigger')) {
+        object[name] = other => this.events.push({ name, target: object.id, other: other.id });
+      } else {
+        object[name] = () => this.events.push({ name, target: object.id });
+      }
+    });
+    
+    // Callbacks the main thread no longer has
+    getCallbackNames(object)
+      .filter(name => !names.includes(name))
+      .forEach(name => {
+        object[name] = null;
+      });
+  }
+  
+  /**
+   * Listen to the collision events the main thread has listeners for
+   * @param {Array<boolean>} flags - One per name in COLLISION_EVENT_NAMES
+   * @private
+   */
+  _setListeners(flags) {
+    COLLISION_EVENT_NAMES.forEach((name, index) => {
+      if (flags[index] && !this.listeners[index]) {
+        this.listeners[index] = this.physicsSystem.on(name, event => this._reportCollision(event));
+      } else if (!flags[index] && this.listeners[index]) {
+        this.listeners[index]();
+        this.listeners[index] = null;
+      }
+    });
+  }
+  
+  /**
+   * Queue a collision event for the main thread, once however many callbacks see it
+   * @param {CollisionEvent} event - Event from the PhysicsSystem
+   * @private
+   */
+  _reportCollision(event) {
+    if (event.reported) return;
+    
+    event.reported = true;
+    this.events.push({ name: 'collision', event: serializeCollisionEvent(event) });
+  }
+}
@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+import { getShape, getSupportPoint } from './Narrowphase';
+
+/**
+ * @typedef {Object} CastHit
+ * @property {number} distance - How far the ray or shape travelled before touching
+ * @property {THREE.Vector3} point - World-space point where it touched
+ * @property {THREE.Vector3} normal - Unit surface normal of the object that was hit, at the point
+ */
+
+const EPSILON = 1e-10;
+const CAST_TOLERANCE = 1e-4;
+const CAST_MAX_ITERATIONS = 64;
+
+/**
+ * Sweep a shape along a direction and find where it first touches an object.
+ * A ray is a sphere with radius 0. A shape that already overlaps the object
+ * hits it at distance 0, with the normal facing back along the direction.
+ * @param {Object} target - Body or collider to test against
+ * @param {Object} cast - Shape to sweep (position, shape, dimensions and optional quaternion or radius)
+ * @param {THREE.Vector3} direction - Direction to sweep in
+ * @param {number} maxDistance - Furthest distance to sweep
+ * @returns {CastHit|null} Hit, or null if the shape gets through
+ */
+export function castShape(target, cast, direction, maxDistance = Infinity) {
+  const shape = getShape(target);
+  const moving = getShape(cast);
+  const ray = direction.clone().normalize();
+  
+  if (moving.type === 'plane') {
+    throw new Error('Planes are infinite and cannot be cast');
+  }
+  
+  if (shape.type === 'plane') return castAgainstPlane(shape, moving, ray, maxDistance);
+  
+  return castConvex(shape, moving, ray, maxDistance);
+}
+
+/**
+ * Sweep a shape towards an infinite plane
+ * @param {Object} plane - Plane shape
+ * @param {Object} moving - Shape being swept
+ * @param {THREE.Vector3} ray - Unit direction
+ * @param {number} maxDistance - Furthest distance to sweep
+ * @returns {CastHit|null} Hit
+ */
+function castAgainstPlane(plane, moving, ray, maxDistance) {
+  const normal = plane.normal;
+  const deepest = getSupportPoint(moving, normal.clone().negate());
+  const height = normal.dot(deepest) - normal.dot(plane.center);
+  
+  // Already behind the plane
+  if (height <= 0) {
+    return { distance: 0, point: deepest.addScaledVector(normal, -height), normal: normal.clone() };
+  }
+  
+  const speed = normal.dot(ray);
+  if (speed >= 0) return null;
+  
+  const distance = height / -speed;
+  if (distance > maxDistance) return null;
+  
+  return { distance, point: deepest.addScaledVector(ray, distance), normal: normal.clone() };
+}
+
+/**
+ * GJK ray cast (van den Bergen): moving the shape by t * ray makes it touch the
+ * target exactly when t * ray enters the Minkowski difference target - moving.
+ * Each step either proves the ray can move up to a separating plane, or
+ * refines the simplex of the difference closest to the ray's current point.
+ * @param {Object} shape - Target shape
+ * @param {Object} moving - Shape being swept
+ * @param {THREE.Vector3} ray - Unit direction
+ * @param {number} maxDistance - Furthest distance to sweep
+ * @returns {CastHit|null} Hit
+ */
+function castConvex(shape, moving, ray, maxDistance) {
+  const support = direction => {
+    const pointOnShape = getSupportPoint(shape, direction);
+    const pointOnMoving = getSupportPoint(moving, direction.clone().negate());
+    return { point: new THREE.Vector3().subVectors(pointOnShape, pointOnMoving), a: pointOnShape };
+  };
+  
+  let distance = 0;
+  let simplex = [];
+  let weights = [];
+  const position = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  
+  // From the difference towards the ray's current point
+  const v = support(ray).point.negate();
+  
+  for (let i = 0; i < CAST_MAX_ITERATIONS && v.lengthSq() > CAST_TOLERANCE * CAST_TOLERANCE; i++) {
+    const vertex = support(v);
+    const gap = v.dot(new THREE.Vector3().subVectors(position, vertex.point));
+    
+    if (gap > 0) {
+      // Separating plane between the point and the difference: move up to it
+      const approach = v.dot(ray);
+      if (approach >= 0) return null;
+      
+      distance -= gap / approach;
+      if (distance > maxDistance) return null;
+      
+      position.copy(ray).multiplyScalar(distance);
+      normal.copy(v);
+    }
+    
+    // The same support point again means the simplex is as close as it gets
+    const isNew = !simplex.some(existing => existing.point.distanceToSquared(vertex.point) < EPSILON);
+    if (isNew) simplex.push(vertex);
+    
+    const closest = closestOnSimplex(simplex.map(existing => existing.point.clone().sub(position)));
+    simplex = closest.indices.map(index => simplex[index]);
+    weights = closest.weights;
+    v.copy(closest.point).negate();
+    
+    if (!isNew) break;
+  }
+  
+  // Never moved, so it started out overlapping
+  if (normal.lengthSq() < EPSILON) normal.copy(ray).negate();
+  
+  const point = new THREE.Vector3();
+  simplex.forEach((vertex, index) => point.addScaledVector(vertex.a, weights[index]));
+  
+  return { distance, point, normal: normal.normalize() };
+}
+
+/**
+ * Closest point to the origin on a simplex of up to four points, and the
+ * smallest part of it that point lies on
+ * @param {Array<THREE.Vector3>} points - Simplex vertices
+ * @returns {Object} The point, the indices of the vertices kept and their barycentric weights
+ */
+function closestOnSimplex(points) {
+  switch (points.length) {
+    case 1: return { point: points[0].clone(), indices: [0], weights: [1] };
+    case 2: return closestOnSegment(points, 0, 1);
+    case 3: return closestOnTriangle(points, 0, 1, 2);
+    default: return closestOnTetrahedron(points);
+  }
+}
+
+/**
+ * Closest point to the origin on a segment
+ * @param {Array<THREE.Vector3>} points - Simplex vertices
+ * @param {number} i - Index of the start
+ * @param {number} j - Index of the end
+ * @returns {Object} Closest point, indices and weights
+ */
+function closestOnSegment(points, i, j) {
+  const a = points[i];
+  const ab = new THREE.Vector3().subVectors(points[j], a);
+  const lengthSq = ab.lengthSq();
+  const t = lengthSq > EPSILON ? -a.dot(ab) / lengthSq : 0;
+  
+  if (t <= 0) return { point: a.clone(), indices: [i], weights: [1] };
+  if (t >= 1) return { point: points[j].clone(), indices: [j], weights: [1] };
+  
+  return { point: a.clone().addScaledVector(ab, t), indices: [i, j], weights: [1 - t, t] };
+}
+
+/**
+ * Closest point to the origin on a triangle, by Voronoi regions (Ericson, Real-Time Collision Detection 5.1.5)
+ * @param {Array<THREE.Vector3>} points - Simplex vertices
+ * @param {number} i - Index of the first corner
+ * @param {number} j - Index of the second corner
+ * @param {number} k - Index of the third corner
+ * @returns {Object} Closest point, indices and weights
+ */
+function closestOnTriangle(points, i, j, k) {
+  const a = points[i];
+  const b = points[j];
+  const c = points[k];
+  const ab = new THREE.Vector3().subVectors(b, a);
+  const ac = new THREE.Vector3().subVectors(c, a);
+  
+  const d1 = -ab.dot(a);
+  const d2 = -ac.dot(a);
+  if (d1 <= 0 && d2 <= 0) return { point: a.clone(), indices: [i], weights: [1] };
+  
+  const d3 = -ab.dot(b);
+  const d4 = -ac.dot(b);
+  if (d3 >= 0 && d4 <= d3) return { point: b.clone(), indices: [j], weights: [1] };
+  
+  const vc = d1 * d4 - d3 * d2;
+  if (vc <= 0 && d1 >= 0 && d3 <= 0) return closestOnSegment(points, i, j);
+  
+  const d5 = -ab.dot(c);
+  const d6 = -ac.dot(c);
+  if (d6 >= 0 && d5 <= d6) return { point: c.clone(), indices: [k], weights: [1] };
+  
+  const vb = d5 * d2 - d1 * d6;
+  if (vb <= 0 && d2 >= 0 && d6 <= 0) return closestOnSegment(points, i, k);
+  
+  const va = d3 * d6 - d5 * d4;
+  if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) return closestOnSegment(points, j, k);
+  
+  const total = va + vb + vc;
+  
+  // Flat triangle: the closest of its edges
+  if (Math.abs(total) < EPSILON) {
+    return [closestOnSegment(points, i, j), closestOnSegment(points, i, k), closestOnSegment(points, j, k)]
+      .reduce((best, candidate) => (candidate.point.lengthSq() < best.point.lengthSq() ? candidate : best));
+  }
+  
+  const v = vb / total;
+  const w = vc / total;
+  
+  return {
+    point: a.clone().addScaledVector(ab, v).addScaledVector(ac, w),
+    indices: [i, j, k],
+    weights: [1 - v - w, v, w],
+  };
+}
+
+/**
+ * Closest point to the origin on a tetrahedron: the origin itself when inside,
+ * otherwise the closest point on a face the origin is in front of
+ * @param {Array<THREE.Vector3>} points - Simplex vertices
+ * @returns {Object} Closest point, indices and weights
+ */
+function closestOnTetrahedron(points) {
+  // Each face with the vertex opposite it
+  const faces = [[0, 1, 2, 3], [0, 1, 3, 2], [0, 2, 3, 1], [1, 2, 3, 0]];
+  let best = null;
+  
+  faces.forEach(([i, j, k, opposite]) => {
+    const a = points[i];
+    const normal = new THREE.Vector3()
+      .subVectors(points[j], a)
+      .cross(new THREE.Vector3().subVectors(points[k], a));
+    
+    const originSide = -normal.dot(a);
+    const oppositeSide = normal.dot(new THREE.Vector3().subVectors(points[opposite], a));
+    
+    // Origin on the inner side of this face
+    if (oppositeSide * oppositeSide > EPSILON && originSide * oppositeSide > 0) return;
+    
+    const candidate = closestOnTriangle(points, i, j, k);
+    if (!best || candidate.point.lengthSq() < best.point.lengthSq()) best = candidate;
+  });
+  
+  if (best) return best;
+  
+  // Inside: weigh each vertex by the volume opposite it
+  const volume = signedVolume(points[0], points[1], points[2], points[3]);
+  const origin = new THREE.Vector3();
+  const weights = [
+    signedVolume(origin, points[1], points[2], points[3]) / volume,
+    signedVolume(points[0], origin, points[2], points[3]) / volume,
+    signedVolume(points[0], points[1], origin, points[3]) / volume,
+    signedVolume(points[0], points[1], points[2], origin) / volume,
+  ];
+  
+  return { point: origin, indices: [0, 1, 2, 3], weights };
+}
+
+/**
+ * Six times the signed volume of a tetrahedron
+ * @param {THREE.Vector3} a - First corner
+ * @param {THREE.Vector3} b - Second corner
+ * @param {THREE.Vector3} c - Third corner
+ * @param {THREE.Vector3} d - Fourth corner
+ * @returns {number} Signed volume
+ */
+function signedVolume(a, b, c, d) {
+  const ab = new THREE.Vector3().subVectors(b, a);
+  const ac = new THREE.Vector3().subVectors(c, a);
+  const ad = new THREE.Vector3().subVectors(d, a);
+  
+  return ab.dot(ac.cross(ad));
+}
@@ -0,0 +1,35 @@
+/**
+ * Small seeded random number generator (mulberry32). Its whole state is one
+ * integer, so it can be saved with a physics snapshot and rolled back with it.
+ */
+export class SeededRandom {
+  /**
+   * @param {number} seed - Starting seed (default 1)
+   */
+  constructor(seed = 1) {
+    this.state = seed >>> 0;
+  }
+  
+  /**
+   * Next number in the sequence
+   * @returns {number} Number from 0 (inclusive) to 1 (exclusive)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  /**
+   * Next number in a range
+   * @param {number} min - Smallest value
+   * @param {number} max - Largest value (exclusive)
+   * @returns {number} Number from min to max
+   */
+  range(min, max) {
+    return min + (max - min) * this.next();
+  }
+}
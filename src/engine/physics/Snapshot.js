@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+
+export const SNAPSHOT_VERSION = 1;
+
+// Plain values and vectors saved for each body, vectors as [x, y, z] (or [x, y, z, w])
+const BODY_VALUES = [
+  'id', 'shape', 'radius', 'mass', 'restitution', 'friction', 'isStatic', 'layer', 'collidesWith',
+  'ccd', 'allowSleep', 'fixedRotation', 'angularDamping', 'isSleeping', 'sleepTimer',
+];
+const BODY_VECTORS = [
+  'dimensions', 'normal', 'position', 'quaternion', 'velocity', 'acceleration', 'angularVelocity', 'torque',
+];
+
+// Same for colliders
+const COLLIDER_VALUES = ['id', 'shape', 'radius', 'friction', 'isTrigger', 'layer', 'collidesWith'];
+const COLLIDER_VECTORS = ['dimensions', 'normal', 'position', 'quaternion'];
+
+/**
+ * Save the state of a body
+ * @param {Object} body - Body
+ * @returns {Object} Plain data
+ */
+export function serializeBody(body) {
+  return serializeObject(body, BODY_VALUES, BODY_VECTORS);
+}
+
+/**
+ * Put a body back in a saved state. Callbacks and userData are left alone.
+ * @param {Object} body - Body
+ * @param {Object} data - Data from serializeBody
+ */
+export function deserializeBody(body, data) {
+  deserializeObject(body, data, BODY_VALUES, BODY_VECTORS);
+  
+  // Nothing to interpolate from yet
+  body.previousPosition.copy(body.position);
+  body.interpolatedPosition.copy(body.position);
+  body.previousQuaternion.copy(body.quaternion);
+  body.interpolatedQuaternion.copy(body.quaternion);
+}
+
+/**
+ * Save the state of a collider
+ * @param {Object} collider - Collider
+ * @returns {Object} Plain data
+ */
+export function serializeCollider(collider) {
+  return serializeObject(collider, COLLIDER_VALUES, COLLIDER_VECTORS);
+}
+
+/**
+ * Put a collider back in a saved state. Callbacks and userData are left alone.
+ * @param {Object} collider - Collider
+ * @param {Object} data - Data from serializeCollider
+ */
+export function deserializeCollider(collider, data) {
+  deserializeObject(collider, data, COLLIDER_VALUES, COLLIDER_VECTORS);
+}
+
+/**
+ * Save a touching pair, with the impulses the solver warm starts from
+ * @param {Object} pair - Pair from the contact map ({ a, b, contact })
+ * @returns {Object} Plain data
+ */
+export function serializeContact({ a, b, contact }) {
+  return {
+    a: a.id,
+    b: b.id,
+    normal: contact.normal.toArray(),
+    depth: contact.depth,
+    point: contact.point.toArray(),
+    points: contact.points.map(point => point.toArray()),
+    impulses: contact.impulses
+      ? contact.impulses.map(impulse => impulse && { normal: impulse.normal, friction: impulse.friction.toArray() })
+      : null,
+  };
+}
+
+/**
+ * Rebuild a touching pair
+ * @param {Object} data - Data from serializeContact
+ * @param {Map<string, Object>} objects - Bodies and colliders by id
+ * @returns {Object|null} Pair for the contact map, or null if either object is missing
+ */
+export function deserializeContact(data, objects) {
+  const a = objects.get(data.a);
+  const b = objects.get(data.b);
+  if (!a || !b) return null;
+  
+  const contact = {
+    normal: new THREE.Vector3().fromArray(data.normal),
+    depth: data.depth,
+    point: new THREE.Vector3().fromArray(data.point),
+    points: data.points.map(point => new THREE.Vector3().fromArray(point)),
+  };
+  
+  if (data.impulses) {
+    contact.impulses = data.impulses.map(impulse => impulse && {
+      normal: impulse.normal,
+      friction: new THREE.Vector3().fromArray(impulse.friction),
+    });
+  }
+  
+  return { a, b, contact };
+}
+
+/**
+ * Copy the listed fields of an object into plain data
+ * @param {Object} object - Body or collider
+ * @param {Array<string>} values - Fields copied as they are
+ * @param {Array<string>} vectors - Vector and quaternion fields
+ * @returns {Object} Plain data
+ * @private
+ */
+function serializeObject(object, values, vectors) {
+  const data = {};
+  
+  values.forEach(key => {
+    data[key] = Array.isArray(object[key]) ? [...object[key]] : object[key];
+  });
+  vectors.forEach(key => {
+    if (object[key]) data[key] = object[key].toArray();
+  });
+  data.vertices = object.vertices ? object.vertices.map(vertex => vertex.toArray()) : null;
+  
+  return data;
+}
+
+/**
+ * Copy plain data back onto an object
+ * @param {Object} object - Body or collider
+ * @param {Object} data - Data from serializeObject
+ * @param {Array<string>} values - Fields copied as they are
+ * @param {Array<string>} vectors - Vector and quaternion fields
+ * @private
+ */
+function deserializeObject(object, data, values, vectors) {
+  values.forEach(key => {
+    object[key] = Array.isArray(data[key]) ? [...data[key]] : data[key];
+  });
+  vectors.forEach(key => {
+    if (!data[key]) return;
+    if (!object[key]) object[key] = data[key].length === 4 ? new THREE.Quaternion() : new THREE.Vector3();
+    object[key].fromArray(data[key]);
+  });
+  object.vertices = data.vertices ? data.vertices.map(vertex => new THREE.Vector3().fromArray(vertex)) : null;
+}
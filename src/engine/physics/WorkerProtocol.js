@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+
+// Numbers per body in the state buffer: position, quaternion, velocity, angular velocity, sleeping,
+// then the position and quaternion at the start of the last step, to interpolate from
+export const BODY_STRIDE = 21;
+
+// Ranges of the state that are synced separately
+export const TRANSFORM_RANGE = [0, 7];
+export const VELOCITY_RANGE = [7, 13];
+export const SLEEP_INDEX = 13;
+export const PREVIOUS_INDEX = 14;
+
+// Callbacks the worker reports back to the main thread
+export const CALLBACK_NAMES = [
+  'onCollisionEnter', 'onCollisionStay', 'onCollisionExit',
+  'onTriggerEnter', 'onTriggerStay', 'onTriggerExit',
+  'onSleep', 'onWake',
+];
+
+// PhysicsSystem events, in the order of the listener flags sent with each step
+export const COLLISION_EVENT_NAMES = ['collisionEnter', 'collisionStay', 'collisionExit'];
+
+/**
+ * Write the simulated state of a body into a buffer
+ * @param {Object} body - Body
+ * @param {Float64Array} array - State buffer
+ * @param {number} offset - Index of the body's first number
+ */
+export function writeBodyState(body, array, offset) {
+  body.position.toArray(array, offset);
+  body.quaternion.toArray(array, offset + 3);
+  body.velocity.toArray(array, offset + 7);
+  body.angularVelocity.toArray(array, offset + 10);
+  array[offset + SLEEP_INDEX] = body.isSleeping ? 1 : 0;
+  body.previousPosition.toArray(array, offset + PREVIOUS_INDEX);
+  body.previousQuaternion.toArray(array, offset + PREVIOUS_INDEX + 3);
+}
+
+/**
+ * Read a body's position and rotation from a buffer, along with the ones it
+ * had at the start of the step for interpolation
+ * @param {Object} body - Body
+ * @param {ArrayLike<number>} array - State buffer
+ * @param {number} offset - Index of the body's first number
+ */
+export function readBodyTransform(body, array, offset) {
+  body.position.fromArray(array, offset);
+  body.quaternion.fromArray(array, offset + 3);
+  body.previousPosition.fromArray(array, offset + PREVIOUS_INDEX);
+  body.previousQuaternion.fromArray(array, offset + PREVIOUS_INDEX + 3);
+}
+
+/**
+ * Read a body's velocities from a buffer
+ * @param {Object} body - Body
+ * @param {ArrayLike<number>} array - State buffer
+ * @param {number} offset - Index of the body's first number
+ */
+export function readBodyVelocity(body, array, offset) {
+  body.velocity.fromArray(array, offset + 7);
+  body.angularVelocity.fromArray(array, offset + 10);
+}
+
+/**
+ * Whether two buffers hold the same numbers in a range
+ * @param {ArrayLike<number>} a - First buffer
+ * @param {ArrayLike<number>} b - Second buffer
+ * @param {Array<number>} range - Start (inclusive) and end (exclusive) index
+ * @returns {boolean} True if they match
+ */
+export function rangeEquals(a, b, [start, end]) {
+  for (let i = start; i < end; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Names of the callbacks an object has set
+ * @param {Object} object - Body or collider
+ * @returns {Array<string>} Callback names
+ */
+export function getCallbackNames(object) {
+  return CALLBACK_NAMES.filter(name => typeof object[name] === 'function');
+}
+
+/**
+ * Turn a collision event into data that can be posted
+ * @param {CollisionEvent} event - Event from the PhysicsSystem
+ * @returns {Object} Plain data, with objects replaced by their ids
+ */
+export function serializeCollisionEvent(event) {
+  return {
+    type: event.type,
+    a: event.a.id,
+    b: event.b.id,
+    points: event.points.map(point => point.toArray()),
+    point: event.point && event.point.toArray(),
+    normal: event.normal && event.normal.toArray(),
+    depth: event.depth,
+    relativeVelocity: event.relativeVelocity && event.relativeVelocity.toArray(),
+    impactSpeed: event.impactSpeed,
+    impulse: event.impulse,
+  };
+}
+
+/**
+ * Rebuild a collision event on the main thread
+ * @param {Object} data - Data from serializeCollisionEvent
+ * @param {Map<string, Object>} objects - Bodies and colliders by id
+ * @returns {CollisionEvent|null} Event, or null if either object is gone
+ */
+export function deserializeCollisionEvent(data, objects) {
+  const a = objects.get(data.a);
+  const b = objects.get(data.b);
+  if (!a || !b) return null;
+  
+  const toVector = array => array && new THREE.Vector3().fromArray(array);
+  
+  return {
+    type: data.type,
+    a,
+    b,
+    points: data.points.map(toVector),
+    point: toVector(data.point),
+    normal: toVector(data.normal),
+    depth: data.depth,
+    relativeVelocity: toVector(data.relativeVelocity),
+    impactSpeed: data.impactSpeed,
+    impulse: data.impulse,
+    contact: null,
+  };
+}
@@ -0,0 +1,6 @@
+import { PhysicsWorkerHost } from './PhysicsWorkerHost';
+
+// Entry point of the physics worker, see WorkerPhysicsSystem
+const host = new PhysicsWorkerHost((message, transfer) => self.postMessage(message, transfer));
+
+self.onmessage = event => host.handleMessage(event.data);
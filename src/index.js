@@ -4,6 +4,7 @@ import Stats from 'stats.js';
 import { Engine } from './engine/Engine';
 import { DebugUtils } from './utils/DebugUtils';
 import { ExampleScene } from './scenes/ExampleScene';
+import { collisionLayers } from './config/collisionLayers';
 
 // DOM elements
 const loadingScreen = document.getElementById('loading-screen');
@@ -11,6 +12,9 @@ const loadingProgress = document.getElementById('loading-progress');
 const gameContainer = document.getElementById('game-container');
 const statsContainer = document.getElementById('stats-container');
 const debugInfo = document.getElementById('debug-info');
+const errorScreen = document.getElementById('error-screen');
+const errorMessage = document.getElementById('error-message');
+const errorResume = document.getElementById('error-resume');
 
 // Initialize Stats
 const stats = new Stats();
@@ -24,7 +28,10 @@ const debug = new DebugUtils(debugInfo);
 const engine = new Engine({
   container: gameContainer,
   stats,
-  debug
+  debug,
+  quality: 'high',
+  adaptiveQuality: true,
+  physics: { layers: collisionLayers }
 });
 
 // Loading progress handler
@@ -45,19 +52,37 @@ const handleComplete = () => {
   debug.log('Game engine started');
 };
 
+// Show errors from the game loop (the engine pauses itself) and let the player continue
+const showError = (message, canResume) => {
+  errorMessage.textContent = message;
+  errorResume.classList.toggle('hidden', !canResume);
+  errorScreen.classList.remove('hidden');
+};
+
+engine.on('error', ({ error, source }) => {
+  showError(`${source}: ${error.message}`, engine.isPaused);
+});
+
+// Rendering stops until the browser gives the WebGL context back
+engine.on('contextLost', () => showError('Graphics context lost, waiting for it to be restored...', false));
+engine.on('contextRestored', () => errorScreen.classList.add('hidden'));
+
+const handleErrorResume = () => {
+  errorScreen.classList.add('hidden');
+  engine.resume();
+};
+errorResume.addEventListener('click', handleErrorResume);
+
 // Initialize the game
 const init = async () => {
   try {
-    // Set up the main scene
+    // Load the main scene's assets and enter it
     const mainScene = new ExampleScene(engine);
-    engine.setActiveScene(mainScene);
-    
-    // Load all necessary assets
-    await engine.loadAssets(handleProgress);
+    await engine.sceneManager.replace(mainScene, { onProgress: handleProgress });
     
     // Loading complete
     handleComplete();
-    
+  
   } catch (error) {
     console.error('Error initializing game:', error);
     loadingProgress.textContent = 'Error loading game. Please refresh.';
@@ -68,6 +93,19 @@ const init = async () => {
 init();
 
 // Handle window resize
-window.addEventListener('resize', () => {
+const handleResize = () => {
   engine.handleResize();
-});
+};
+window.addEventListener('resize', handleResize);
+
+// Tear everything down before hot module replacement runs this module again,
+// otherwise every reload would stack another engine on the page
+if (import.meta.webpackHot) {
+  import.meta.webpackHot.accept();
+  import.meta.webpackHot.dispose(() => {
+    window.removeEventListener('resize', handleResize);
+    errorResume.removeEventListener('click', handleErrorResume);
+    engine.dispose();
+    statsContainer.removeChild(stats.dom);
+  });
+}
@@ -1,5 +1,10 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { disposeObject3D } from '../utils/SceneUtils';
+import { World } from '../engine/ecs/World';
+import { Transform } from '../engine/ecs/components/Transform';
+import { MeshRenderer } from '../engine/ecs/components/MeshRenderer';
+import { RigidBody } from '../engine/ecs/components/RigidBody';
 
 export class ExampleScene {
   constructor(engine) {
@@ -13,14 +18,17 @@ export class ExampleScene {
     this.audioManager = engine.audioManager;
     this.debug = engine.debug;
     
+    // Entities, components and systems of this scene
+    this.world = new World(engine, { scene: this.threeScene });
+    
+    // Post-processing pipeline, created by the scene manager from getPostProcessing()
+    this.postProcessing = null;
+    
     // Scene specific properties
-    this.objects = [];
     this.lights = [];
     this.controls = null;
     this.clock = new THREE.Clock();
-    
-    // Set up the scene
-    this._setupScene();
+    this.ball = null;
   }
   
   /**
@@ -38,10 +46,12 @@ export class ExampleScene {
     const gridHelper = new THREE.GridHelper(20, 20, 0x555555, 0x333333);
     this.threeScene.add(gridHelper);
     
-    // Create the orbit controls
-    this.controls = new OrbitControls(this.camera, this.engine.renderer.domElement);
-    this.controls.enableDamping = true;
-    this.controls.dampingFactor = 0.05;
+    // Create the orbit controls (there is no canvas to attach them to when headless)
+    if (this.engine.renderer.domElement) {
+      this.controls = new OrbitControls(this.camera, this.engine.renderer.domElement);
+      this.controls.enableDamping = true;
+      this.controls.dampingFactor = 0.05;
+    }
     
     // Set initial camera position
     this.camera.position.set(8, 6, 8);
@@ -95,24 +105,23 @@ export class ExampleScene {
    * @private
    */
   _setupObjects() {
-    // Ground plane
-    const groundGeometry = new THREE.PlaneGeometry(40, 40);
+    // Ground slab, its top face sits at y = 0
+    const groundGeometry = new THREE.BoxGeometry(40, 1, 40);
     const groundMaterial = new THREE.MeshStandardMaterial({
       color: 0x333333,
       roughness: 0.8,
       metalness: 0.2
     });
     const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-    ground.rotation.x = -Math.PI / 2;
     ground.receiveShadow = true;
-    this.threeScene.add(ground);
     
-    // Create physics body for ground
-    const groundBody = this.physicsSystem.createBody({
-      position: new THREE.Vector3(0, 0, 0),
-      isStatic: true,
-      dimensions: new THREE.Vector3(40, 1, 40)
-    });
+    this.world.createEntity('ground')
+      .addComponent(new Transform({ position: new THREE.Vector3(0, -0.5, 0) }))
+      .addComponent(new MeshRenderer(ground))
+      .addComponent(new RigidBody({
+        isStatic: true,
+        dimensions: new THREE.Vector3(40, 1, 40)
+      }));
     
     // Create a central cube
     const boxGeometry = new THREE.BoxGeometry(2, 2, 2);
@@ -121,27 +130,80 @@ export class ExampleScene {
       roughness: 0.5,
       metalness: 0.2
     });
-    this.centerCube = new THREE.Mesh(boxGeometry, boxMaterial);
-    this.centerCube.position.set(0, 1, 0);
-    this.centerCube.castShadow = true;
-    this.centerCube.receiveShadow = true;
-    this.threeScene.add(this.centerCube);
-    this.objects.push(this.centerCube);
-    
-    // Create a physics body for the cube
-    this.centerCubeBody = this.physicsSystem.createBody({
-      position: new THREE.Vector3(0, 1, 0),
-      dimensions: new THREE.Vector3(2, 2, 2),
-      mass: 1
-    });
+    const centerCube = new THREE.Mesh(boxGeometry, boxMaterial);
+    centerCube.castShadow = true;
+    centerCube.receiveShadow = true;
+    
+    this.centerCube = this.world.createEntity('centerCube')
+      .addComponent(new Transform({ position: new THREE.Vector3(0, 1, 0) }))
+      .addComponent(new MeshRenderer(centerCube))
+      .addComponent(new RigidBody({
+        dimensions: new THREE.Vector3(2, 2, 2),
+        mass: 1
+      }));
+    
+    // Plain meshes can skip the entity and get a body fitted to their geometry
+    const ball = new THREE.Mesh(
+      new THREE.SphereGeometry(0.5, 32, 16),
+      new THREE.MeshStandardMaterial({ color: 0x44aa88, roughness: 0.4 })
+    );
+    ball.position.set(0.5, 5, 0.3);
+    ball.castShadow = true;
+    this.threeScene.add(ball);
+    this.physicsSystem.attach(ball, { shape: 'sphere', restitution: 0.6 });
+    this.ball = ball;
   }
   
   /**
-   * Initialize the scene
+   * Called when the scene becomes active
    */
-  init() {
-    // Add any initialization logic here
-    this.debug.log('Example scene initialized');
+  enter() {
+    this.world.enter();
+    this._setupScene();
+    this.debug.log('Example scene entered');
+  }
+  
+  /**
+   * Called when the scene leaves the stack
+   */
+  exit() {
+    // Release everything this scene registered with the shared engine systems,
+    // meshes stay until dispose() so the scene can still be drawn during a transition
+    [...this.world.query(RigidBody)].forEach(entity => entity.removeComponent(RigidBody));
+    this.physicsSystem.detach(this.ball);
+    this.world.exit();
+    
+    if (this.controls) {
+      this.controls.dispose();
+      this.controls = null;
+    }
+    
+    this.debug.log('Example scene exited');
+  }
+  
+  /**
+   * Called when another scene is pushed on top of this one
+   */
+  pause() {
+    this.world.exit();
+    if (this.controls) this.controls.enabled = false;
+  }
+  
+  /**
+   * Called when the scene above this one is popped
+   */
+  resume() {
+    this.world.enter();
+    if (this.controls) this.controls.enabled = true;
+  }
+  
+  /**
+   * Free the GPU resources used by the scene
+   */
+  dispose() {
+    this.world.dispose();
+    disposeObject3D(this.threeScene);
+    this.lights = [];
   }
   
   /**
@@ -163,6 +225,20 @@ export class ExampleScene {
     };
   }
   
+  /**
+   * Get the post-processing passes this scene renders with
+   * Passes can also be changed at runtime through this.postProcessing
+   * @returns {Array<Object>} Pass descriptions ({ type, name, options })
+   */
+  getPostProcessing() {
+    return [
+      // example: { type: 'bloom', options: { strength: 0.6, radius: 0.4, threshold: 0.85 } },
+      // example: { type: 'outline', name: 'selection', options: { edgeStrength: 3 } },
+      { type: 'vignette', options: { offset: 1, darkness: 0.6 } },
+      { type: 'fxaa' },
+    ];
+  }
+  
   /**
    * Handle window resize
    * @param {number} width - New width
@@ -172,35 +248,31 @@ export class ExampleScene {
     // Handle resize-specific logic if needed
   }
   
+  /**
+   * Update the scene at the fixed simulation rate
+   * @param {number} fixedDelta - Fixed step duration in seconds
+   */
+  fixedUpdate(fixedDelta) {
+    this.world.fixedUpdate(fixedDelta);
+  }
+  
   /**
    * Update the scene
    * @param {number} deltaTime - Time since last update in seconds
    * @param {number} elapsedTime - Total elapsed time in seconds
+   * @param {number} alpha - Interpolation factor between the last two physics steps
    */
-  update(deltaTime, elapsedTime) {
+  update(deltaTime, elapsedTime, alpha) {
     // Update orbit controls
     if (this.controls) {
       this.controls.update();
     }
     
-    // Rotate the center cube
-    //this.centerCube.rotation.y += deltaTime * 0.5;
-    // this.centerCube.rotation.x += deltaTime * 0.2;
-    
-    // Update physics objects to match their Three.js counterparts
-    this.centerCubeBody.position.copy(this.centerCube.position);
-    
-    // Update object positions based on physics
-    for (const object of this.objects) {
-      if (object.userData.physicsBody) {
-        object.position.copy(object.userData.physicsBody.position);
-        
-        // We could also update rotations here if needed
-      }
-    }
-    
     // Handle input
     this._handleInput(deltaTime);
+    
+    // Run scripts and sync meshes with their physics bodies
+    this.world.update(deltaTime, alpha);
   }
   
   /**
@@ -216,7 +288,7 @@ export class ExampleScene {
     
     if (this.inputManager.isKeyPressed('Space')) {
       // Apply an upward force to the center cube
-      this.centerCubeBody.applyImpulse(new THREE.Vector3(0, 10, 0));
+      this.centerCube.getComponent(RigidBody).body.applyImpulse(new THREE.Vector3(0, 10, 0));
     }
     
     if (this.inputManager.isMouseButtonPressed('left')) {
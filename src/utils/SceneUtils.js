@@ -0,0 +1,42 @@
+/**
+ * Free the GPU resources (geometries, materials and their textures) held by an object hierarchy
+ * @param {THREE.Object3D} root - Root object to dispose
+ */
+export function disposeObject3D(root) {
+  // Scene-level textures (skyboxes, environment maps)
+  if (root.isScene) {
+    [root.background, root.environment].forEach(texture => {
+      if (texture && texture.isTexture) texture.dispose();
+    });
+  }
+  
+  root.traverse((object) => {
+    if (object.geometry) {
+      object.geometry.dispose();
+    }
+    
+    if (object.material) {
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach(disposeMaterial);
+    }
+    
+    // Lights own their shadow map render targets
+    if (object.isLight) {
+      object.dispose();
+    }
+  });
+}
+
+/**
+ * Dispose a material and every texture it references
+ * @param {THREE.Material} material - Material to dispose
+ */
+export function disposeMaterial(material) {
+  for (const value of Object.values(material)) {
+    if (value && value.isTexture) {
+      value.dispose();
+    }
+  }
+  
+  material.dispose();
+}
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEngine } from './helpers';
+
+const wait = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+test('a music crossfade holds still while the engine is paused', async () => {
+  const engine = createTestEngine();
+  const audio = engine.audioManager;
+  const buffer = audio.context.createBuffer(2, 44100, 44100);
+  
+  const from = audio.createMusic('menu', buffer);
+  const to = audio.createMusic('level', buffer);
+  audio.playMusic('menu');
+  
+  engine.start();
+  audio.playMusic('level', { crossfade: true, crossfadeDuration: 0.06 });
+  engine.pause();
+  
+  const volume = to.getVolume();
+  await wait(150);
+  assert.equal(to.getVolume(), volume, 'volume unchanged while paused');
+  assert.equal(from.isPlaying, false);
+  
+  engine.resume();
+  await wait(300);
+  assert.ok(Math.abs(to.getVolume() - 0.7) < 1e-6, `faded in to ${to.getVolume()}`);
+  assert.equal(from.isPlaying, false, 'old music stopped');
+  assert.equal(to.isPlaying, true);
+  
+  engine.dispose();
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createBroadphase } from '../src/engine/physics/Broadphase';
+import { collide } from '../src/engine/physics/Narrowphase';
+import { SeededRandom } from '../src/engine/physics/Random';
+import { createTestPhysics } from './helpers';
+
+const BROADPHASES = ['spatialHash', 'sweepAndPrune', 'aabbTree'];
+
+/**
+ * Scatter bodies of every shape over a small area so plenty of them overlap
+ * @param {number} count - Number of bodies
+ * @returns {Array<Object>} Bodies
+ */
+function scatterBodies(count) {
+  const physicsSystem = createTestPhysics();
+  const random = new SeededRandom(7);
+  const shapes = ['box', 'sphere', 'capsule'];
+  
+  for (let i = 0; i < count; i++) {
+    const size = random.range(0.3, 1.5);
+    physicsSystem.createBody({
+      shape: shapes[i % shapes.length],
+      dimensions: new THREE.Vector3(size, size * 2, size),
+      position: new THREE.Vector3(random.range(-4, 4), random.range(0, 4), random.range(-4, 4)),
+      quaternion: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), random.range(0, Math.PI)),
+      isStatic: i % 5 === 0,
+    });
+  }
+  
+  return physicsSystem.bodies;
+}
+
+test('every broadphase finds every touching pair', () => {
+  const bodies = scatterBodies(60);
+  const touching = createBroadphase('none').findPairs(bodies, [])
+    .filter(([a, b]) => collide(a, b))
+    .map(([a, b]) => `${a.id}|${b.id}`);
+  
+  assert.ok(touching.length > 20, `${touching.length} touching pairs to look for`);
+  
+  BROADPHASES.forEach(type => {
+    const found = new Set(createBroadphase(type).findPairs(bodies, []).map(([a, b]) => `${a.id}|${b.id}`));
+    touching.forEach(pair => assert.ok(found.has(pair), `${type} misses ${pair}`));
+  });
+});
+
+test('the simulation steps the same with every broadphase', () => {
+  const run = broadphase => {
+    const physicsSystem = createTestPhysics({ broadphase });
+    for (let i = 0; i < 12; i++) {
+      physicsSystem.createBody({ position: new THREE.Vector3((i % 3) * 0.6, 1 + i, (i % 2) * 0.4) });
+    }
+    
+    for (let i = 0; i < 90; i++) physicsSystem.update(1 / 60);
+    return physicsSystem.bodies.map(body => body.position.toArray().concat(body.quaternion.toArray()));
+  };
+  
+  const expected = run('none');
+  BROADPHASES.forEach(type => assert.deepEqual(run(type), expected, type));
+});
@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTestPhysics } from './helpers';
+
+/**
+ * Walk a character standing on the ground towards a ledge of some height
+ * @param {number} height - Height of the ledge
+ * @param {Object} options - Character controller options
+ * @returns {{character: CharacterController, groundY: number}} The character after walking and its height on the ground
+ */
+function walkAtLedge(height, options = {}) {
+  const physicsSystem = createTestPhysics();
+  physicsSystem.createBody({
+    isStatic: true,
+    dimensions: new THREE.Vector3(10, height, 4),
+    position: new THREE.Vector3(6, height / 2, 0),
+  });
+  
+  const character = physicsSystem.createCharacterController({ position: new THREE.Vector3(0, 0.92, 0), ...options });
+  for (let i = 0; i < 10; i++) character.move(new THREE.Vector3(0, -0.05, 0));
+  const groundY = character.position.y;
+  for (let i = 0; i < 60; i++) character.move(new THREE.Vector3(0.05, -0.05, 0));
+  
+  return { character, groundY };
+}
+
+test('the character walks up steps no taller than stepHeight', () => {
+  const { character, groundY } = walkAtLedge(0.28);
+  
+  assert.ok(character.position.x > 2, `walked on to x=${character.position.x}`);
+  assert.ok(Math.abs(character.position.y - (groundY + 0.28)) <= character.skinWidth, `stands on the step at y=${character.position.y}`);
+  assert.ok(character.isGrounded);
+});
+
+test('the character is stopped by steps taller than stepHeight', () => {
+  [0.32, 0.45].forEach(height => {
+    const { character, groundY } = walkAtLedge(height);
+    
+    assert.ok(character.position.x < 0.61, `${height} step stops it at x=${character.position.x}`);
+    assert.ok(Math.abs(character.position.y - groundY) <= character.skinWidth, `${height} step leaves it on the ground`);
+    assert.ok(character.collisionFlags.sides);
+  });
+});
+
+test('a lower stepHeight lowers what the character can climb', () => {
+  assert.ok(walkAtLedge(0.35, { stepHeight: 0.1 }).character.position.x < 0.61);
+  assert.ok(walkAtLedge(0.35, { stepHeight: 0.4 }).character.position.x > 2);
+});
+
+/**
+ * Walk a character at a ramp of some angle
+ * @param {number} angle - Ramp angle in radians
+ * @returns {CharacterController} The character after walking
+ */
+function walkAtRamp(angle) {
+  const physicsSystem = createTestPhysics();
+  physicsSystem.createBody({
+    isStatic: true,
+    dimensions: new THREE.Vector3(8, 0.2, 4),
+    position: new THREE.Vector3(5, 0, 0),
+    quaternion: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), angle),
+  });
+  
+  const character = physicsSystem.createCharacterController({ position: new THREE.Vector3(0, 0.92, 0) });
+  for (let i = 0; i < 10; i++) character.move(new THREE.Vector3(0, -0.05, 0));
+  for (let i = 0; i < 160; i++) character.move(new THREE.Vector3(0.05, -0.05, 0));
+  
+  return character;
+}
+
+test('the character walks up gentle slopes and not steep ones', () => {
+  const gentle = walkAtRamp(Math.PI / 9);
+  assert.ok(gentle.position.y > 1.5, `climbed to y=${gentle.position.y}`);
+  assert.ok(gentle.isGrounded);
+  assert.ok(gentle.groundNormal.y < 0.99, 'standing on the slope');
+  
+  const steep = walkAtRamp(Math.PI / 3);
+  assert.ok(steep.position.y < 1, `stayed down at y=${steep.position.y}`);
+  assert.ok(steep.collisionFlags.sides);
+});
+
+test('the character stays on the ground walking down stairs', () => {
+  const physicsSystem = createTestPhysics();
+  [0.75, 0.6, 0.45, 0.3, 0.15].forEach((height, i) => physicsSystem.createBody({
+    isStatic: true,
+    dimensions: new THREE.Vector3(1, height, 4),
+    position: new THREE.Vector3(i, height / 2, 0),
+  }));
+  
+  const character = physicsSystem.createCharacterController({ position: new THREE.Vector3(0, 1.67, 0) });
+  for (let i = 0; i < 10; i++) character.move(new THREE.Vector3(0, -0.05, 0));
+  
+  for (let i = 0; i < 100; i++) {
+    character.move(new THREE.Vector3(0.05, -0.01, 0));
+    assert.ok(character.isGrounded, `left the ground at x=${character.position.x}`);
+  }
+  
+  assert.ok(character.position.y < 0.95, `down on the floor at y=${character.position.y}`);
+});
+
+test('the character rides a moving platform', () => {
+  const physicsSystem = createTestPhysics();
+  const platform = physicsSystem.createBody({
+    isStatic: true,
+    dimensions: new THREE.Vector3(4, 0.2, 4),
+    position: new THREE.Vector3(0, 2, 0),
+  });
+  
+  const character = physicsSystem.createCharacterController({ position: new THREE.Vector3(0, 3.02, 0) });
+  for (let i = 0; i < 10; i++) character.move(new THREE.Vector3(0, -0.05, 0));
+  const start = character.position.clone();
+  
+  for (let i = 0; i < 20; i++) {
+    platform.position.x += 0.05;
+    platform.position.y += 0.01;
+    character.move(new THREE.Vector3(0, -0.05, 0));
+  }
+  
+  assert.ok(Math.abs(character.position.x - (start.x + 1)) < 0.01, `carried to x=${character.position.x}`);
+  assert.ok(Math.abs(character.position.y - (start.y + 0.2)) < 0.03, `lifted to y=${character.position.y}`);
+  assert.equal(character.groundObject, platform);
+});
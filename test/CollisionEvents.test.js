@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PhysicsSystem } from '../src/engine/PhysicsSystem';
+import { createTestPhysics } from './helpers';
+
+const STEP = 1 / 60;
+
+test('landing reports the impact speed and the impulse that stopped it', () => {
+  const physicsSystem = createTestPhysics();
+  const ground = physicsSystem.bodies[0];
+  const events = [];
+  const callbacks = [];
+  
+  const ball = physicsSystem.createBody({
+    shape: 'sphere',
+    radius: 0.5,
+    position: new THREE.Vector3(0, 1.25, 0),
+    onCollisionEnter: (other, event) => callbacks.push({ other, event }),
+  });
+  physicsSystem.on('collisionEnter', event => events.push(event));
+  
+  for (let i = 0; i < 40; i++) physicsSystem.update(STEP);
+  
+  // It bounces a little, and lands again
+  assert.ok(events.length >= 1);
+  assert.equal(callbacks.length, events.length);
+  
+  const { other, event } = callbacks[0];
+  assert.equal(other, ground);
+  assert.equal(event, events[0], 'callbacks and listeners get the same event');
+  assert.equal(event.type, 'enter');
+  assert.equal(event.a, ball);
+  assert.equal(event.b, ground);
+  assert.ok(event.normal.y < -0.99, 'normal from the ball into the ground');
+  assert.ok(Math.abs(event.point.y) < 0.05, `touching at y=${event.point.y}`);
+  
+  // Fell 0.75 before touching
+  assert.ok(Math.abs(event.impactSpeed - Math.sqrt(2 * 9.8 * 0.75)) < 0.25, `impact speed ${event.impactSpeed}`);
+  assert.ok(event.impulse > event.impactSpeed * ball.mass * 0.9, `impulse ${event.impulse}`);
+});
+
+test('both bodies of a pair hear about it, from enter through stay to exit', () => {
+  const physicsSystem = new PhysicsSystem({ gravity: { x: 0, y: 0, z: 0 } });
+  const heard = [];
+  const listen = body => {
+    ['Enter', 'Stay', 'Exit'].forEach(type => {
+      body[`onCollision${type}`] = other => heard.push([body.id, type, other.id]);
+    });
+  };
+  
+  const left = physicsSystem.createBody({ id: 'left', position: new THREE.Vector3(-1, 0, 0), velocity: new THREE.Vector3(2, 0, 0), restitution: 0.9 });
+  const right = physicsSystem.createBody({ id: 'right', position: new THREE.Vector3(1, 0, 0), velocity: new THREE.Vector3(-2, 0, 0), restitution: 0.9 });
+  listen(left);
+  listen(right);
+  
+  for (let i = 0; i < 60; i++) physicsSystem.update(STEP);
+  
+  const types = heard.map(([, type]) => type);
+  assert.deepEqual(heard.slice(0, 2), [['left', 'Enter', 'right'], ['right', 'Enter', 'left']]);
+  assert.deepEqual(heard.slice(-2), [['left', 'Exit', 'right'], ['right', 'Exit', 'left']]);
+  assert.equal(types.filter(type => type === 'Enter').length, 2);
+  assert.ok(left.velocity.x < 0 && right.velocity.x > 0, 'bounced apart');
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PhysicsSystem } from '../src/engine/PhysicsSystem';
+
+const STEP = 1 / 60;
+
+const LAYERS = {
+  layers: ['player', 'enemy', 'playerProjectile', 'pickup'],
+  matrix: {
+    playerProjectile: ['default', 'enemy'],
+    pickup: ['player'],
+  },
+};
+
+test('a pair only collides when each side collides with the other layer', () => {
+  const physicsSystem = new PhysicsSystem({ gravity: { x: 0, y: 0, z: 0 }, layers: LAYERS });
+  const player = physicsSystem.createBody({ layer: 'player', isStatic: true, position: new THREE.Vector3(2, 0, 0) });
+  const enemy = physicsSystem.createBody({ layer: 'enemy', isStatic: true, position: new THREE.Vector3(4, 0, 0) });
+  const shot = physicsSystem.createBody({
+    layer: 'playerProjectile',
+    shape: 'sphere',
+    radius: 0.1,
+    velocity: new THREE.Vector3(6, 0, 0),
+  });
+  
+  const hits = [];
+  shot.onCollisionEnter = other => hits.push(other);
+  
+  for (let i = 0; i < 60; i++) physicsSystem.update(STEP);
+  
+  assert.deepEqual(hits, [enemy], 'passes through the player and stops at the enemy');
+  assert.ok(shot.position.x > player.position.x && shot.position.x < enemy.position.x);
+});
+
+test('triggers only fire for the layers they collide with', () => {
+  const physicsSystem = new PhysicsSystem({ gravity: { x: 0, y: 0, z: 0 }, layers: LAYERS });
+  const collected = [];
+  physicsSystem.createCollider({ layer: 'pickup', isTrigger: true, onTriggerEnter: body => collected.push(body) });
+  
+  const enemy = physicsSystem.createBody({ layer: 'enemy', position: new THREE.Vector3(0.2, 0, 0) });
+  const player = physicsSystem.createBody({ layer: 'player', position: new THREE.Vector3(-0.2, 0, 0), collidesWith: [] });
+  physicsSystem.update(STEP);
+  assert.deepEqual(collected, [], 'a player that collides with nothing is ignored too');
+  
+  physicsSystem.setLayer(player, 'player');
+  physicsSystem.update(STEP);
+  assert.deepEqual(collected, [player]);
+  
+  physicsSystem.setLayer(enemy, 'enemy', ['pickup']);
+  physicsSystem.update(STEP);
+  assert.deepEqual(collected, [player], 'the pickup itself still ignores enemies');
+});
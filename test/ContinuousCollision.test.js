@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PhysicsSystem } from '../src/engine/PhysicsSystem';
+
+const STEP = 1 / 60;
+
+/**
+ * Fire a small, fast sphere at a thin wall
+ * @param {boolean} ccd - Sweep the sphere along its path
+ * @returns {Object} The sphere and the objects it hit
+ */
+function fireAtWall(ccd) {
+  const physicsSystem = new PhysicsSystem({ gravity: { x: 0, y: 0, z: 0 } });
+  const wall = physicsSystem.createCollider({
+    position: new THREE.Vector3(5, 0, 0),
+    dimensions: new THREE.Vector3(0.1, 4, 4),
+  });
+  
+  const hits = [];
+  const bullet = physicsSystem.createBody({
+    shape: 'sphere',
+    radius: 0.05,
+    velocity: new THREE.Vector3(200, 0, 0),
+    ccd,
+    onCollisionEnter: other => hits.push(other),
+  });
+  
+  for (let i = 0; i < 10; i++) physicsSystem.update(STEP);
+  
+  return { bullet, wall, hits };
+}
+
+test('a fast body jumps through a thin wall without ccd', () => {
+  const { bullet, hits } = fireAtWall(false);
+  
+  assert.ok(bullet.position.x > 5, `at x=${bullet.position.x}`);
+  assert.deepEqual(hits, []);
+});
+
+test('with ccd it stops at the wall and reports the hit', () => {
+  const { bullet, wall, hits } = fireAtWall(true);
+  
+  assert.ok(bullet.position.x < 5, `at x=${bullet.position.x}`);
+  assert.ok(bullet.velocity.x <= 0, `still moving on at ${bullet.velocity.x}`);
+  assert.deepEqual(hits, [wall]);
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTestEngine, RecordingScene } from './helpers';
+
+test('stepFrames runs the fixed steps, scene updates and renders', async () => {
+  const engine = createTestEngine();
+  const scene = new RecordingScene();
+  
+  await engine.sceneManager.replace(scene);
+  engine.start();
+  engine.stepFrames(10);
+  
+  assert.deepEqual(scene.hooks, ['enter']);
+  assert.equal(scene.fixedSteps, 10);
+  assert.equal(scene.updates.length, 10);
+  assert.equal(engine.renderer.info.render.frame, 10);
+  
+  // Scenes get the frame time, the elapsed time and the interpolation factor
+  const last = scene.updates[scene.updates.length - 1];
+  assert.equal(last.deltaTime, engine.fixedTimeStep);
+  assert.ok(Math.abs(last.elapsedTime - 10 * engine.fixedTimeStep) < 1e-9);
+  assert.equal(last.alpha, 0);
+  
+  engine.dispose();
+});
+
+test('physics bodies fall and come to rest on the ground', async () => {
+  const engine = createTestEngine();
+  await engine.sceneManager.replace(new RecordingScene());
+  
+  engine.physicsSystem.createCollider({ shape: 'plane' });
+  const ball = engine.physicsSystem.createBody({
+    shape: 'sphere',
+    radius: 0.5,
+    position: new THREE.Vector3(0, 3, 0),
+  });
+  
+  engine.start();
+  engine.stepFrames(180);
+  
+  assert.ok(Math.abs(ball.position.y - 0.5) < 0.05, `ball rests at y=${ball.position.y}`);
+  
+  engine.dispose();
+});
+
+test('pause freezes the simulation and step advances a single fixed step', async () => {
+  const engine = createTestEngine();
+  const scene = new RecordingScene();
+  
+  await engine.sceneManager.replace(scene);
+  engine.start();
+  engine.pause();
+  engine.stepFrames(5);
+  
+  assert.equal(scene.fixedSteps, 0);
+  assert.equal(engine.renderer.info.render.frame, 5, 'paused frames still render');
+  
+  engine.step();
+  assert.equal(scene.fixedSteps, 1);
+  assert.ok(engine.isPaused);
+  
+  engine.dispose();
+});
+
+test('dispose tears the scenes and systems down', async () => {
+  const engine = createTestEngine();
+  const scene = new RecordingScene();
+  engine.on('error', () => {});
+  
+  await engine.sceneManager.replace(scene);
+  engine.physicsSystem.createBody({ position: new THREE.Vector3(0, 2, 0) });
+  engine.start();
+  engine.stepFrames(2);
+  engine.dispose();
+  
+  assert.deepEqual(scene.hooks, ['enter', 'exit', 'dispose']);
+  assert.equal(engine.sceneManager.activeScene, null);
+  assert.equal(engine.physicsSystem.bodies.length, 0, 'physics system emptied');
+  assert.ok(engine.isDisposed);
+  assert.equal(engine.isRunning, false);
+  assert.equal(engine.listenerCount('error'), 0, 'listeners removed');
+  
+  // A second dispose is a no-op
+  engine.dispose();
+});
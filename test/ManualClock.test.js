@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ManualClock } from '../src/engine/headless/ManualClock';
+import { createTestEngine } from './helpers';
+
+test('ManualClock only moves when advanced', () => {
+  const clock = new ManualClock(100);
+  assert.equal(clock.now(), 100);
+  
+  clock.advance(16);
+  clock.advance(4);
+  assert.equal(clock.now(), 120);
+});
+
+test('a manual clock drives the frame time of a scheduled engine', () => {
+  let frame = null;
+  const engine = createTestEngine({
+    requestAnimationFrame: callback => {
+      frame = callback;
+      return 1;
+    },
+    cancelAnimationFrame: () => {
+      frame = null;
+    },
+  });
+  
+  let steps = 0;
+  engine.on('afterPhysics', ({ subSteps }) => {
+    steps += subSteps;
+  });
+  
+  engine.start();
+  assert.equal(steps, 0, 'no time has passed yet');
+  
+  // 50ms covers three 60Hz steps with a bit left over for interpolation
+  engine.clock.advance(50);
+  frame();
+  assert.equal(steps, 3);
+  assert.ok(Math.abs(engine.elapsedTime - 0.05) < 1e-9);
+  assert.ok(engine.alpha > 0 && engine.alpha < 1);
+  
+  // Nothing moves while the clock stands still
+  frame();
+  assert.equal(steps, 3);
+  assert.ok(Math.abs(engine.elapsedTime - 0.05) < 1e-9);
+  
+  engine.dispose();
+  assert.equal(frame, null, 'dispose cancels the scheduled frame');
+});
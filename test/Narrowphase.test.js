@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { collide, computeConvexHull } from '../src/engine/physics/Narrowphase';
+
+const near = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-3, `${message}: ${actual} instead of ${expected}`);
+};
+
+const sphere = (x, y, z, radius = 0.5) => ({
+  shape: 'sphere',
+  radius,
+  position: new THREE.Vector3(x, y, z),
+  dimensions: new THREE.Vector3(radius * 2, radius * 2, radius * 2),
+});
+
+const box = (x, y, z, size = 1, quaternion) => ({
+  shape: 'box',
+  position: new THREE.Vector3(x, y, z),
+  dimensions: new THREE.Vector3(size, size, size),
+  quaternion,
+});
+
+test('spheres report depth and a normal pointing from the first to the second', () => {
+  const contact = collide(sphere(0, 0, 0), sphere(0.8, 0, 0));
+  
+  near(contact.depth, 0.2, 'depth');
+  assert.deepEqual(contact.normal.toArray(), [1, 0, 0]);
+  assert.equal(collide(sphere(0, 0, 0), sphere(1.1, 0, 0)), null);
+});
+
+test('a box resting on a box touches along the whole face', () => {
+  const contact = collide(box(0.2, 0.95, 0), box(0, 0, 0));
+  
+  near(contact.depth, 0.05, 'depth');
+  near(contact.normal.y, -1, 'normal');
+  assert.equal(contact.points.length, 4);
+  
+  // Corners of the overlap, between the two faces
+  contact.points.forEach(point => {
+    assert.ok(point.y > 0.45 - 1e-6 && point.y < 0.5 + 1e-6, `point at y=${point.y}`);
+    assert.ok(point.x > -0.3 - 1e-6 && point.x < 0.5 + 1e-6, `point at x=${point.x}`);
+  });
+});
+
+test('a box standing on its edge touches a plane along that edge', () => {
+  const tilted = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI / 4);
+  const plane = { shape: 'plane', position: new THREE.Vector3(), dimensions: new THREE.Vector3(1, 1, 1) };
+  const contact = collide(box(0, Math.SQRT1_2 - 0.01, 0, 1, tilted), plane);
+  
+  near(contact.depth, 0.01, 'depth');
+  near(contact.normal.y, -1, 'normal');
+  assert.equal(contact.points.length, 2);
+  contact.points.forEach(point => near(point.x, 0, 'points on the edge'));
+});
+
+test('capsules collide along their sides', () => {
+  const capsule = {
+    shape: 'capsule',
+    radius: 0.25,
+    position: new THREE.Vector3(0.7, 0, 0),
+    dimensions: new THREE.Vector3(0.5, 2, 0.5),
+  };
+  
+  const contact = collide(capsule, box(0, 0.8, 0));
+  near(contact.depth, 0.05, 'depth');
+  near(contact.normal.x, -1, 'normal');
+});
+
+test('convex hulls collide like the shape they wrap', () => {
+  const corners = [];
+  [-0.5, 0.5].forEach(x => [-0.5, 0.5].forEach(y => [-0.5, 0.5].forEach(z => corners.push(new THREE.Vector3(x, y, z)))));
+  const hull = {
+    shape: 'convex',
+    vertices: computeConvexHull(corners),
+    position: new THREE.Vector3(0, 0.9, 0),
+    dimensions: new THREE.Vector3(1, 1, 1),
+  };
+  
+  const fromHull = collide(hull, sphere(0, 0, 0));
+  const fromBox = collide(box(0, 0.9, 0), sphere(0, 0, 0));
+  near(fromHull.depth, fromBox.depth, 'depth');
+  near(fromHull.normal.y, fromBox.normal.y, 'normal');
+});
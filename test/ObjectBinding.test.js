@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTestPhysics } from './helpers';
+
+const STEP = 1 / 60;
+
+const near = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-3, `${message}: ${actual} instead of ${expected}`);
+};
+
+test('attached bodies are fitted to the geometry and scale of the object', () => {
+  const physicsSystem = createTestPhysics();
+  
+  // A box whose geometry sits above the object's origin, like a model standing on its feet
+  const geometry = new THREE.BoxGeometry(1, 2, 1).translate(0, 1, 0);
+  const crate = new THREE.Mesh(geometry);
+  crate.scale.set(2, 1, 1);
+  crate.position.set(0, 5, 0);
+  
+  const body = physicsSystem.attach(crate);
+  assert.deepEqual(body.dimensions.toArray(), [2, 2, 1]);
+  assert.deepEqual(body.position.toArray(), [0, 6, 0], 'centered on the geometry');
+  assert.equal(crate.userData.physicsBody, body);
+  
+  const ball = physicsSystem.attach(new THREE.Mesh(new THREE.SphereGeometry(0.5)), { shape: 'sphere', mass: 3 });
+  near(ball.radius, 0.5, 'radius');
+  assert.equal(ball.mass, 3, 'other options go to the body');
+});
+
+test('dynamic bodies move their object, also inside a moved parent', () => {
+  const physicsSystem = createTestPhysics();
+  const parent = new THREE.Group();
+  parent.position.set(10, 0, 0);
+  parent.rotation.y = Math.PI / 2;
+  
+  const crate = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1));
+  crate.position.set(0, 3, 0);
+  parent.add(crate);
+  
+  const body = physicsSystem.attach(crate);
+  for (let i = 0; i < 120; i++) {
+    physicsSystem.update(STEP);
+    physicsSystem.interpolate(1);
+  }
+  
+  const world = crate.getWorldPosition(new THREE.Vector3());
+  near(world.x, body.position.x, 'x');
+  near(world.y, body.position.y, 'y');
+  assert.ok(Math.abs(world.y - 0.5) < 0.02, `landed at y=${world.y}`);
+  near(crate.position.x, 0, 'local x');
+});
+
+test('kinematic bodies follow their object and push what they hit', () => {
+  const physicsSystem = createTestPhysics();
+  const paddle = new THREE.Mesh(new THREE.BoxGeometry(0.5, 1, 2));
+  paddle.position.set(-1, 0.5, 0);
+  
+  const body = physicsSystem.attach(paddle, { type: 'kinematic' });
+  const crate = physicsSystem.createBody({ position: new THREE.Vector3(0.5, 0.5, 0) });
+  
+  for (let i = 0; i < 60; i++) {
+    paddle.position.x += 0.05;
+    physicsSystem.update(STEP);
+  }
+  
+  near(body.position.x, paddle.position.x, 'body follows');
+  assert.ok(crate.position.x > paddle.position.x + 0.7, `crate pushed to x=${crate.position.x}`);
+  
+  physicsSystem.detach(paddle);
+  assert.equal(physicsSystem.bodies.includes(body), false);
+  assert.equal(paddle.userData.physicsBody, undefined);
+});
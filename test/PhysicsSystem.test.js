@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PhysicsSystem } from '../src/engine/PhysicsSystem';
+
+const STEP = 1 / 60;
+
+test('a pickup that removes itself on enter never reports an exit', () => {
+  const physicsSystem = new PhysicsSystem({ gravity: { x: 0, y: 0, z: 0 } });
+  const events = [];
+  
+  // Two bodies reach the pickup in the same step, the first one takes it
+  const players = [-0.2, 0.2].map(x => physicsSystem.createBody({
+    shape: 'sphere',
+    radius: 0.25,
+    position: new THREE.Vector3(x, 0, 0),
+  }));
+  const pickup = physicsSystem.createCollider({
+    isTrigger: true,
+    onTriggerEnter: body => {
+      events.push(['enter', body]);
+      physicsSystem.removeCollider(pickup);
+    },
+    onTriggerExit: body => events.push(['exit', body]),
+  });
+  
+  for (let i = 0; i < 5; i++) physicsSystem.update(STEP);
+  
+  assert.equal(events.length, 1);
+  assert.equal(events[0][0], 'enter');
+  assert.ok(players.includes(events[0][1]));
+  assert.ok([...physicsSystem.contacts.values()].every(pair => pair.b !== pickup), 'no contact left with the pickup');
+});
+
+test('a body removed by a trigger callback leaves no contacts behind', () => {
+  const physicsSystem = new PhysicsSystem({ gravity: { x: 0, y: 0, z: 0 } });
+  let exits = 0;
+  
+  const body = physicsSystem.createBody({ shape: 'sphere', radius: 0.25 });
+  [-0.1, 0.1].forEach(x => physicsSystem.createCollider({
+    isTrigger: true,
+    position: new THREE.Vector3(x, 0, 0),
+    onTriggerEnter: other => physicsSystem.removeBody(other),
+    onTriggerExit: () => exits++,
+  }));
+  
+  for (let i = 0; i < 5; i++) physicsSystem.update(STEP);
+  
+  assert.equal(physicsSystem.bodies.includes(body), false);
+  assert.equal(physicsSystem.contacts.size, 0);
+  assert.equal(exits, 0);
+});
+
+test('bodies sliding over a collider are slowed by its friction', () => {
+  const slide = (options = {}) => {
+    const physicsSystem = new PhysicsSystem();
+    physicsSystem.createCollider({ shape: 'plane', ...options });
+    const box = physicsSystem.createBody({
+      position: new THREE.Vector3(0, 0.5, 0),
+      velocity: new THREE.Vector3(3, 0, 0),
+      allowSleep: false,
+    });
+    
+    for (let i = 0; i < 120; i++) physicsSystem.update(STEP);
+    return box.velocity.x;
+  };
+  
+  assert.ok(Math.abs(slide()) < 0.05, 'stopped by the default friction');
+  assert.ok(Math.abs(slide({ friction: 0 }) - 3) < 0.05, 'a frictionless collider lets it slide');
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTestPhysics } from './helpers';
+
+const near = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-3, `${message}: ${actual} instead of ${expected}`);
+};
+
+/**
+ * Ground with a row of crates along x, the middle one on its own layer
+ * @returns {Object} The physics system and the crates
+ */
+function createRow() {
+  const physicsSystem = createTestPhysics({ layers: { layers: ['enemy'] } });
+  const crates = [2, 4, 6].map((x, i) => physicsSystem.createBody({
+    isStatic: true,
+    position: new THREE.Vector3(x, 0.5, 0),
+    layer: i === 1 ? 'enemy' : 'default',
+  }));
+  
+  return { physicsSystem, crates };
+}
+
+test('raycasts hit the closest object with its surface point and normal', () => {
+  const { physicsSystem, crates } = createRow();
+  const hit = physicsSystem.raycast(new THREE.Vector3(0, 0.5, 0), new THREE.Vector3(1, 0, 0), 10);
+  
+  assert.equal(hit.body, crates[0]);
+  near(hit.distance, 1.5, 'distance');
+  near(hit.point.x, 1.5, 'point');
+  near(hit.normal.x, -1, 'normal');
+  
+  assert.equal(physicsSystem.raycast(new THREE.Vector3(0, 0.5, 0), new THREE.Vector3(1, 0, 0), 1), null, 'too short');
+});
+
+test('raycastAll returns every hit closest first and filters by layer or test', () => {
+  const { physicsSystem, crates } = createRow();
+  const origin = new THREE.Vector3(0, 0.5, 0);
+  const direction = new THREE.Vector3(1, 0, 0);
+  
+  assert.deepEqual(physicsSystem.raycastAll(origin, direction, 10).map(hit => hit.body), crates);
+  assert.deepEqual(physicsSystem.raycastAll(origin, direction, 10, 'enemy').map(hit => hit.body), [crates[1]]);
+  assert.equal(physicsSystem.raycast(origin, direction, 10, object => object !== crates[0]).body, crates[1]);
+});
+
+test('shape casts stop where the shape first touches', () => {
+  const { physicsSystem, crates } = createRow();
+  
+  const hit = physicsSystem.sphereCast(new THREE.Vector3(0, 0.5, 0), 0.25, new THREE.Vector3(1, 0, 0), 10);
+  assert.equal(hit.body, crates[0]);
+  near(hit.distance, 1.25, 'distance');
+  
+  // Already touching the ground when it starts
+  const ground = physicsSystem.sphereCast(new THREE.Vector3(0, 0.1, 0), 0.25, new THREE.Vector3(0, -1, 0), 1);
+  assert.equal(ground.distance, 0);
+});
+
+test('overlap queries find what a volume touches', () => {
+  const { physicsSystem, crates } = createRow();
+  
+  const ids = objects => objects.map(object => object.id);
+  
+  assert.deepEqual(ids(physicsSystem.overlapSphere(new THREE.Vector3(3, 1, 0), 0.6)), ids([crates[0], crates[1]]));
+  assert.deepEqual(ids(physicsSystem.overlapSphere(new THREE.Vector3(3, 1, 0), 0.6, 'default')), ids([crates[0]]));
+  assert.deepEqual(ids(physicsSystem.overlapBox(new THREE.Vector3(6, 0, 0), new THREE.Vector3(1, 0.5, 1))), ['ground', crates[2].id]);
+  assert.deepEqual(physicsSystem.overlapBox(new THREE.Vector3(6, 2, 0), new THREE.Vector3(1, 1, 1)), []);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PhysicsSystem } from '../src/engine/PhysicsSystem';
+import { createTestPhysics } from './helpers';
+
+const STEP = 1 / 60;
+
+test('impulses off the center of mass spin a body, through it they only push', () => {
+  const physicsSystem = new PhysicsSystem({ gravity: { x: 0, y: 0, z: 0 } });
+  const pushed = physicsSystem.createBody({ position: new THREE.Vector3(-5, 0, 0) });
+  const spun = physicsSystem.createBody({ position: new THREE.Vector3(5, 0, 0) });
+  
+  pushed.applyImpulse(new THREE.Vector3(0, 0, 1), pushed.position);
+  spun.applyImpulse(new THREE.Vector3(0, 0, 1), spun.position.clone().add(new THREE.Vector3(0.5, 0, 0)));
+  
+  assert.equal(pushed.angularVelocity.length(), 0);
+  assert.ok(spun.angularVelocity.y < 0, `spins about -y at ${spun.angularVelocity.y}`);
+  assert.equal(spun.velocity.z, pushed.velocity.z, 'the same push either way');
+  
+  physicsSystem.update(STEP);
+  assert.ok(spun.quaternion.angleTo(new THREE.Quaternion()) > 0);
+});
+
+test('a box dropped on its corner tips over and lands on a face', () => {
+  const physicsSystem = createTestPhysics();
+  const box = physicsSystem.createBody({
+    position: new THREE.Vector3(0, 1.5, 0),
+    quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(0.5, 0.3, 0.7)),
+  });
+  
+  for (let i = 0; i < 300; i++) physicsSystem.update(STEP);
+  
+  // One of the box's axes points straight up again
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(box.quaternion.clone().invert());
+  const alignment = Math.max(Math.abs(up.x), Math.abs(up.y), Math.abs(up.z));
+  assert.ok(alignment > 0.999, `resting tilted, axis alignment ${alignment}`);
+  assert.ok(Math.abs(box.position.y - 0.5) < 0.02, `resting at y=${box.position.y}`);
+  assert.ok(box.angularVelocity.length() < 0.05);
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEngine, RecordingScene } from './helpers';
+
+/**
+ * Run frames until a promise settles or the frame budget runs out
+ * @param {Engine} engine - Engine to step
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} maxFrames - Frames to try
+ * @returns {Promise<boolean>} Whether the promise settled
+ */
+async function stepUntil(engine, promise, maxFrames = 120) {
+  let settled = false;
+  promise.then(() => {
+    settled = true;
+  });
+  
+  for (let i = 0; i < maxFrames && !settled; i++) {
+    engine.stepFrames(1);
+    await Promise.resolve();
+    await Promise.resolve();
+  }
+  
+  return settled;
+}
+
+test('a fade transition finishes while running', async () => {
+  const engine = createTestEngine();
+  engine.start();
+  
+  const entered = engine.sceneManager.push(new RecordingScene(), { transition: 'fade', duration: 0.5 });
+  assert.ok(await stepUntil(engine, entered));
+  
+  engine.dispose();
+});
+
+test('a fade transition finishes while paused', async () => {
+  const engine = createTestEngine();
+  engine.start();
+  engine.pause();
+  
+  const scene = new RecordingScene();
+  const entered = engine.sceneManager.push(scene, { transition: 'fade', duration: 0.5 });
+  assert.ok(await stepUntil(engine, entered));
+  assert.equal(engine.sceneManager.activeScene, scene);
+  
+  // Operations queued behind it go through too
+  const left = engine.sceneManager.pop({ transition: 'crossfade', duration: 0.2 });
+  assert.ok(await stepUntil(engine, left));
+  assert.equal(engine.sceneManager.activeScene, null);
+  
+  engine.dispose();
+});
+
+test('a fade transition finishes at a time scale of 0', async () => {
+  const engine = createTestEngine({ timeScale: 0 });
+  engine.start();
+  
+  const entered = engine.sceneManager.push(new RecordingScene(), { transition: 'fade', duration: 0.5 });
+  assert.ok(await stepUntil(engine, entered));
+  assert.equal(engine.elapsedTime, 0);
+  
+  engine.dispose();
+});
+
+test('disposing during a fade drops the scene it was bringing in', async () => {
+  const engine = createTestEngine();
+  engine.start();
+  
+  const current = new RecordingScene();
+  await engine.sceneManager.replace(current);
+  
+  const next = new RecordingScene();
+  const entered = engine.sceneManager.replace(next, { transition: 'fade', duration: 0.5 });
+  assert.equal(await stepUntil(engine, entered, 5), false, 'still fading out');
+  
+  engine.dispose();
+  await entered;
+  
+  assert.deepEqual(current.hooks, ['enter', 'exit', 'dispose']);
+  assert.deepEqual(next.hooks, ['dispose'], 'never entered');
+  assert.equal(engine.sceneManager.activeScene, null);
+  assert.equal(engine.sceneManager.transition, null, 'no fade-in left waiting');
+});
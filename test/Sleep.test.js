@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTestPhysics } from './helpers';
+
+const STEP = 1 / 60;
+
+/**
+ * A settled stack of three boxes and a lone box further away
+ * @returns {Object} The physics system, the stack and the lone box
+ */
+function createSleepingScene() {
+  const physicsSystem = createTestPhysics();
+  const stack = [0, 1, 2].map(i => physicsSystem.createBody({ position: new THREE.Vector3(0, 0.5 + i, 0) }));
+  const lone = physicsSystem.createBody({ position: new THREE.Vector3(5, 0.5, 0) });
+  
+  for (let i = 0; i < 120; i++) physicsSystem.update(STEP);
+  
+  return { physicsSystem, stack, lone };
+}
+
+test('bodies at rest fall asleep and stop moving', () => {
+  const { physicsSystem, stack, lone } = createSleepingScene();
+  
+  assert.ok(stack.concat(lone).every(body => body.isSleeping));
+  assert.equal(physicsSystem.stats.sleepingBodies, 4);
+  
+  const positions = stack.map(body => body.position.clone());
+  for (let i = 0; i < 30; i++) physicsSystem.update(STEP);
+  stack.forEach((body, i) => assert.ok(body.position.equals(positions[i]), 'asleep bodies aren\'t moved'));
+});
+
+test('a hit wakes the whole island and nothing else', () => {
+  const { physicsSystem, stack, lone } = createSleepingScene();
+  const woken = [];
+  stack.concat(lone).forEach(body => {
+    body.onWake = () => woken.push(body);
+  });
+  
+  physicsSystem.createBody({
+    shape: 'sphere',
+    radius: 0.3,
+    position: new THREE.Vector3(0, 4, 0),
+    velocity: new THREE.Vector3(0, -5, 0),
+  });
+  for (let i = 0; i < 20; i++) physicsSystem.update(STEP);
+  
+  assert.deepEqual(new Set(woken), new Set(stack));
+  assert.ok(lone.isSleeping, 'the lone box sleeps on');
+});
+
+test('bodies wake and fall when their support is removed', () => {
+  const { physicsSystem, stack } = createSleepingScene();
+  
+  physicsSystem.removeBody(stack[0]);
+  assert.ok(!stack[1].isSleeping, 'what rested on it wakes right away');
+  
+  physicsSystem.update(STEP);
+  assert.ok(!stack[2].isSleeping, 'and the rest of its island with the next step');
+  
+  for (let i = 0; i < 60; i++) physicsSystem.update(STEP);
+  assert.ok(Math.abs(stack[1].position.y - 0.5) < 0.05, `landed at y=${stack[1].position.y}`);
+});
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PhysicsSystem } from '../src/engine/PhysicsSystem';
+import { createTestPhysics } from './helpers';
+
+const STEP = 1 / 60;
+
+/**
+ * A busy little world: a tumbling pile, a pendulum and a trigger
+ * @returns {PhysicsSystem} The physics system
+ */
+function createWorld() {
+  const physicsSystem = createTestPhysics();
+  for (let i = 0; i < 8; i++) {
+    physicsSystem.createBody({
+      shape: ['box', 'sphere', 'capsule'][i % 3],
+      position: new THREE.Vector3((i % 3) * 0.4, 1 + i * 0.9, (i % 2) * 0.3),
+      quaternion: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 1).normalize(), i),
+    });
+  }
+  
+  const bob = physicsSystem.createBody({ shape: 'sphere', radius: 0.3, position: new THREE.Vector3(4, 4, 0) });
+  physicsSystem.createJoint('distance', { bodyA: bob, anchorB: new THREE.Vector3(3, 5, 0) });
+  physicsSystem.createCollider({ isTrigger: true, position: new THREE.Vector3(0, 1, 0), dimensions: new THREE.Vector3(3, 2, 3) });
+  
+  return physicsSystem;
+}
+
+/**
+ * Step with a random nudge from the simulation's own random numbers now and then
+ * @param {PhysicsSystem} physicsSystem - Physics system
+ * @param {number} steps - Steps to run
+ */
+function run(physicsSystem, steps) {
+  for (let i = 0; i < steps; i++) {
+    if (physicsSystem.random.next() < 0.1) {
+      const body = physicsSystem.bodies[1 + Math.floor(physicsSystem.random.next() * 8)];
+      body.applyImpulse(new THREE.Vector3(physicsSystem.random.range(-1, 1), 2, 0), body.position);
+    }
+    physicsSystem.update(STEP);
+  }
+}
+
+test('stepping a restored snapshot repeats the simulation exactly', () => {
+  const physicsSystem = createWorld();
+  run(physicsSystem, 60);
+  const snapshot = physicsSystem.serialize();
+  
+  run(physicsSystem, 90);
+  const expected = physicsSystem.serialize();
+  assert.ok(expected.contacts.length > 0, 'bodies are touching');
+  
+  physicsSystem.deserialize(snapshot);
+  run(physicsSystem, 90);
+  assert.deepEqual(physicsSystem.serialize(), expected);
+});
+
+test('a snapshot restores into a fresh simulation through JSON', () => {
+  const original = createWorld();
+  run(original, 60);
+  const json = JSON.stringify(original.serialize());
+  run(original, 90);
+  
+  // The joint isn't part of the snapshot, so the fresh world brings its own
+  const restored = createWorld();
+  restored.deserialize(JSON.parse(json));
+  run(restored, 90);
+  
+  assert.deepEqual(restored.serialize(), original.serialize());
+  assert.equal(restored.createBody().id, original.createBody().id, 'ids carry on from the same place');
+});
+
+test('snapshots from another version are refused', () => {
+  const physicsSystem = new PhysicsSystem();
+  const snapshot = { ...physicsSystem.serialize(), version: 0 };
+  
+  assert.throws(() => physicsSystem.deserialize(snapshot), /Unsupported physics snapshot version/);
+});
+
+test('restoring a snapshot moves attached objects with their bodies', () => {
+  const physicsSystem = createTestPhysics();
+  const ball = new THREE.Mesh(new THREE.SphereGeometry(0.5));
+  const platform = new THREE.Mesh(new THREE.BoxGeometry(2, 0.2, 2));
+  ball.position.set(0, 3, 0);
+  platform.position.set(4, 1, 0);
+  
+  const body = physicsSystem.attach(ball, { shape: 'sphere' });
+  const platformBody = physicsSystem.attach(platform, { type: 'kinematic' });
+  const snapshot = physicsSystem.serialize();
+  
+  for (let i = 0; i < 20; i++) {
+    platform.position.x += 0.1;
+    physicsSystem.update(STEP);
+    physicsSystem.interpolate(0.5);
+  }
+  
+  physicsSystem.deserialize(snapshot);
+  
+  assert.equal(ball.position.y, 3, 'the ball is drawn where it was saved');
+  assert.deepEqual(body.interpolatedPosition.toArray(), [0, 3, 0]);
+  assert.equal(platform.position.x, 4, 'the platform is back where it was saved');
+  
+  physicsSystem.update(STEP);
+  assert.equal(platformBody.position.x, 4, 'and keeps its body there');
+});
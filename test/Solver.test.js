@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTestPhysics } from './helpers';
+
+const STEP = 1 / 60;
+
+/**
+ * Step a physics system for some time
+ * @param {PhysicsSystem} physicsSystem - Physics system
+ * @param {number} seconds - Simulated time
+ */
+function simulate(physicsSystem, seconds) {
+  for (let i = 0; i < Math.round(seconds / STEP); i++) physicsSystem.update(STEP);
+}
+
+test('a stack of boxes stays put', () => {
+  const physicsSystem = createTestPhysics();
+  const boxes = [0, 1, 2, 3, 4].map(i => physicsSystem.createBody({ position: new THREE.Vector3(0, 0.5 + i, 0) }));
+  
+  simulate(physicsSystem, 3);
+  
+  boxes.forEach((box, i) => {
+    assert.ok(Math.abs(box.position.y - (0.5 + i)) < 0.05, `box ${i} at y=${box.position.y}`);
+    assert.ok(Math.hypot(box.position.x, box.position.z) < 0.01, `box ${i} drifted`);
+  });
+});
+
+test('a distance joint swings a pendulum at a fixed length', () => {
+  const physicsSystem = createTestPhysics();
+  const pivot = new THREE.Vector3(0, 5, 0);
+  const bob = physicsSystem.createBody({ shape: 'sphere', radius: 0.2, position: new THREE.Vector3(2, 5, 0) });
+  physicsSystem.createJoint('distance', { bodyA: bob, anchorB: pivot });
+  
+  let lowest = Infinity;
+  for (let i = 0; i < 120; i++) {
+    physicsSystem.update(STEP);
+    assert.ok(Math.abs(bob.position.distanceTo(pivot) - 2) < 0.02, `length ${bob.position.distanceTo(pivot)}`);
+    lowest = Math.min(lowest, bob.position.y);
+  }
+  
+  assert.ok(lowest < 3.1, `swung down to y=${lowest}`);
+});
+
+test('joined bodies move together and don\'t collide with each other', () => {
+  const physicsSystem = createTestPhysics();
+  const a = physicsSystem.createBody({ position: new THREE.Vector3(0, 3, 0) });
+  const b = physicsSystem.createBody({ position: new THREE.Vector3(0.5, 3.2, 0) });
+  physicsSystem.createJoint('fixed', { bodyA: a, bodyB: b });
+  
+  const offset = b.position.clone().sub(a.position);
+  simulate(physicsSystem, 2);
+  
+  const drift = b.position.clone().sub(a.position).applyQuaternion(a.quaternion.clone().invert()).distanceTo(offset);
+  assert.ok(drift < 0.02, `overlapping bodies pushed ${drift} apart`);
+  assert.ok(a.position.y < 1.5, 'and fell together');
+});
+
+test('a joint breaks when pulled harder than its breakForce', () => {
+  const physicsSystem = createTestPhysics();
+  const broken = [];
+  const weak = physicsSystem.createBody({ mass: 5, position: new THREE.Vector3(-2, 4, 0) });
+  const strong = physicsSystem.createBody({ mass: 5, position: new THREE.Vector3(2, 4, 0) });
+  
+  const onBreak = joint => broken.push(joint);
+  const weakJoint = physicsSystem.createJoint('ball', { bodyA: weak, anchor: new THREE.Vector3(-2, 5, 0), breakForce: 20, onBreak });
+  const strongJoint = physicsSystem.createJoint('ball', { bodyA: strong, anchor: new THREE.Vector3(2, 5, 0), breakForce: 100, onBreak });
+  
+  simulate(physicsSystem, 1);
+  
+  assert.deepEqual(broken, [weakJoint]);
+  assert.ok(weakJoint.broken);
+  assert.deepEqual(physicsSystem.joints, [strongJoint], 'broken joints leave the simulation');
+  assert.ok(weak.position.y < 1, 'the weak one dropped');
+  assert.ok(strong.position.y > 3.5, 'the strong one holds');
+});
+
+test('a hinge stops at its limit', () => {
+  const physicsSystem = createTestPhysics();
+  const door = physicsSystem.createBody({
+    dimensions: new THREE.Vector3(2, 0.1, 0.5),
+    position: new THREE.Vector3(1, 4, 0),
+  });
+  physicsSystem.createJoint('hinge', {
+    bodyA: door,
+    anchor: new THREE.Vector3(0, 4, 0),
+    axis: new THREE.Vector3(0, 0, 1),
+    lowerAngle: -Math.PI / 4,
+    upperAngle: Math.PI / 4,
+  });
+  
+  simulate(physicsSystem, 2);
+  
+  const angle = new THREE.Euler().setFromQuaternion(door.quaternion).z;
+  assert.ok(Math.abs(angle + Math.PI / 4) < 0.05, `hangs at ${angle}`);
+});
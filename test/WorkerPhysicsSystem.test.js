@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PhysicsSystem } from '../src/engine/PhysicsSystem';
+import { WorkerPhysicsSystem } from '../src/engine/WorkerPhysicsSystem';
+import { createTestEngine, FakeWorker, flushMessages } from './helpers';
+
+const STEP = 1 / 60;
+
+/**
+ * Step worker physics and wait for each step's results
+ * @param {WorkerPhysicsSystem} physicsSystem - Physics system
+ * @param {number} steps - Steps to run
+ */
+async function simulate(physicsSystem, steps) {
+  for (let i = 0; i < steps; i++) {
+    physicsSystem.update(STEP);
+    await flushMessages();
+  }
+}
+
+[true, false].forEach(sharedMemory => {
+  test(`bodies fall and land in the worker${sharedMemory ? ' with shared memory' : ''}`, async () => {
+    const physicsSystem = new WorkerPhysicsSystem({ worker: new FakeWorker(), sharedMemory });
+    const local = new PhysicsSystem();
+    
+    const bodies = [physicsSystem, local].map(system => {
+      system.createCollider({ shape: 'plane' });
+      return system.createBody({ shape: 'sphere', radius: 0.5, position: new THREE.Vector3(0, 3, 0) });
+    });
+    
+    await simulate(physicsSystem, 30);
+    for (let i = 0; i < 30; i++) local.update(STEP);
+    assert.equal(bodies[0].position.y, bodies[1].position.y, 'the same steps as on the main thread');
+    
+    await simulate(physicsSystem, 90);
+    assert.ok(Math.abs(bodies[0].position.y - 0.5) < 0.05, `resting at y=${bodies[0].position.y}`);
+    
+    physicsSystem.dispose();
+  });
+});
+
+test('callbacks run on the main thread with the main thread\'s objects', async () => {
+  const physicsSystem = new WorkerPhysicsSystem({ worker: new FakeWorker() });
+  const ground = physicsSystem.createCollider({ shape: 'plane' });
+  const hits = [];
+  const events = [];
+  
+  const ball = physicsSystem.createBody({
+    shape: 'sphere',
+    radius: 0.5,
+    position: new THREE.Vector3(0, 1, 0),
+    onCollisionEnter: (other, event) => hits.push({ other, event }),
+  });
+  physicsSystem.on('collisionEnter', event => events.push(event));
+  
+  await simulate(physicsSystem, 30);
+  
+  assert.ok(hits.length > 0);
+  assert.equal(hits[0].other, ground);
+  assert.equal(hits[0].event.a, ball);
+  assert.ok(hits[0].event.impactSpeed > 1);
+  assert.equal(events.length, hits.length);
+  
+  physicsSystem.dispose();
+});
+
+test('changes made on the main thread reach the worker', async () => {
+  const physicsSystem = new WorkerPhysicsSystem({ worker: new FakeWorker(), gravity: { x: 0, y: 0, z: 0 } });
+  const body = physicsSystem.createBody({ position: new THREE.Vector3(0, 5, 0) });
+  await simulate(physicsSystem, 2);
+  
+  body.position.set(3, 5, 0);
+  body.velocity.set(0, 0, 6);
+  await simulate(physicsSystem, 31);
+  
+  assert.ok(Math.abs(body.position.x - 3) < 1e-9, 'moved by hand');
+  assert.ok(Math.abs(body.position.z - 3) < 0.2, `kept going to z=${body.position.z}`);
+  
+  physicsSystem.removeBody(body);
+  await simulate(physicsSystem, 2);
+  assert.equal(physicsSystem.worker.host.physicsSystem.bodies.length, 0, 'removed in the worker');
+  
+  physicsSystem.dispose();
+});
+
+test('worker failures are reported and the next steps go on', async () => {
+  const worker = new FakeWorker();
+  const physicsSystem = new WorkerPhysicsSystem({ worker });
+  const errors = [];
+  physicsSystem.on('error', ({ error, source }) => errors.push(`${source}: ${error.message}`));
+  
+  const body = physicsSystem.createBody({ position: new THREE.Vector3(0, 10, 0) });
+  
+  // A worker that threw mid-step never answers
+  const post = worker.host.post;
+  worker.host.post = () => {};
+  await simulate(physicsSystem, 1);
+  worker.onerror({ message: 'boom' });
+  worker.host.post = post;
+  
+  assert.deepEqual(errors, ['physics worker: boom']);
+  
+  await simulate(physicsSystem, 5);
+  assert.ok(body.position.y < 10, 'falling again');
+  
+  physicsSystem.dispose();
+  assert.ok(worker.terminated);
+});
+
+test('the engine falls back to main thread physics where there are no workers', () => {
+  const engine = createTestEngine({ physics: { worker: true } });
+  
+  assert.equal(engine.physicsSystem.constructor, PhysicsSystem);
+  
+  engine.dispose();
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../src/engine/ecs/World';
+import { System } from '../src/engine/ecs/System';
+import { Script } from '../src/engine/ecs/components/Script';
+import { createTestEngine } from './helpers';
+
+class CountingSystem extends System {
+  constructor() {
+    super([]);
+    this.steps = 0;
+  }
+  
+  beforePhysics() {
+    this.steps++;
+  }
+}
+
+test('scripts can create and destroy entities while they run', () => {
+  const world = new World(null);
+  const updated = [];
+  
+  const spawner = world.createEntity('spawner').addComponent(new Script({
+    update: () => {
+      updated.push('spawner');
+      world.createEntity('spawned').addComponent(new Script({ update: () => updated.push('spawned') }));
+      world.destroyEntity(victim);
+    },
+  }));
+  const victim = world.createEntity('victim').addComponent(new Script({ update: () => updated.push('victim') }));
+  
+  world.update(1 / 60, 0);
+  assert.deepEqual(updated, ['spawner'], 'the destroyed entity is skipped, the new one waits for the next update');
+  
+  world.destroyEntity(spawner);
+  world.update(1 / 60, 0);
+  assert.deepEqual(updated, ['spawner', 'spawned']);
+  
+  world.dispose();
+});
+
+test('worlds only run beforePhysics while entered', () => {
+  const engine = createTestEngine();
+  const worlds = [new World(engine), new World(engine)];
+  const counters = worlds.map(world => world.addSystem(new CountingSystem()));
+  
+  engine.start();
+  engine.stepFrames(2);
+  assert.deepEqual(counters.map(counter => counter.steps), [0, 0], 'not before they are entered');
+  
+  worlds.forEach(world => world.enter());
+  worlds[0].enter();
+  engine.stepFrames(3);
+  assert.deepEqual(counters.map(counter => counter.steps), [3, 3], 'every entered world runs, once');
+  
+  worlds[0].exit();
+  engine.stepFrames(2);
+  assert.deepEqual(counters.map(counter => counter.steps), [3, 5]);
+  
+  worlds[1].dispose();
+  engine.stepFrames(1);
+  assert.deepEqual(counters.map(counter => counter.steps), [3, 5]);
+  
+  engine.dispose();
+});
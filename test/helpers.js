@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+import { Engine } from '../src/engine/Engine';
+import { PhysicsSystem } from '../src/engine/PhysicsSystem';
+import { ManualClock } from '../src/engine/headless/ManualClock';
+import { PhysicsWorkerHost } from '../src/engine/physics/PhysicsWorkerHost';
+import { DebugUtils } from '../src/utils/DebugUtils';
+
+/**
+ * Create a headless engine that doesn't log, driven by a manual clock
+ * @param {Object} options - Extra engine options
+ * @returns {Engine} The engine
+ */
+export function createTestEngine(options = {}) {
+  const debug = new DebugUtils(null);
+  debug.setEnabled(false);
+  
+  return new Engine({ headless: true, clock: new ManualClock(), debug, ...options });
+}
+
+/**
+ * Physics system with a static ground slab whose top is at y = 0
+ * @param {Object} options - PhysicsSystem options
+ * @returns {PhysicsSystem} The physics system, with the ground as its first body
+ */
+export function createTestPhysics(options = {}) {
+  const physicsSystem = new PhysicsSystem(options);
+  physicsSystem.createBody({
+    id: 'ground',
+    isStatic: true,
+    dimensions: new THREE.Vector3(40, 1, 40),
+    position: new THREE.Vector3(0, -0.5, 0),
+  });
+  
+  return physicsSystem;
+}
+
+/**
+ * Stands in for the physics worker: runs a PhysicsWorkerHost on this thread and
+ * copies the messages both ways, delivering them on a later turn like a real worker
+ */
+export class FakeWorker {
+  constructor() {
+    this.onmessage = null;
+    this.onerror = null;
+    this.onmessageerror = null;
+    this.terminated = false;
+    
+    this.host = new PhysicsWorkerHost((message, transfer) => {
+      const copy = structuredClone(message, { transfer });
+      setImmediate(() => this.onmessage({ data: copy }));
+    });
+  }
+  
+  postMessage(message, transfer = []) {
+    const copy = structuredClone(message, { transfer });
+    setImmediate(() => this.host.handleMessage(copy));
+  }
+  
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+/**
+ * Wait for the messages posted so far, and their replies, to be delivered
+ * @returns {Promise} Resolves a couple of turns later
+ */
+export async function flushMessages() {
+  for (let i = 0; i < 3; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Scene that records the lifecycle hooks and updates it receives
+ */
+export class RecordingScene {
+  constructor() {
+    this.threeScene = new THREE.Scene();
+    this.hooks = [];
+    this.updates = [];
+    this.fixedSteps = 0;
+  }
+  
+  enter() {
+    this.hooks.push('enter');
+  }
+  
+  exit() {
+    this.hooks.push('exit');
+  }
+  
+  dispose() {
+    this.hooks.push('dispose');
+  }
+  
+  fixedUpdate() {
+    this.fixedSteps++;
+  }
+  
+  update(deltaTime, elapsedTime, alpha) {
+    this.updates.push({ deltaTime, elapsedTime, alpha });
+  }
+}
@@ -0,0 +1,34 @@
+const path = require('path');
+
+// Bundles the benchmarks for Node, run with npm run bench
+module.exports = {
+  mode: 'production',
+  target: 'node',
+  entry: {
+    broadphase: './benchmarks/broadphase.js',
+  },
+  output: {
+    filename: '[name].js',
+    path: path.resolve(__dirname, 'dist/bench'),
+  },
+  module: {
+    rules: [
+      {
+        test: /\.js$/,
+        exclude: /node_modules/,
+        use: {
+          loader: 'babel-loader',
+          options: {
+            presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+          }
+        }
+      }
+    ]
+  },
+  optimization: {
+    minimize: false,
+  },
+  performance: {
+    hints: false,
+  },
+};
@@ -1,7 +1,7 @@
 const { merge } = require('webpack-merge');
 const common = require('./webpack.common.js');
 
-module.exports = merge(common, {
+module.exports = (env = {}) => merge(common, {
   mode: 'development',
   devtool: 'eval-source-map',
   devServer: {
@@ -9,5 +9,11 @@ module.exports = merge(common, {
     hot: true,
     open: true,
     port: 3000,
+    // Cross-origin isolation, so worker physics can share memory through SharedArrayBuffer.
+    // Opt-in (npm run start:isolated): cross-origin assets without CORP headers stop loading.
+    headers: env.isolated ? {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp',
+    } : {},
   },
 });
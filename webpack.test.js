@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bundles each test file for Node, run with npm test
+const testDir = path.resolve(__dirname, 'test');
+const entries = fs.readdirSync(testDir)
+  .filter(file => file.endsWith('.test.js'))
+  .reduce((entry, file) => ({ ...entry, [path.basename(file, '.js')]: path.join(testDir, file) }), {});
+
+module.exports = {
+  mode: 'development',
+  target: 'node',
+  devtool: false,
+  entry: entries,
+  output: {
+    filename: '[name].js',
+    path: path.resolve(__dirname, 'dist/tests'),
+    clean: true,
+  },
+  module: {
+    rules: [
+      {
+        test: /\.js$/,
+        exclude: /node_modules/,
+        use: {
+          loader: 'babel-loader',
+          options: {
+            presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+          }
+        }
+      }
+    ]
+  },
+  performance: {
+    hints: false,
+  },
+};